@@ -1,10 +1,38 @@
 // Background Service Worker for Google Meet Recorder with Authentication and Audio Support
-const DEFAULT_RECORDING_STATE = {
+importScripts(
+  "recording-storage.js",
+  "filename-template.js",
+  "consent-notice.js",
+  "mixer-levels.js",
+  "recording-formats.js",
+  "microphone-settings.js"
+);
+
+// State of one tab's recording
+const DEFAULT_SESSION_STATE = {
+  tabId: null,
+  tabTitle: null,
   isRecording: false,
   isPaused: false,
   recordingType: null,
-  currentTabId: null,
   recordingStartTime: null,
+  pauseStartTime: null,
+  totalPausedTime: 0,
+  storageSessionId: null,
+  mixer: MixerLevels.DEFAULT_LEVELS,
+  audioSources: null,
+  options: null,
+  bookmarks: [],
+  participants: [],
+  attendanceBestEffort: false, // Part of the roster came from video tiles, not the People panel
+  transcriptLines: 0, // The lines themselves are journaled by the offscreen recorder
+};
+
+const BOOKMARK_LABEL_MAX_LENGTH = 80;
+
+// Recording sessions keyed by tab id, plus the most recently completed recording
+const DEFAULT_RECORDING_STATE = {
+  sessions: {},
   recordingData: null,
 };
 
@@ -12,7 +40,17 @@ const DEFAULT_RECORDING_STATE = {
 async function getRecordingState() {
   try {
     const result = await chrome.storage.local.get(["recordingState"]);
-    return result.recordingState || DEFAULT_RECORDING_STATE;
+    const state = result.recordingState;
+
+    // State saved before multi-tab recording has no sessions map
+    if (!state || !state.sessions) {
+      return {
+        ...DEFAULT_RECORDING_STATE,
+        recordingData: state ? state.recordingData || null : null,
+      };
+    }
+
+    return state;
   } catch (error) {
     console.error("Error getting recording state:", error);
     return DEFAULT_RECORDING_STATE;
@@ -29,17 +67,75 @@ async function setRecordingState(newState) {
   }
 }
 
-// Update specific recording state properties
-async function updateRecordingState(updates) {
-  try {
+let recordingStateQueue = Promise.resolve();
+
+// Update specific recording state properties. Accepts an object to merge or a function
+// returning the new state; updates are serialized so concurrent sessions don't clobber each other.
+function updateRecordingState(updates) {
+  const update = recordingStateQueue.then(async () => {
     const currentState = await getRecordingState();
-    const newState = { ...currentState, ...updates };
-    await setRecordingState(newState);
-    return newState;
-  } catch (error) {
-    console.error("Error updating recording state:", error);
-    return currentState;
+    try {
+      const newState =
+        typeof updates === "function"
+          ? updates(currentState)
+          : { ...currentState, ...updates };
+      await setRecordingState(newState);
+      return newState;
+    } catch (error) {
+      console.error("Error updating recording state:", error);
+      return currentState;
+    }
+  });
+
+  recordingStateQueue = update.catch(() => {});
+  return update;
+}
+
+// Update one tab's session (no-op if the session is gone)
+function updateSessionState(tabId, updates) {
+  return updateRecordingState((state) => {
+    const session = state.sessions[tabId];
+    if (!session) return state;
+
+    const updatedSession =
+      typeof updates === "function"
+        ? updates(session)
+        : { ...session, ...updates };
+    return {
+      ...state,
+      sessions: { ...state.sessions, [tabId]: updatedSession },
+    };
+  });
+}
+
+function removeSessionState(tabId) {
+  removeRecordingOverlay(tabId);
+  stopParticipantTracking(tabId);
+  return updateRecordingState((state) => {
+    const sessions = { ...state.sessions };
+    delete sessions[tabId];
+    return { ...state, sessions };
+  });
+}
+
+function getActiveSessions(state) {
+  return Object.values(state.sessions).filter((session) => session.isRecording);
+}
+
+// Commands that don't name a tab act on the only active session
+function resolveSessionTabId(state, tabId) {
+  if (tabId !== undefined && tabId !== null) {
+    return state.sessions[tabId] ? state.sessions[tabId].tabId : null;
   }
+
+  const sessions = getActiveSessions(state);
+  return sessions.length === 1 ? sessions[0].tabId : null;
+}
+
+function getMissingSessionError(state) {
+  return getActiveSessions(state).length > 1
+    ? "Several recordings are active - choose which one to control"
+    : "No recording in progress";
 }
 
 let refreshTimeout = null;
@@ -52,9 +148,9 @@ async function createOffscreenDocument() {
 
   await chrome.offscreen.createDocument({
     url: "offscreen.html",
-    reasons: ["USER_MEDIA"],
+    reasons: ["USER_MEDIA", "DISPLAY_MEDIA"],
     justification:
-      "Recording screen content using MediaRecorder API with audio-only option",
+      "Recording tab or screen content using MediaRecorder API with audio-only option",
   });
 }
 
@@ -330,10 +426,35 @@ chrome.runtime.onInstalled.addListener(async () => {
 
   // Initialize storage with default settings
   chrome.storage.local.set({
-    videoQuality: "1080p",
+    ...RecordingFormats.DEFAULT_SETTINGS,
     includeDeviceAudio: true,
     includeMicrophone: false,
-    recordingFormat: "webm",
+    separateAudioStems: false,
+    webcamOverlay: {
+      enabled: false,
+      position: "bottom-right",
+      size: "medium",
+      shape: "circle",
+    },
+    wavExport: {
+      enabled: false,
+      sampleRate: 48000,
+      channels: 2,
+    },
+    audioOutput: {
+      deviceId: "default",
+      silent: false,
+    },
+    autoRecord: {
+      enabled: false,
+      meetingCodes: [],
+    },
+    saveCaptions: false,
+    filenameTemplate: FilenameTemplate.DEFAULT_TEMPLATE,
+    recordingOverlay: true,
+    recordingOverlayHideInTab: false,
+    consentNotice: ConsentNotice.DEFAULT_SETTINGS,
+    microphone: MicrophoneSettings.DEFAULT_SETTINGS,
   });
 
   // Initialize recording state
@@ -347,11 +468,16 @@ chrome.runtime.onInstalled.addListener(async () => {
 chrome.runtime.onStartup.addListener(async () => {
   console.log("Google Meet Recorder Extension started");
 
-  // Initialize recording state if not exists
+  // Nothing survives a browser restart, so any recording still marked active was interrupted
   const currentState = await getRecordingState();
-  if (!currentState.isRecording) {
-    await setRecordingState(DEFAULT_RECORDING_STATE);
+  if (getActiveSessions(currentState).length > 0) {
+    console.warn("Recording was interrupted by a browser restart");
   }
+  await resetRecordingState();
+  refreshBadge();
+
+  // Offer to rebuild sessions that were still recording when the browser died
+  await checkForRecoverableSessions();
 
   // Schedule token refresh check
   scheduleTokenRefresh();
@@ -590,9 +716,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
 
     case "stopRecording":
-      handleStopRecording(sendResponse);
+      handleStopRecording(message.tabId, sendResponse);
+      return true;
+
+    case "pauseRecording":
+      handlePauseRecording(message.tabId, sendResponse);
+      return true;
+
+    case "resumeRecording":
+      handleResumeRecording(message.tabId, sendResponse);
+      return true;
+
+    case "setMixerLevels":
+      handleSetMixerLevels(message.tabId, message.levels, sendResponse);
       return true;
 
+    case "addBookmark":
+      handleAddBookmark(message, sendResponse);
+      return true;
+
+    case "meetCallJoined":
+      handleMeetCallJoined(message, sender);
+      break;
+
+    case "meetCallLeft":
+      handleMeetCallLeft(message, sender);
+      break;
+
+    case "participantsUpdated":
+      handleParticipantsUpdated(message, sender);
+      break;
+
+    case "captionLines":
+      handleCaptionLines(message, sender);
+      break;
+
+    case "captionsUnavailable":
+      showFeedbackNotification(
+        "No captions to save",
+        "Turn on captions (CC) in Meet to keep a transcript of this recording."
+      );
+      break;
+
     case "createOffscreen":
       try {
         createOffscreenDocument()
@@ -619,6 +784,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleMicrophonePermissionResult(message, sendResponse);
       break;
 
+    case "testCameraPermission":
+      handleTestCameraPermission(sendResponse);
+      return true;
+
+    case "webcamAccessFailed":
+      handleWebcamAccessFailed(message);
+      break;
+
     case "recordingComplete":
       handleRecordingComplete(message, sender);
       break;
@@ -631,9 +804,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleMicrophoneAccessFailed(message, sender);
       break;
 
-    case "memoryWarning":
-      console.warn("Memory warning during recording:", message.message);
-      notifyPopupStateChange();
+    case "storageWarning":
+      handleStorageWarning(message);
       break;
 
     case "audioReleased":
@@ -689,6 +861,25 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleGetUserRecordings(sendResponse);
       return true;
 
+    case "getRecoverableSessions":
+      findRecoverableSessions()
+        .then((sessions) => sendResponse({ success: true, sessions }))
+        .catch((error) =>
+          sendResponse({ success: false, error: error.message, sessions: [] })
+        );
+      return true;
+
+    case "recoverSession":
+      openRecoveredSessionPreview(message.sessionId);
+      sendResponse({ success: true });
+      break;
+
+    case "discardRecoverableSession":
+      RecordingStorage.deleteSession(message.sessionId)
+        .then(() => sendResponse({ success: true }))
+        .catch((error) => sendResponse({ success: false, error: error.message }));
+      return true;
+
     default:
       console.warn("Unknown message action:", message.action);
   }
@@ -953,7 +1144,7 @@ function handleRecordingUploaded(message, sendResponse) {
     // Update badge to show success (temporarily)
     updateBadge("✓");
     setTimeout(() => {
-      updateBadge("");
+      refreshBadge();
     }, 3000);
 
     console.log("Background: Upload notification handled");
@@ -1032,8 +1223,12 @@ async function handleStartRecording(options, sendResponse) {
   try {
     const currentState = await getRecordingState();
 
-    if (currentState.isRecording) {
-      sendResponse({ success: false, error: "Recording already in progress" });
+    // Other tabs may be recording at the same time, but each tab only once
+    if (options.tabId && currentState.sessions[options.tabId]) {
+      sendResponse({
+        success: false,
+        error: "This tab is already being recorded",
+      });
       return;
     }
 
@@ -1050,6 +1245,9 @@ async function handleStartRecording(options, sendResponse) {
       return;
     }
 
+    // For the {user} filename token
+    options = { ...options, user: authCheck.tokenData.phone || null };
+
     // Validate recording options
     if (!options.tabId) {
       sendResponse({
@@ -1059,32 +1257,79 @@ async function handleStartRecording(options, sendResponse) {
       return;
     }
 
-    await createOffscreenDocument();
+    // Meet participants are told once capture is running. If the notice can't be posted but
+    // has to be confirmed, ask now - before anything is captured
+    const consentPolicy = await getConsentNoticePolicy(options);
+    if (
+      consentPolicy &&
+      !options.consentAcknowledged &&
+      !consentPolicy.postToChat &&
+      (consentPolicy.required || options.consentPrompt)
+    ) {
+      sendResponse(
+        getConsentRequiredResponse(consentPolicy, "Posting in the Meet chat is turned off")
+      );
+      return;
+    }
 
-    // Update recording state first
-    await setRecordingState({
-      isRecording: false, // Will be set to true after successful start
-      isPaused: false,
-      recordingType: options.recordingType,
-      currentTabId: options.tabId,
-      recordingStartTime: null, // Will be set after start
-      recordingData: null,
-    });
+    await createOffscreenDocument();
 
-    // Store recording options
-    await chrome.storage.session.set({ currentRecordingOptions: options });
+    // Register the session first (isRecording is set after a successful start)
+    const tabId = options.tabId;
+    await updateRecordingState((state) => ({
+      ...state,
+      sessions: {
+        ...state.sessions,
+        [tabId]: {
+          ...DEFAULT_SESSION_STATE,
+          tabId: tabId,
+          recordingType: options.recordingType,
+          options: options,
+        },
+      },
+    }));
 
     // Start tab recording with enhanced error handling
     console.log("Attempting to start tab recording with options:", options);
     const result = await startTabRecording(options);
 
     if (result.success) {
-      await updateRecordingState({
+      const recordingStartTime = Date.now();
+
+      // Only a running capture is announced. A notice that has to be confirmed but couldn't
+      // be posted calls the start off, and nothing of it is kept
+      const consent = await deliverConsentNotice(options, consentPolicy);
+      if (!consent.success) {
+        await sendOffscreenRecordingCommand("discardRecording", { tabId });
+        await removeSessionState(tabId);
+        sendResponse(consent);
+        return;
+      }
+      if (consent.record) {
+        sendOffscreenRecordingCommand("setConsentNotice", {
+          tabId,
+          consentNotice: consent.record,
+        });
+      }
+
+      const tab = await chrome.tabs.get(tabId).catch(() => null);
+
+      await updateSessionState(tabId, {
         isRecording: true,
-        recordingStartTime: Date.now(),
+        recordingStartTime,
+        tabTitle: tab ? tab.title : null,
+        storageSessionId: result.storageSessionId || null,
+        audioSources: result.audioSources || null,
       });
 
-      updateBadge("REC");
+      // Meet tabs report who is already in the call, then each change until the session ends
+      requestParticipantRoster(tabId);
+      if (options.saveCaptions) {
+        startCaptionCollection(tabId);
+      }
+      showRecordingOverlay(tabId);
+
+      refreshBadge();
       notifyPopupStateChange();
 
       console.log("Recording started successfully");
@@ -1094,7 +1339,7 @@ async function handleStartRecording(options, sendResponse) {
       });
     } else {
       console.error("Failed to start recording:", result.error);
-      await resetRecordingState();
+      await removeSessionState(tabId);
       sendResponse({
         success: false,
         error: result.error,
@@ -1102,7 +1347,9 @@ async function handleStartRecording(options, sendResponse) {
     }
   } catch (error) {
     console.error("Error in handleStartRecording:", error);
-    await resetRecordingState();
+    if (options && options.tabId) {
+      await removeSessionState(options.tabId);
+    }
     sendResponse({
       success: false,
       error: `Recording failed: ${error.message}`,
@@ -1110,6 +1357,64 @@ async function handleStartRecording(options, sendResponse) {
   }
 }
 
+// Consent notice for recordings of Meet calls (see consent-notice.js). Resolves with the
+// policy when a notice applies to the tab being recorded, null otherwise.
+async function getConsentNoticePolicy(options) {
+  const policy = await ConsentNotice.getPolicy();
+  const tab = await chrome.tabs.get(options.tabId).catch(() => null);
+
+  return policy.enabled && tab && FilenameTemplate.getMeetingCode(tab.url) ? policy : null;
+}
+
+// The popup can show the notice to copy and ask for confirmation (consentAcknowledged)
+function getConsentRequiredResponse(policy, reason) {
+  return {
+    success: false,
+    consentRequired: true,
+    required: policy.required,
+    consentMessage: policy.message,
+    error: policy.required
+      ? `Your organization requires telling participants before recording. ${reason}. Start from the extension popup to confirm you told everyone.`
+      : `${reason}. Tell participants you're recording, then start again.`,
+  };
+}
+
+// Called once capture is running, so the record's time is when participants were told about an
+// actual recording. Posts the notice in the Meet chat; resolves with { success, record } or a
+// blocking error response when it had to be given and wasn't.
+async function deliverConsentNotice(options, policy) {
+  if (!policy) {
+    return { success: true, record: null };
+  }
+
+  if (options.consentAcknowledged) {
+    console.log("Consent notice confirmed by the user");
+    return { success: true, record: ConsentNotice.createRecord("acknowledged", policy) };
+  }
+
+  let reason = "Posting in the Meet chat is turned off";
+  if (policy.postToChat) {
+    const response = await chrome.tabs
+      .sendMessage(options.tabId, { action: "postConsentNotice", message: policy.message })
+      .catch((error) => ({ success: false, error: error.message }));
+
+    if (response && response.success) {
+      console.log("Consent notice posted in the Meet chat");
+      return { success: true, record: ConsentNotice.createRecord("chat", policy) };
+    }
+    reason = (response && response.error) || "The Meet chat did not respond";
+    console.warn("Could not post the consent notice:", reason);
+  }
+
+  if (policy.required || options.consentPrompt) {
+    return getConsentRequiredResponse(policy, reason);
+  }
+
+  // Shortcut or auto-record start with an optional notice - record, but remind the user
+  showFeedbackNotification("Tell participants you're recording", policy.message);
+  return { success: true, record: ConsentNotice.createRecord("reminder", policy) };
+}
+
 // Start tab recording
 // Enhanced tab recording with better error handling and validation
 async function startTabRecording(options) {
@@ -1209,13 +1514,20 @@ async function startTabRecording(options) {
     }
 
     // Step 5: Send to offscreen document and wait for response
+    // Tab details are journaled with the session for crash recovery
+    const offscreenOptions = {
+      ...options,
+      tabTitle: targetTab.title,
+      tabUrl: targetTab.url,
+    };
+
     return new Promise((resolve) => {
       chrome.runtime.sendMessage(
         {
           action: "startTabRecording",
           target: "offscreen",
           streamId: streamId,
-          options: options,
+          options: offscreenOptions,
         },
         (response) => {
           if (chrome.runtime.lastError) {
@@ -1248,39 +1560,35 @@ async function startTabRecording(options) {
   }
 }
 
-// Stop recording
-async function handleStopRecording(sendResponse) {
+// Stop recording (tabId may be omitted when only one tab is recording)
+async function handleStopRecording(tabId, sendResponse) {
   try {
     const currentState = await getRecordingState();
+    const sessionTabId = resolveSessionTabId(currentState, tabId);
 
-    if (!currentState.isRecording) {
-      sendResponse({ success: false, error: "No recording in progress" });
+    if (sessionTabId === null) {
+      sendResponse({ success: false, error: getMissingSessionError(currentState) });
       return;
     }
 
-    const response = await new Promise((resolve) => {
-      chrome.runtime.sendMessage({ action: "stopRecording" }, (response) => {
-        if (chrome.runtime.lastError) {
-          resolve({ success: false, error: chrome.runtime.lastError.message });
-        } else {
-          resolve(
-            response || { success: false, error: "No response from offscreen" }
-          );
-        }
-      });
+    const session = currentState.sessions[sessionTabId];
+    const response = await sendOffscreenRecordingCommand("stopRecording", {
+      tabId: sessionTabId,
+      bookmarks: session.bookmarks || [],
+      // Everyone still in the call leaves when the recording ends
+      participants: updateParticipantEntries(session, []),
+      attendanceBestEffort: session.attendanceBestEffort,
+      transcriptLines: await stopCaptionCollection(session),
     });
 
     if (response.success) {
-      await updateRecordingState({
-        recordingData: response.recordingData,
-      });
-      await resetRecordingState();
-      updateBadge("");
+      await removeSessionState(sessionTabId);
+      refreshBadge();
       notifyPopupStateChange();
       sendResponse({
         success: true,
         message: "Recording stopped",
-        recordingData: response.recordingData,
+        tabId: sessionTabId,
       });
     } else {
       sendResponse({ success: false, error: response.error });
@@ -1291,129 +1599,694 @@ async function handleStopRecording(sendResponse) {
   }
 }
 
-// Test microphone permission via iframe injection
-async function handleTestMicrophonePermission(sendResponse) {
+// Send a recording control command (stop, pause, resume, mixer) to a session in the offscreen recorder
+function sendOffscreenRecordingCommand(action, payload = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(
+      { action: action, target: "offscreen", ...payload },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          resolve({ success: false, error: chrome.runtime.lastError.message });
+        } else {
+          resolve(
+            response || { success: false, error: "No response from offscreen" }
+          );
+        }
+      }
+    );
+  });
+}
+
+// Pause recording
+async function handlePauseRecording(tabId, sendResponse) {
   try {
-    console.log("Testing microphone permission via iframe injection");
+    const currentState = await getRecordingState();
+    const sessionTabId = resolveSessionTabId(currentState, tabId);
 
-    // Get current active tab
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tabs.length) {
-      sendResponse({ success: false, error: "No active tab found" });
+    if (sessionTabId === null) {
+      sendResponse({ success: false, error: getMissingSessionError(currentState) });
       return;
     }
 
-    const activeTabId = tabs[0].id;
+    if (currentState.sessions[sessionTabId].isPaused) {
+      sendResponse({ success: true, message: "Recording already paused" });
+      return;
+    }
 
-    // Inject content script to handle microphone iframe
-    await chrome.scripting.executeScript({
-      target: { tabId: activeTabId },
-      func: injectMicrophoneIframe,
+    const response = await sendOffscreenRecordingCommand("pauseRecording", {
+      tabId: sessionTabId,
     });
 
-    sendResponse({
-      success: true,
-      message: "Microphone permission iframe injected",
-    });
+    if (response.success) {
+      await updateSessionState(sessionTabId, {
+        isPaused: true,
+        pauseStartTime: response.pausedAt || Date.now(),
+      });
+      refreshBadge();
+      notifyPopupStateChange();
+      sendResponse({ success: true, message: "Recording paused" });
+    } else {
+      sendResponse({ success: false, error: response.error });
+    }
   } catch (error) {
-    console.error("Error testing microphone permission:", error);
+    console.error("Error pausing recording:", error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
-// Function to inject microphone iframe (will be executed in content script context)
-function injectMicrophoneIframe() {
-  // Remove any existing microphone iframe
-  console.log("Injecting microphone permission iframe");
-  const existingIframe = document.getElementById(
-    "meet-recorder-microphone-iframe"
-  );
-  if (existingIframe) {
-    existingIframe.remove();
-  }
-
-  // Create new iframe
-  const microphoneIframe = document.createElement("iframe");
-  microphoneIframe.id = "meet-recorder-microphone-iframe";
-  microphoneIframe.setAttribute("allow", "microphone");
-  microphoneIframe.setAttribute(
-    "style",
-    `
-    all: initial;
-    position: fixed;
-    top: -1000px;
-    left: -1000px;
-    width: 1px;
-    height: 1px;
-    z-index: -1;
-    opacity: 0;
-    pointer-events: none;
-  `
-  );
-
-  // Set source to extension microphone permission page
-  microphoneIframe.src = chrome.runtime.getURL("microphone-permission.html");
+// Resume recording
+async function handleResumeRecording(tabId, sendResponse) {
+  try {
+    const currentState = await getRecordingState();
+    const sessionTabId = resolveSessionTabId(currentState, tabId);
 
-  // Add to page
-  document.body.appendChild(microphoneIframe);
+    if (sessionTabId === null) {
+      sendResponse({ success: false, error: getMissingSessionError(currentState) });
+      return;
+    }
 
-  console.log("Microphone permission iframe injected");
+    if (!currentState.sessions[sessionTabId].isPaused) {
+      sendResponse({ success: true, message: "Recording is not paused" });
+      return;
+    }
 
-  // Listen for messages from iframe
-  window.addEventListener("message", function handleMicrophoneMessage(event) {
-    if (event.data && event.data.action === "microphonePermissionResult") {
-      console.log("Received microphone permission result:", event.data);
+    const response = await sendOffscreenRecordingCommand("resumeRecording", {
+      tabId: sessionTabId,
+    });
 
-      // Send result to background script
-      chrome.runtime.sendMessage({
-        action: "microphonePermissionResult",
-        success: event.data.success,
-        error: event.data.error,
+    if (response.success) {
+      await updateSessionState(sessionTabId, {
+        isPaused: false,
+        pauseStartTime: null,
+        totalPausedTime: response.totalPausedTime,
       });
-
-      // Remove iframe and listener
-      setTimeout(() => {
-        const iframe = document.getElementById(
-          "meet-recorder-microphone-iframe"
-        );
-        if (iframe) {
-          iframe.remove();
-        }
-      }, 100);
-
-      window.removeEventListener("message", handleMicrophoneMessage);
+      refreshBadge();
+      notifyPopupStateChange();
+      sendResponse({ success: true, message: "Recording resumed" });
+    } else {
+      sendResponse({ success: false, error: response.error });
     }
-  });
+  } catch (error) {
+    console.error("Error resuming recording:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
 
-  // Auto-remove after timeout
-  setTimeout(() => {
-    const iframe = document.getElementById("meet-recorder-microphone-iframe");
-    if (iframe) {
-      iframe.remove();
-      chrome.runtime.sendMessage({
-        action: "microphonePermissionResult",
-        success: false,
-        error: "Request timed out. Please try again.",
-      });
-    }
-  }, 10000); // 10 second timeout
+// Recorded time of a session in seconds - wall time since the start minus paused time
+function getSessionElapsedSeconds(session, now = Date.now()) {
+  const endTime = session.isPaused && session.pauseStartTime ? session.pauseStartTime : now;
+  const elapsed = endTime - session.recordingStartTime - (session.totalPausedTime || 0);
+  return Math.max(0, elapsed / 1000);
 }
 
-// Check microphone permission status via iframe injection
-async function handleCheckMicrophoneStatus(sendResponse) {
+// Mark a moment in a recording ("Decision", "Action item", ...). Marks come from the popup,
+// keyboard shortcuts or the in-page control; source records which one.
+async function handleAddBookmark(message, sendResponse) {
   try {
-    console.log("Checking microphone status via iframe injection");
+    const currentState = await getRecordingState();
+    const sessionTabId = resolveSessionTabId(currentState, message.tabId);
 
-    // Get current active tab
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tabs.length) {
-      sendResponse({ hasPermission: null, error: "No active tab found" });
+    if (sessionTabId === null) {
+      sendResponse({ success: false, error: getMissingSessionError(currentState) });
       return;
     }
 
-    const activeTabId = tabs[0].id;
+    const session = currentState.sessions[sessionTabId];
+    const label = String(message.label || "Bookmark").trim().slice(0, BOOKMARK_LABEL_MAX_LENGTH);
+    const bookmark = {
+      id: `bm_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      time: Math.round(getSessionElapsedSeconds(session) * 10) / 10,
+      label: label || "Bookmark",
+      source: message.source || "popup",
+      createdAt: Date.now(),
+    };
+    // Appended inside the update queue - two quick bookmarks must not overwrite each other
+    const newState = await updateSessionState(sessionTabId, (session) => ({
+      ...session,
+      bookmarks: [...(session.bookmarks || []), bookmark],
+    }));
+    const updatedSession = newState.sessions[sessionTabId];
+    if (!updatedSession) {
+      sendResponse({ success: false, error: "The recording has already stopped" });
+      return;
+    }
+    const bookmarks = updatedSession.bookmarks;
+
+    // Journal them with the recording so a recovered session keeps its bookmarks
+    sendOffscreenRecordingCommand("setBookmarks", {
+      tabId: sessionTabId,
+      bookmarks,
+    }).then((response) => {
+      if (!response.success) {
+        console.warn("Could not journal bookmarks:", response.error);
+      }
+    });
 
-    // Inject a quick check script
+    console.log(`Bookmark "${bookmark.label}" at ${bookmark.time}s (tab ${sessionTabId})`);
+    notifyPopupStateChange();
+    sendResponse({ success: true, bookmark, count: bookmarks.length });
+  } catch (error) {
+    console.error("Error adding bookmark:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Attendance: the Meet participant tracker reports the roster whenever it changes. While the tab
+// is recording, each stay in the call becomes an entry with join/leave times in recording seconds
+// (plus wall-clock times for the CSV); someone who leaves and rejoins gets a new entry.
+async function handleParticipantsUpdated(message, sender) {
+  const tabId = sender.tab ? sender.tab.id : null;
+  const currentState = await getRecordingState();
+  const session = tabId !== null ? currentState.sessions[tabId] : null;
+  if (!session || !session.isRecording) return;
+
+  const roster = Array.isArray(message.participants) ? message.participants : [];
+  const newState = await updateSessionState(tabId, (session) => ({
+    ...session,
+    participants: updateParticipantEntries(session, roster),
+    attendanceBestEffort: session.attendanceBestEffort || message.fromPanel === false,
+  }));
+  const updatedSession = newState.sessions[tabId];
+  if (!updatedSession) return;
+
+  console.log(`Participants in tab ${tabId}:`, roster.map((participant) => participant.name));
+
+  // Journaled like bookmarks, so a recovered recording keeps its attendance
+  sendOffscreenRecordingCommand("setParticipants", {
+    tabId,
+    participants: updatedSession.participants,
+    attendanceBestEffort: updatedSession.attendanceBestEffort,
+  }).then((response) => {
+    if (!response.success) {
+      console.warn("Could not journal participants:", response.error);
+    }
+  });
+}
+
+// Close the entries of people no longer in the roster and open entries for newcomers
+function updateParticipantEntries(session, roster, now = Date.now()) {
+  const time = Math.round(getSessionElapsedSeconds(session, now) * 10) / 10;
+  const present = new Map(roster.map((participant) => [participant.id, participant.name]));
+
+  const entries = (session.participants || []).map((entry) => {
+    if (entry.leaveTime !== null) return entry;
+    if (!present.has(entry.id)) return { ...entry, leaveTime: time, leftAt: now };
+    return { ...entry, name: present.get(entry.id) };
+  });
+
+  const inCall = new Set(entries.filter((entry) => entry.leaveTime === null).map((entry) => entry.id));
+  for (const [id, name] of present) {
+    if (!inCall.has(id)) {
+      entries.push({ id, name, joinTime: time, leaveTime: null, joinedAt: now, leftAt: null });
+    }
+  }
+
+  return entries;
+}
+
+function requestParticipantRoster(tabId) {
+  chrome.tabs
+    .sendMessage(tabId, { action: "getParticipants" })
+    .then((response) => {
+      if (response) {
+        return handleParticipantsUpdated(response, { tab: { id: tabId } });
+      }
+    })
+    .catch(() => {
+      // Not a Meet tab - there is no participant tracker to answer
+    });
+}
+
+// The tracker only polls the page while the tab is recorded
+function stopParticipantTracking(tabId) {
+  chrome.tabs.sendMessage(tabId, { action: "stopParticipants" }).catch(() => {
+    // Tab closed or not a Meet tab
+  });
+}
+
+// Live captions: the Meet caption collector sends finished lines with wall-clock times, which
+// become offsets from recordingStartTime (paused time excluded). A long call collects thousands
+// of lines, so only the new ones go to the offscreen journal - the session state keeps a count.
+async function handleCaptionLines(message, sender) {
+  const tabId = sender.tab ? sender.tab.id : null;
+  const currentState = await getRecordingState();
+  const session = tabId !== null ? currentState.sessions[tabId] : null;
+  if (!session || !session.isRecording || !Array.isArray(message.lines)) return;
+
+  if (session.isPaused) {
+    console.log(`Dropping ${message.lines.length} caption lines spoken while paused`);
+    return;
+  }
+
+  const lines = toTranscriptEntries(session, message.lines);
+  if (lines.length === 0) return;
+
+  const response = await sendOffscreenRecordingCommand("appendTranscript", { tabId, lines });
+  if (!response.success) {
+    console.warn("Could not journal transcript:", response.error);
+    return;
+  }
+
+  await updateSessionState(tabId, (session) => ({
+    ...session,
+    transcriptLines: (session.transcriptLines || 0) + lines.length,
+  }));
+}
+
+function toTranscriptEntries(session, lines) {
+  const toOffset = (timestamp) =>
+    Math.round(getSessionElapsedSeconds(session, timestamp) * 10) / 10;
+
+  return lines
+    .filter((line) => line && line.text)
+    .map((line) => ({
+      speaker: String(line.speaker || "Unknown speaker"),
+      text: String(line.text),
+      start: toOffset(line.startedAt),
+      end: Math.max(toOffset(line.endedAt), toOffset(line.startedAt)),
+    }));
+}
+
+function startCaptionCollection(tabId) {
+  chrome.tabs.sendMessage(tabId, { action: "startCaptions" }).catch(() => {
+    console.log(`Tab ${tabId} is not a Meet call - no captions to save`);
+  });
+}
+
+// Stop the collector and return the lines it was still building - the rest of the transcript
+// is already in the offscreen journal
+async function stopCaptionCollection(session) {
+  if (!session.options || !session.options.saveCaptions) return [];
+
+  const response = await chrome.tabs
+    .sendMessage(session.tabId, { action: "stopCaptions" })
+    .catch(() => null);
+  const lines = response && Array.isArray(response.lines) ? response.lines : [];
+  return toTranscriptEntries(session, lines);
+}
+
+// Apply live mixer levels (tab recording, mic, passthrough, mic mute)
+async function handleSetMixerLevels(tabId, levels, sendResponse) {
+  try {
+    const currentState = await getRecordingState();
+    const sessionTabId = resolveSessionTabId(currentState, tabId);
+
+    if (sessionTabId === null) {
+      sendResponse({ success: false, error: getMissingSessionError(currentState) });
+      return;
+    }
+
+    const response = await sendOffscreenRecordingCommand("setMixerLevels", {
+      tabId: sessionTabId,
+      levels: levels,
+    });
+
+    if (response.success) {
+      await updateSessionState(sessionTabId, { mixer: response.levels });
+      sendResponse({ success: true, levels: response.levels });
+    } else {
+      sendResponse({ success: false, error: response.error });
+    }
+  } catch (error) {
+    console.error("Error setting mixer levels:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Keyboard shortcuts (manifest "commands", keys changed at chrome://extensions/shortcuts).
+// Pressing one grants activeTab on the current tab, which is what tabCapture.getMediaStreamId
+// needs, so recordings can be started without opening the popup.
+chrome.commands.onCommand.addListener((command, tab) => {
+  handleShortcutCommand(command, tab).catch((error) => {
+    console.error(`Error handling shortcut ${command}:`, error);
+    showFeedbackNotification("Shortcut failed", error.message);
+  });
+});
+
+async function handleShortcutCommand(command, tab) {
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  console.log(`Keyboard shortcut ${command} on tab`, tab ? tab.id : null);
+
+  const currentState = await getRecordingState();
+  // Act on the current tab's recording, or on the only one when this tab isn't recording
+  const tabId = tab && currentState.sessions[tab.id] ? tab.id : undefined;
+
+  if (command === "toggle-recording") {
+    if (tabId !== undefined) {
+      const response = await callSendResponseHandler(handleStopRecording, tabId);
+      if (!response.success) {
+        showFeedbackNotification("Could not stop recording", response.error);
+      }
+    } else {
+      const response = await startRecordingWithSavedSettings(tab);
+      if (response.success) {
+        showFeedbackNotification("Recording started", tab.title || "");
+      } else {
+        showFeedbackNotification("Could not start recording", response.error);
+      }
+    }
+    return;
+  }
+
+  const sessionTabId = resolveSessionTabId(currentState, tabId);
+  if (sessionTabId === null) {
+    showFeedbackNotification("Shortcut ignored", getMissingSessionError(currentState));
+    return;
+  }
+  const session = currentState.sessions[sessionTabId];
+
+  switch (command) {
+    case "toggle-pause": {
+      const handler = session.isPaused ? handleResumeRecording : handlePauseRecording;
+      const response = await callSendResponseHandler(handler, sessionTabId);
+      if (!response.success) {
+        showFeedbackNotification("Could not pause or resume", response.error);
+      }
+      break;
+    }
+
+    case "toggle-mute-microphone": {
+      if (!session.options || !session.options.includeMicrophone) {
+        showFeedbackNotification("Microphone not recorded", "This recording was started without the microphone.");
+        break;
+      }
+      const micMuted = !(session.mixer && session.mixer.micMuted);
+      const response = await callSendResponseHandler(handleSetMixerLevels, sessionTabId, { micMuted });
+      if (response.success) {
+        notifyPopupStateChange();
+        showFeedbackNotification(micMuted ? "Microphone muted" : "Microphone unmuted", session.tabTitle || "");
+      } else {
+        showFeedbackNotification("Could not mute microphone", response.error);
+      }
+      break;
+    }
+
+    case "add-bookmark": {
+      const response = await callSendResponseHandler(handleAddBookmark, {
+        tabId: sessionTabId,
+        label: "Bookmark",
+        source: "shortcut",
+      });
+      if (response.success) {
+        showFeedbackNotification("Bookmark added", `At ${formatElapsedTime(response.bookmark.time)}`);
+      } else {
+        showFeedbackNotification("Could not add bookmark", response.error);
+      }
+      break;
+    }
+
+    default:
+      console.warn("Unknown shortcut command:", command);
+  }
+}
+
+// Start a recording of a tab with the settings last used in the popup, for shortcuts and auto-record.
+// The microphone stays off - its permission check needs the popup. Resolves with the
+// handleStartRecording response.
+async function startRecordingWithSavedSettings(tab, extraOptions = {}) {
+  if (!tab || !tab.id || !/^https?:/.test(tab.url || "")) {
+    return {
+      success: false,
+      error: "Switch to a regular web page such as Google Meet and try again.",
+    };
+  }
+
+  // Same defaults as the popup
+  const settings = await chrome.storage.local.get({
+    recordingType: "tab",
+    ...RecordingFormats.DEFAULT_SETTINGS,
+    includeDeviceAudio: true,
+    separateAudioStems: false,
+    webcamOverlay: { enabled: false },
+    wavExport: { enabled: false },
+    microphone: MicrophoneSettings.DEFAULT_SETTINGS,
+    audioOutput: { deviceId: MicrophoneSettings.DEFAULT_DEVICE_ID, silent: false },
+    saveCaptions: false,
+    filenameTemplate: FilenameTemplate.DEFAULT_TEMPLATE,
+  });
+
+  // Auto-record must not pop up the screen picker unasked - it records the Meet tab itself
+  if (extraOptions.autoStarted && settings.recordingType === "screen") {
+    settings.recordingType = "tab";
+  }
+
+  if (settings.recordingType === "audio" && !settings.includeDeviceAudio) {
+    return {
+      success: false,
+      error: "Audio-only recording without the popup needs Device Audio turned on.",
+    };
+  }
+
+  // The popup checks the format as it's picked - a saved one may no longer be valid
+  const formatError =
+    settings.recordingType !== "audio" ? RecordingFormats.validate(settings) : null;
+  if (formatError) {
+    return { success: false, error: formatError };
+  }
+
+  const options = {
+    ...settings,
+    includeMicrophone: false,
+    webcamOverlay: settings.recordingType === "audio" ? { enabled: false } : settings.webcamOverlay,
+    ...extraOptions,
+    tabId: tab.id,
+  };
+
+  return callSendResponseHandler(handleStartRecording, options);
+}
+
+// Run a message handler outside onMessage, resolving with what it passes to sendResponse
+function callSendResponseHandler(handler, ...args) {
+  return new Promise((resolve) => handler(...args, resolve));
+}
+
+function formatElapsedTime(seconds) {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, "0");
+  const secs = String(total % 60).padStart(2, "0");
+  return hours > 0 ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+}
+
+// Shortcuts and auto-record give no other feedback outside the popup; reusing the id replaces
+// the previous toast
+function showFeedbackNotification(title, message) {
+  chrome.notifications
+    ?.create("recorder-feedback", {
+      type: "basic",
+      iconUrl: "icons/icon48.png",
+      title: title,
+      message: message || "",
+    })
+    .catch(() => {
+      // Notifications might not be available
+    });
+}
+
+// Test microphone permission via iframe injection
+async function handleTestMicrophonePermission(sendResponse) {
+  try {
+    console.log("Testing microphone permission via iframe injection");
+
+    // Get current active tab
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tabs.length) {
+      sendResponse({ success: false, error: "No active tab found" });
+      return;
+    }
+
+    const activeTabId = tabs[0].id;
+
+    // Inject content script to handle microphone iframe
+    await chrome.scripting.executeScript({
+      target: { tabId: activeTabId },
+      func: injectMicrophoneIframe,
+    });
+
+    sendResponse({
+      success: true,
+      message: "Microphone permission iframe injected",
+    });
+  } catch (error) {
+    console.error("Error testing microphone permission:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Function to inject microphone iframe (will be executed in content script context)
+function injectMicrophoneIframe() {
+  // Remove any existing microphone iframe
+  console.log("Injecting microphone permission iframe");
+  const existingIframe = document.getElementById(
+    "meet-recorder-microphone-iframe"
+  );
+  if (existingIframe) {
+    existingIframe.remove();
+  }
+
+  // Create new iframe
+  const microphoneIframe = document.createElement("iframe");
+  microphoneIframe.id = "meet-recorder-microphone-iframe";
+  microphoneIframe.setAttribute("allow", "microphone");
+  microphoneIframe.setAttribute(
+    "style",
+    `
+    all: initial;
+    position: fixed;
+    top: -1000px;
+    left: -1000px;
+    width: 1px;
+    height: 1px;
+    z-index: -1;
+    opacity: 0;
+    pointer-events: none;
+  `
+  );
+
+  // Set source to extension microphone permission page
+  microphoneIframe.src = chrome.runtime.getURL("microphone-permission.html");
+
+  // Add to page
+  document.body.appendChild(microphoneIframe);
+
+  console.log("Microphone permission iframe injected");
+
+  // Listen for messages from iframe
+  window.addEventListener("message", function handleMicrophoneMessage(event) {
+    if (event.data && event.data.action === "microphonePermissionResult") {
+      console.log("Received microphone permission result:", event.data);
+
+      // Send result to background script
+      chrome.runtime.sendMessage({
+        action: "microphonePermissionResult",
+        success: event.data.success,
+        error: event.data.error,
+      });
+
+      // Remove iframe and listener
+      setTimeout(() => {
+        const iframe = document.getElementById(
+          "meet-recorder-microphone-iframe"
+        );
+        if (iframe) {
+          iframe.remove();
+        }
+      }, 100);
+
+      window.removeEventListener("message", handleMicrophoneMessage);
+    }
+  });
+
+  // Auto-remove after timeout
+  setTimeout(() => {
+    const iframe = document.getElementById("meet-recorder-microphone-iframe");
+    if (iframe) {
+      iframe.remove();
+      chrome.runtime.sendMessage({
+        action: "microphonePermissionResult",
+        success: false,
+        error: "Request timed out. Please try again.",
+      });
+    }
+  }, 10000); // 10 second timeout
+}
+
+// Test camera permission (webcam overlay) via iframe injection
+async function handleTestCameraPermission(sendResponse) {
+  try {
+    console.log("Testing camera permission via iframe injection");
+
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tabs.length) {
+      sendResponse({ success: false, error: "No active tab found" });
+      return;
+    }
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tabs[0].id },
+      func: injectCameraIframe,
+    });
+
+    sendResponse({
+      success: true,
+      message: "Camera permission iframe injected",
+    });
+  } catch (error) {
+    console.error("Error testing camera permission:", error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Function to inject camera iframe (executed in content script context).
+// The result message goes straight to the popup.
+function injectCameraIframe() {
+  const iframeId = "meet-recorder-camera-iframe";
+  document.getElementById(iframeId)?.remove();
+
+  const cameraIframe = document.createElement("iframe");
+  cameraIframe.id = iframeId;
+  cameraIframe.setAttribute("allow", "camera");
+  cameraIframe.setAttribute(
+    "style",
+    `
+    all: initial;
+    position: fixed;
+    top: -1000px;
+    left: -1000px;
+    width: 1px;
+    height: 1px;
+    z-index: -1;
+    opacity: 0;
+    pointer-events: none;
+  `
+  );
+  cameraIframe.src = chrome.runtime.getURL("camera-permission.html");
+  document.body.appendChild(cameraIframe);
+
+  window.addEventListener("message", function handleCameraMessage(event) {
+    if (event.data && event.data.action === "cameraPermissionResult") {
+      chrome.runtime.sendMessage({
+        action: "cameraPermissionResult",
+        success: event.data.success,
+        error: event.data.error,
+      });
+
+      setTimeout(() => document.getElementById(iframeId)?.remove(), 100);
+      window.removeEventListener("message", handleCameraMessage);
+    }
+  });
+
+  // Auto-remove after timeout
+  setTimeout(() => {
+    const iframe = document.getElementById(iframeId);
+    if (iframe) {
+      iframe.remove();
+      chrome.runtime.sendMessage({
+        action: "cameraPermissionResult",
+        success: false,
+        error: "Request timed out. Please try again.",
+      });
+    }
+  }, 10000); // 10 second timeout
+}
+
+// Check microphone permission status via iframe injection
+async function handleCheckMicrophoneStatus(sendResponse) {
+  try {
+    console.log("Checking microphone status via iframe injection");
+
+    // Get current active tab
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tabs.length) {
+      sendResponse({ hasPermission: null, error: "No active tab found" });
+      return;
+    }
+
+    const activeTabId = tabs[0].id;
+
+    // Inject a quick check script
     const results = await chrome.scripting.executeScript({
       target: { tabId: activeTabId },
       func: checkMicrophonePermissionStatus,
@@ -1477,20 +2350,14 @@ function handleMicrophonePermissionResult(message, sendResponse) {
 function handleMicrophoneAccessFailed(message, sender) {
   console.warn("Microphone access failed during recording:", message.error);
 
-  // Update any stored recording options to reflect microphone is not available
-  chrome.storage.session
-    .get(["currentRecordingOptions"])
-    .then((result) => {
-      if (result.currentRecordingOptions) {
-        const updatedOptions = {
-          ...result.currentRecordingOptions,
-          includeMicrophone: false, // Disable microphone in current recording
-        };
-
-        chrome.storage.session.set({ currentRecordingOptions: updatedOptions });
-        console.log("Updated recording options to disable microphone");
-      }
-    })
+  // Update the session's recording options to reflect microphone is not available
+  updateSessionState(message.tabId, (session) => ({
+    ...session,
+    options: session.options
+      ? { ...session.options, includeMicrophone: false } // Disable microphone in this recording
+      : session.options,
+  }))
+    .then(() => console.log("Updated recording options to disable microphone"))
     .catch(console.error);
 
   // Notify popup about the microphone failure
@@ -1517,19 +2384,56 @@ function handleMicrophoneAccessFailed(message, sender) {
     });
 }
 
+// Handle webcam failures during recording - the recording continues without the overlay
+function handleWebcamAccessFailed(message) {
+  console.warn("Webcam overlay unavailable during recording:", message.error);
+
+  chrome.notifications
+    ?.create({
+      type: "basic",
+      iconUrl: "icons/icon48.png",
+      title: "Webcam Overlay Unavailable",
+      message: "Recording will continue without the webcam. " + message.error,
+    })
+    .catch(() => {
+      // Notifications might not be available
+    });
+}
+
 // Handle recording completion from offscreen document
-function handleRecordingComplete(message, sender) {
+async function handleRecordingComplete(message, sender) {
   console.log("Recording completed:", message.recordingData);
 
-  // Validate recording data structure
-  const recordingData = message.recordingData;
-
-  if (!recordingData || !recordingData.url) {
+  // Audio-only recordings have no video url, only the audio track
+  if (!message.recordingData || !(message.recordingData.url || message.recordingData.audioUrl)) {
     console.error("Invalid recording data received");
     handleRecordingError({ error: "Invalid recording data received" }, sender);
     return;
   }
 
+  // Bookmarks and attendance live in the session state until the recording is handed to the
+  // preview. A stopped session is already gone, but they were passed along with the stop command.
+  const currentState = await getRecordingState();
+  const session = currentState.sessions[message.tabId];
+  const bookmarks = (session && session.bookmarks) || message.recordingData.bookmarks || [];
+  const participants = session
+    ? updateParticipantEntries(session, [])
+    : message.recordingData.participants || [];
+  // The journaled transcript, plus the last lines if the recording ended without a stop command
+  const transcript = [
+    ...(message.recordingData.transcript || []),
+    ...(session ? await stopCaptionCollection(session) : []),
+  ];
+  const recordingData = {
+    ...message.recordingData,
+    bookmarks: [...bookmarks].sort((a, b) => a.time - b.time),
+    participants: [...participants].sort((a, b) => a.joinTime - b.joinTime),
+    attendanceBestEffort: session
+      ? session.attendanceBestEffort
+      : !!message.recordingData.attendanceBestEffort,
+    transcript: [...transcript].sort((a, b) => a.start - b.start),
+  };
+
   // Log recording details including audio data
   console.log("Recording details:", {
     videoSize: recordingData.size
@@ -1542,21 +2446,22 @@ function handleRecordingComplete(message, sender) {
       ? `${recordingData.duration.toFixed(1)}s`
       : "Unknown",
     hasAudio: !!recordingData.audioUrl,
+    audioOnly: !!recordingData.audioOnly,
   });
 
-  // Update recording state
-  updateRecordingState({
-    recordingData: recordingData,
-    isRecording: false,
-    isPaused: false,
-  });
+  // The session is over (it may have ended without a stop command, e.g. "Stop sharing")
+  updateRecordingState((state) => {
+    const sessions = { ...state.sessions };
+    delete sessions[message.tabId];
+    return { ...state, sessions, recordingData: recordingData };
+  }).then(() => refreshBadge());
 
-  // Clear badge
-  updateBadge("");
-
-  // Store recording data for preview tab with upload context
+  // Store recording data for preview tab with upload context. Each recording also gets
+  // its own key so previews of concurrent recordings don't overwrite each other.
+  const previewKey = getPreviewDataKey(recordingData.storageSessionId);
   chrome.storage.session.set({
     recordingData: recordingData,
+    [previewKey]: recordingData,
     canUpload: !!recordingData.audioUrl && recordingData.audioSize > 0,
   });
 
@@ -1577,7 +2482,9 @@ function handleRecordingComplete(message, sender) {
 
   // Open preview tab
   chrome.tabs.create({
-    url: chrome.runtime.getURL("preview.html"),
+    url: chrome.runtime.getURL(
+      `preview.html?recording=${encodeURIComponent(recordingData.storageSessionId)}`
+    ),
   });
 
   // Notify popup about completion
@@ -1585,6 +2492,11 @@ function handleRecordingComplete(message, sender) {
 
   console.log("Recording completion handled successfully with upload support");
 }
+// chrome.storage.session key holding one recording's data for its preview tab
+function getPreviewDataKey(storageSessionId) {
+  return `recordingData_${storageSessionId}`;
+}
+
 function cleanupUploadData() {
   try {
     // Clean up any temporary upload data
@@ -1629,9 +2541,12 @@ function enhancedCleanup() {
 function handleRecordingError(message, sender) {
   console.error("Recording error from offscreen:", message.error);
 
-  // Reset recording state
-  resetRecordingState();
-  updateBadge("");
+  // Reset the failed session (or all of them if the error isn't tied to a tab)
+  const reset =
+    message.tabId !== undefined && message.tabId !== null
+      ? removeSessionState(message.tabId)
+      : resetRecordingState();
+  reset.then(() => refreshBadge());
 
   // Notify popup about error
   notifyPopupStateChange();
@@ -1649,20 +2564,37 @@ function handleRecordingError(message, sender) {
     });
 }
 
+// Handle low disk space while recording chunks to OPFS
+function handleStorageWarning(message) {
+  console.warn("Storage warning during recording:", message.message);
+
+  chrome.notifications
+    ?.create({
+      type: "basic",
+      iconUrl: "icons/icon48.png",
+      title: "Low Disk Space",
+      message: `${message.message}. Stop the recording soon to avoid losing data.`,
+    })
+    .catch(() => {
+      // Notifications might not be available
+    });
+
+  notifyPopupStateChange();
+}
+
 // Handle tab closing during recording
 function handleTabClosing(tabId) {
   getRecordingState().then((currentState) => {
-    if (currentState.isRecording && currentState.currentTabId === tabId) {
-      console.log("Recording tab is closing, stopping recording...");
+    const session = currentState.sessions[tabId];
+    if (session && session.isRecording) {
+      console.log(`Recording tab ${tabId} is closing, stopping its recording...`);
 
       // Stop recording automatically
-      chrome.runtime
-        .sendMessage({ action: "stopRecording" })
-        .then(() => {
-          resetRecordingState();
-          updateBadge("");
-        })
-        .catch(console.error);
+      handleStopRecording(tabId, (response) => {
+        if (!response.success) {
+          console.error("Failed to stop recording for closed tab:", response.error);
+        }
+      });
     }
   });
 }
@@ -1672,14 +2604,12 @@ async function resetRecordingState() {
   console.log("reset recording state is setting false...");
 
   const currentState = await getRecordingState();
-  await setRecordingState({
-    isRecording: false,
-    isPaused: false,
-    recordingType: null,
-    currentTabId: null,
-    recordingStartTime: null,
-    recordingData: currentState.recordingData, // Keep recording data
-  });
+  Object.keys(currentState.sessions).forEach((tabId) => removeRecordingOverlay(Number(tabId)));
+
+  await updateRecordingState((state) => ({
+    sessions: {},
+    recordingData: state.recordingData, // Keep recording data
+  }));
 }
 
 // Update extension badge
@@ -1687,13 +2617,26 @@ function updateBadge(text) {
   chrome.action.setBadgeText({ text });
 
   let color = "#000000";
-  if (text === "REC") color = "#ff4444";
+  if (text.startsWith("REC")) color = "#ff4444";
   else if (text === "⏸️") color = "#ff9500";
 
   chrome.action.setBadgeBackgroundColor({ color });
 }
 
-// Notify popup about state changes
+// Badge reflects every session: REC while any is recording, paused when all are paused
+async function refreshBadge() {
+  const sessions = getActiveSessions(await getRecordingState());
+
+  if (!sessions.length) {
+    updateBadge("");
+  } else if (sessions.every((session) => session.isPaused)) {
+    updateBadge("⏸️");
+  } else {
+    updateBadge(sessions.length > 1 ? `REC${sessions.length}` : "REC");
+  }
+}
+
+// Notify popup (and the in-page overlays) about state changes
 async function notifyPopupStateChange() {
   try {
     const currentState = await getRecordingState();
@@ -1705,11 +2648,305 @@ async function notifyPopupStateChange() {
       .catch(() => {
         // Popup might not be open, ignore error
       });
+    getActiveSessions(currentState).forEach(updateRecordingOverlay);
   } catch (error) {
     console.error("Error notifying popup state change:", error);
   }
 }
 
+// In-page indicator: recording-overlay.js is injected into the recorded tab and shows the elapsed
+// time with stop / pause / bookmark buttons that go through the normal message router. Pages the
+// extension can't script (chrome://, the Web Store) just don't get one. A tab recording captures
+// the overlay too; users who'd rather keep it out of the video can hide it there.
+async function showRecordingOverlay(tabId) {
+  const { recordingOverlay, recordingOverlayHideInTab } = await chrome.storage.local.get({
+    recordingOverlay: true,
+    recordingOverlayHideInTab: false,
+  });
+  const currentState = await getRecordingState();
+  const session = currentState.sessions[tabId];
+  if (!recordingOverlay || !session) return;
+  // Tab capture records the page itself, so the controls show in the video unless hidden
+  if (session.recordingType === "tab" && recordingOverlayHideInTab) return;
+
+  try {
+    // The overlay's buttons need their tab id before the first state update arrives
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: (overlayTabId) => {
+        window.meetRecorderOverlayTabId = overlayTabId;
+      },
+      args: [tabId],
+    });
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ["recording-overlay.js"],
+    });
+    updateRecordingOverlay(session);
+  } catch (error) {
+    console.log(`No recording overlay for tab ${tabId}:`, error.message);
+  }
+}
+
+function updateRecordingOverlay(session) {
+  chrome.tabs
+    .sendMessage(session.tabId, {
+      action: "recordingOverlayUpdate",
+      tabId: session.tabId,
+      state: {
+        isPaused: session.isPaused,
+        recordingStartTime: session.recordingStartTime,
+        pauseStartTime: session.pauseStartTime,
+        totalPausedTime: session.totalPausedTime,
+      },
+    })
+    .catch(() => {
+      // No overlay in this tab
+    });
+}
+
+function removeRecordingOverlay(tabId) {
+  chrome.tabs.sendMessage(tabId, { action: "recordingOverlayRemove" }).catch(() => {
+    // Tab closed or no overlay
+  });
+}
+
+const RECOVERY_NOTIFICATION_ID = "recording-recovery";
+// chrome.storage.session key holding the session ids the recovery notification was shown for
+const RECOVERY_NOTIFICATION_KEY = "recoveryNotificationSessions";
+
+// Crash recovery: find journaled sessions that never finished recording
+async function findRecoverableSessions() {
+  const currentState = await getRecordingState();
+  const liveSessionIds = Object.values(currentState.sessions).map(
+    (session) => session.storageSessionId
+  );
+
+  const sessionIds = await RecordingStorage.listSessions();
+  const sessions = [];
+
+  for (const sessionId of sessionIds) {
+    if (liveSessionIds.includes(sessionId)) continue;
+
+    const manifest = await RecordingStorage.readManifest(sessionId);
+    if (!manifest || manifest.status !== "recording") continue;
+
+    const sizes = await RecordingStorage.getTrackSizes(
+      sessionId,
+      Object.keys(manifest.tracks)
+    );
+    const totalSize = Object.values(sizes).reduce((sum, size) => sum + size, 0);
+    if (!totalSize) {
+      // Nothing was captured before the crash
+      await RecordingStorage.deleteSession(sessionId);
+      continue;
+    }
+
+    const naming = manifest.naming;
+    sessions.push({
+      sessionId: sessionId,
+      name: naming
+        ? FilenameTemplate.render(naming.template, {
+            ...naming.context,
+            duration: RecordingStorage.getJournaledDuration(manifest),
+          })
+        : null,
+      tabTitle: manifest.tabTitle,
+      startTime: manifest.startTime,
+      duration: RecordingStorage.getJournaledDuration(manifest),
+      size: totalSize,
+    });
+  }
+
+  return sessions.sort((a, b) => b.startTime - a.startTime);
+}
+
+async function checkForRecoverableSessions() {
+  try {
+    const sessions = await findRecoverableSessions();
+    if (!sessions.length) return sessions;
+
+    console.log(`Found ${sessions.length} recoverable recording session(s)`);
+
+    // The buttons act on exactly these sessions - the worker may restart before they're clicked,
+    // and sessions found later were never described to the user
+    const latest = sessions[0];
+    await chrome.storage.session.set({
+      [RECOVERY_NOTIFICATION_KEY]: sessions.map((session) => session.sessionId),
+    });
+
+    chrome.notifications
+      ?.create(RECOVERY_NOTIFICATION_ID, {
+        type: "basic",
+        iconUrl: "icons/icon48.png",
+        title: "Unfinished Recording Found",
+        message:
+          sessions.length === 1
+            ? `A recording of "${latest.tabTitle || "a tab"}" was interrupted. Preview it to save what was captured.`
+            : `${sessions.length} recordings were interrupted. Choose which ones to preview or discard.`,
+        buttons:
+          sessions.length === 1
+            ? [{ title: "Preview" }, { title: "Discard" }]
+            : [{ title: "Choose" }],
+        requireInteraction: true,
+      })
+      .catch(() => {
+        // Notifications might not be available
+      });
+
+    return sessions;
+  } catch (error) {
+    console.error("Error checking for recoverable sessions:", error);
+    return [];
+  }
+}
+
+function openRecoveredSessionPreview(sessionId) {
+  chrome.tabs.create({
+    url: chrome.runtime.getURL(
+      `preview.html?recoverSession=${encodeURIComponent(sessionId)}`
+    ),
+  });
+}
+
+chrome.notifications?.onButtonClicked.addListener(
+  async (notificationId, buttonIndex) => {
+    if (notificationId !== RECOVERY_NOTIFICATION_ID) return;
+
+    chrome.notifications.clear(notificationId);
+    const { [RECOVERY_NOTIFICATION_KEY]: sessionIds = [] } =
+      await chrome.storage.session.get(RECOVERY_NOTIFICATION_KEY);
+    await chrome.storage.session.remove(RECOVERY_NOTIFICATION_KEY);
+
+    // Several sessions are previewed or discarded one by one in the popup's recovery list
+    if (sessionIds.length !== 1) {
+      try {
+        await chrome.action.openPopup();
+      } catch (error) {
+        console.log("Could not open popup programmatically:", error);
+        showFeedbackNotification(
+          "Unfinished Recordings",
+          "Open the extension to preview or discard each interrupted recording."
+        );
+      }
+      return;
+    }
+
+    if (buttonIndex === 0) {
+      openRecoveredSessionPreview(sessionIds[0]);
+    } else {
+      await RecordingStorage.deleteSession(sessionIds[0]);
+    }
+  }
+);
+
+// The offscreen document or service worker may have died mid-recording
+async function checkInterruptedRecording() {
+  const currentState = await getRecordingState();
+  if (!Object.keys(currentState.sessions).length) return;
+
+  if (await chrome.offscreen.hasDocument()) return;
+
+  console.warn("Recorder is gone but state says recording, resetting");
+  await resetRecordingState();
+  refreshBadge();
+  await checkForRecoverableSessions();
+}
+
+checkInterruptedRecording().catch((error) => {
+  console.error("Error checking for interrupted recording:", error);
+});
+
+// Listed meetings: the Meet content script reports joining and leaving calls. Tab capture only
+// works on a tab the extension was invoked on (popup or shortcut) since it last navigated, and a
+// page event can't grant that - so joining a listed meeting records only when the user already
+// opened the extension on that tab, and otherwise reminds them to press the record shortcut.
+// Recordings of listed meetings stop when the call is left. All of it is off unless the user
+// turned it on in the popup.
+async function getAutoRecordMeeting(meetingCode) {
+  const { autoRecord } = await chrome.storage.local.get({
+    autoRecord: { enabled: false, meetingCodes: [] },
+  });
+
+  return Boolean(
+    autoRecord.enabled && meetingCode && (autoRecord.meetingCodes || []).includes(meetingCode)
+  );
+}
+
+async function handleMeetCallJoined(message, sender) {
+  const tab = sender.tab;
+  if (!tab || !(await getAutoRecordMeeting(message.meetingCode))) return;
+
+  const currentState = await getRecordingState();
+  if (currentState.sessions[tab.id]) {
+    console.log(`Tab ${tab.id} is already recording, not auto-starting`);
+    return;
+  }
+
+  // Checked before anything else happens, so a meeting that can't be recorded sees nothing
+  if (!(await canCaptureTab(tab.id))) {
+    console.log(`Joined listed meeting ${message.meetingCode}, reminding to record`);
+    showFeedbackNotification(
+      "Record this meeting?",
+      `You joined ${message.meetingCode}. ${await getRecordShortcutHint()}`
+    );
+    return;
+  }
+
+  console.log(`Joined listed meeting ${message.meetingCode}, starting recording`);
+  const response = await startRecordingWithSavedSettings(tab, {
+    autoStarted: true,
+    meetingCode: message.meetingCode,
+  }).catch((error) => ({ success: false, error: error.message }));
+
+  if (response.success) {
+    showFeedbackNotification("Recording started", `Recording meeting ${message.meetingCode}`);
+  } else {
+    console.warn("Could not start recording the listed meeting:", response.error);
+    showFeedbackNotification("Could not start recording", `${response.error} ${await getRecordShortcutHint()}`);
+  }
+}
+
+// Asking for a stream id is the only way to know whether the tab can be captured - an unused id
+// just expires
+async function canCaptureTab(tabId) {
+  try {
+    return Boolean(await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId }));
+  } catch (error) {
+    return false;
+  }
+}
+
+async function getRecordShortcutHint() {
+  const [recordCommand] = await chrome.commands
+    .getAll()
+    .then((commands) => commands.filter((command) => command.name === "toggle-recording"))
+    .catch(() => []);
+  return recordCommand && recordCommand.shortcut
+    ? `Press ${recordCommand.shortcut} or open the extension to record.`
+    : "Open the extension to record.";
+}
+
+async function handleMeetCallLeft(message, sender) {
+  const tab = sender.tab;
+  if (!tab) return;
+
+  const currentState = await getRecordingState();
+  const session = currentState.sessions[tab.id];
+  if (!session || !session.isRecording) return;
+
+  // Stop what was started on joining, and any recording of a listed meeting
+  const autoStarted = session.options && session.options.autoStarted;
+  if (!autoStarted && !(await getAutoRecordMeeting(message.meetingCode))) return;
+
+  console.log(`Left meeting ${message.meetingCode} (${message.reason}), stopping recording`);
+  const response = await callSendResponseHandler(handleStopRecording, tab.id);
+  if (!response.success) {
+    console.error("Failed to stop recording after the call ended:", response.error);
+    showFeedbackNotification("Could not stop recording", response.error);
+  }
+}
+
 // Handle tab removal
 chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
   handleTabClosing(tabId);
@@ -1719,10 +2956,21 @@ chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.url) {
     const currentState = await getRecordingState();
+    const session = currentState.sessions[tabId];
 
-    if (currentState.isRecording && currentState.currentTabId === tabId) {
+    if (session && session.isRecording) {
       // Check if navigating away from a Meet session
       console.log(`Recording tab navigated to: ${changeInfo.url}`);
     }
   }
+
+  // A reload or navigation wipes the overlay - put it back on the new page
+  if (changeInfo.status === "complete") {
+    const currentState = await getRecordingState();
+    const session = currentState.sessions[tabId];
+
+    if (session && session.isRecording) {
+      showRecordingOverlay(tabId);
+    }
+  }
 });
@@ -0,0 +1,58 @@
+// Camera permission script - immediately requests camera access for the webcam overlay
+let stream = null;
+
+async function requestCameraPermission() {
+  try {
+    console.log('Requesting camera permission...');
+    
+    // Request camera access - works because iframe has allow="camera"
+    stream = await navigator.mediaDevices.getUserMedia({ video: true });
+    
+    console.log('Camera access granted');
+    
+    // Stop the stream immediately - we just needed permission
+    stream.getTracks().forEach(track => {
+      track.stop();
+      console.log('Test camera track stopped');
+    });
+    stream = null;
+    
+    // Notify parent window about success
+    window.parent.postMessage({
+      action: 'cameraPermissionResult',
+      success: true
+    }, '*');
+    
+  } catch (error) {
+    console.error('Camera access denied:', error);
+    
+    let errorMessage = 'Camera access denied.';
+    if (error.name === 'NotAllowedError') {
+      errorMessage = 'Please click "Allow" when prompted for camera access.';
+    } else if (error.name === 'NotFoundError') {
+      errorMessage = 'No camera found. Please connect a webcam.';
+    } else if (error.name === 'NotReadableError') {
+      errorMessage = 'The camera is in use by another application.';
+    } else {
+      errorMessage = `Camera error: ${error.message}`;
+    }
+    
+    // Notify parent window about failure
+    window.parent.postMessage({
+      action: 'cameraPermissionResult',
+      success: false,
+      error: errorMessage
+    }, '*');
+  }
+}
+
+// Handle cleanup
+window.addEventListener('beforeunload', () => {
+  if (stream) {
+    stream.getTracks().forEach(track => track.stop());
+    stream = null;
+  }
+});
+
+// Immediately request permission when script loads
+requestCameraPermission();
@@ -0,0 +1,70 @@
+// Consent Notice for Google Meet Recorder
+// Participants of a recorded Meet call are told about the recording: the notice is posted in the
+// Meet chat, or the user confirms they told everyone themselves. How it was given is kept with the
+// recording. An organization can make the notice mandatory through managed storage (policy).
+
+class ConsentNotice {
+  static DEFAULT_MESSAGE = 'Heads up: this meeting is being recorded. Let me know if you have any concerns.';
+
+  static DEFAULT_SETTINGS = {
+    enabled: false,
+    message: ConsentNotice.DEFAULT_MESSAGE,
+    postToChat: true
+  };
+
+  static MAX_MESSAGE_LENGTH = 500;
+
+  // How the notice was given - 'reminder' means the user was reminded but nothing confirms it
+  static METHODS = {
+    chat: 'Posted in the Meet chat',
+    acknowledged: 'Confirmed by the recorder',
+    reminder: 'Reminder shown only'
+  };
+
+  // The user's settings with the organization policy (managed-schema.json) applied on top
+  static async getPolicy() {
+    const { consentNotice } = await chrome.storage.local.get({ consentNotice: ConsentNotice.DEFAULT_SETTINGS });
+    // No policy installed (or managed storage unavailable) is the same as an empty one
+    const managed = await chrome.storage.managed
+      .get(['requireConsentNotice', 'consentMessage'])
+      .catch(() => ({}));
+
+    const required = managed.requireConsentNotice === true;
+    const orgMessage = ConsentNotice.normalizeMessage(managed.consentMessage);
+
+    return {
+      enabled: required || !!consentNotice.enabled,
+      required,
+      messageLocked: !!orgMessage,
+      message: orgMessage || ConsentNotice.normalizeMessage(consentNotice.message) || ConsentNotice.DEFAULT_MESSAGE,
+      postToChat: consentNotice.postToChat !== false
+    };
+  }
+
+  static normalizeMessage(message) {
+    return typeof message === 'string'
+      ? message.trim().slice(0, ConsentNotice.MAX_MESSAGE_LENGTH)
+      : '';
+  }
+
+  // What is logged with the recording
+  static createRecord(method, policy, time = Date.now()) {
+    return {
+      given: method !== 'reminder',
+      method,
+      givenAt: method !== 'reminder' ? time : null,
+      remindedAt: method === 'reminder' ? time : null,
+      message: policy.message,
+      required: policy.required
+    };
+  }
+
+  static describe(record) {
+    if (!record) return null;
+    const label = ConsentNotice.METHODS[record.method] || record.method;
+    const time = record.givenAt || record.remindedAt;
+    return time
+      ? `${label} at ${new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+      : label;
+  }
+}
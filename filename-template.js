@@ -0,0 +1,116 @@
+// Filename Template for Google Meet Recorder
+// Every file of a recording - downloads, uploads and the recovered recordings list - is named from
+// one user-configurable template such as {date}_{meetingCode}_{tabTitle}_{type}.
+
+class FilenameTemplate {
+  static DEFAULT_TEMPLATE = '{date}_{time}_{meetingCode}_{tabTitle}_{type}';
+
+  static TOKENS = {
+    date: 'Start date (2024-07-07)',
+    time: 'Start time (14-30-15)',
+    meetingCode: 'Meet code (abc-defg-hij)',
+    tabTitle: 'Meeting or tab title',
+    duration: 'Length (1h02m15s)',
+    user: 'Signed-in phone number',
+    type: 'video, audio, mic-audio, transcript...'
+  };
+
+  static MAX_LENGTH = 120;
+  static FALLBACK_NAME = 'meet-recording';
+
+  // Meet tab titles look like "Meet - abc-defg-hij" or "Meet – Weekly sync"
+  static MEET_TITLE_PREFIX = /^Meet\s*[-–—:]\s*/i;
+  static MEETING_CODE_PATTERN = /^https:\/\/meet\.google\.com\/([a-z]{3}-[a-z]{4}-[a-z]{3})(?:$|[/?#])/;
+
+  // Returns an error message for an empty template or an unknown token, or null if it's fine
+  static validate(template) {
+    if (typeof template !== 'string' || !template.trim()) {
+      return 'The filename template is empty';
+    }
+
+    const unknown = [...template.matchAll(/\{([^}]*)\}/g)]
+      .map(match => match[1])
+      .filter(token => !(token in FilenameTemplate.TOKENS));
+    return unknown.length ? `Unknown filename token: {${unknown[0]}}` : null;
+  }
+
+  // An invalid template falls back to the default. One without {type} would give the video, audio
+  // and transcript of a recording the same name, so {type} is added when missing.
+  static normalize(template) {
+    if (FilenameTemplate.validate(template)) {
+      return FilenameTemplate.DEFAULT_TEMPLATE;
+    }
+    return template.includes('{type}') ? template.trim() : `${template.trim()}_{type}`;
+  }
+
+  // What the tokens are filled from, fixed when the recording starts (duration is added at the end)
+  static createContext({ tabTitle = null, tabUrl = null, user = null } = {}, startTime = Date.now()) {
+    return {
+      startTime,
+      tabTitle,
+      meetingCode: FilenameTemplate.getMeetingCode(tabUrl),
+      user,
+      duration: null
+    };
+  }
+
+  static getMeetingCode(url) {
+    const match = (url || '').match(FilenameTemplate.MEETING_CODE_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  // Name for one file of a recording. An empty type gives the recording's own name (no extension
+  // when extension is empty too).
+  static render(template, context, type = '', extension = '') {
+    const date = new Date(context.startTime || Date.now());
+    const pad = value => String(value).padStart(2, '0');
+
+    let tabTitle = (context.tabTitle || '').replace(FilenameTemplate.MEET_TITLE_PREFIX, '');
+    if (tabTitle === context.meetingCode) tabTitle = ''; // Untitled meetings show just the code
+
+    const values = {
+      date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+      time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`,
+      meetingCode: context.meetingCode || '',
+      tabTitle,
+      duration: Number.isFinite(context.duration) ? FilenameTemplate.formatDuration(context.duration) : '',
+      user: context.user || '',
+      type
+    };
+
+    const name = FilenameTemplate.normalize(template)
+      .replace(/\{(\w+)\}/g, (match, token) => FilenameTemplate.sanitize(values[token]))
+      // Empty tokens leave their separators behind
+      .replace(/([_\-. ])[_\-. ]+/g, '$1')
+      .replace(/^[_\-. ]+|[_\-. ]+$/g, '')
+      .slice(0, FilenameTemplate.MAX_LENGTH)
+      .replace(/[_\-. ]+$/, '');
+
+    const baseName = name || [FilenameTemplate.FALLBACK_NAME, type].filter(Boolean).join('-');
+    return extension ? `${baseName}.${extension}` : baseName;
+  }
+
+  // File-system safe on every OS: no reserved characters, no control characters, no runs of spaces
+  static sanitize(value) {
+    return String(value || '')
+      .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/ /g, '-');
+  }
+
+  static formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    const pad = value => String(value).padStart(2, '0');
+
+    return hours > 0 ? `${hours}h${pad(minutes)}m${pad(secs)}s` : `${minutes}m${pad(secs)}s`;
+  }
+
+  static getExtension(filename) {
+    const match = (filename || '').match(/\.([^.]+)$/);
+    return match ? match[1] : '';
+  }
+}
@@ -0,0 +1,101 @@
+// Meet Call Detector - content script on meet.google.com
+// Tells the background when the user is actually in a call (not the lobby or the landing page)
+// and when they leave it or the call ends, so listed meetings can be recorded (or the user
+// reminded to) and stopped.
+
+class MeetCallDetector {
+  static POLL_INTERVAL_MS = 1000;
+
+  // The leave button only exists in the call itself. jsname is stable across UI languages,
+  // the aria-labels cover the English UI if it ever changes.
+  static IN_CALL_SELECTORS = [
+    'button[jsname="CQylAd"]',
+    'button[aria-label="Leave call"]',
+    'button[aria-label*="leave call" i]'
+  ];
+
+  // Meet re-renders the call controls now and then - only treat a missing leave button as
+  // leaving once it has been gone for this many polls in a row
+  static LEAVE_CONFIRM_POLLS = 3;
+
+  // Meeting codes look like abc-defg-hij
+  static MEETING_CODE_PATTERN = /^\/([a-z]{3}-[a-z]{4}-[a-z]{3})(?:$|[/?#])/;
+
+  constructor() {
+    this.inCall = false;
+    this.meetingCode = null;
+    this.missingPolls = 0;
+    this.pollInterval = null;
+  }
+
+  start() {
+    this.pollInterval = setInterval(() => this.checkCallState(), MeetCallDetector.POLL_INTERVAL_MS);
+
+    // Closing the tab is handled by the background; navigating to another page isn't
+    window.addEventListener('pagehide', () => {
+      if (this.inCall) {
+        this.leaveCall('navigated');
+      }
+    });
+  }
+
+  static getMeetingCode() {
+    const match = location.pathname.match(MeetCallDetector.MEETING_CODE_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  static isInCall() {
+    return MeetCallDetector.IN_CALL_SELECTORS.some(selector => document.querySelector(selector));
+  }
+
+  checkCallState() {
+    const meetingCode = MeetCallDetector.getMeetingCode();
+    const inCall = meetingCode !== null && MeetCallDetector.isInCall();
+
+    if (inCall) {
+      this.missingPolls = 0;
+      if (!this.inCall) {
+        this.joinCall(meetingCode);
+      } else if (meetingCode !== this.meetingCode) {
+        // Switched to another meeting without reloading (e.g. a breakout room)
+        this.leaveCall('switched');
+        this.joinCall(meetingCode);
+      }
+    } else if (this.inCall && ++this.missingPolls >= MeetCallDetector.LEAVE_CONFIRM_POLLS) {
+      this.leaveCall('ended');
+    }
+  }
+
+  joinCall(meetingCode) {
+    this.inCall = true;
+    this.meetingCode = meetingCode;
+    console.log('Meet Recorder: joined call', meetingCode);
+    this.notifyBackground('meetCallJoined', {});
+  }
+
+  leaveCall(reason) {
+    console.log('Meet Recorder: left call', this.meetingCode, reason);
+    this.notifyBackground('meetCallLeft', { reason });
+    this.inCall = false;
+    this.meetingCode = null;
+    this.missingPolls = 0;
+  }
+
+  notifyBackground(action, details) {
+    // The extension may have been reloaded or updated - this script is orphaned then
+    if (!chrome.runtime?.id) {
+      clearInterval(this.pollInterval);
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      action,
+      meetingCode: this.meetingCode,
+      ...details
+    }).catch(error => {
+      console.warn(`Meet Recorder: could not send ${action}:`, error.message);
+    });
+  }
+}
+
+new MeetCallDetector().start();
@@ -0,0 +1,186 @@
+// Meet Caption Collector - content script on meet.google.com
+// While a recording of this tab saves captions, reads Meet's live captions and sends finished,
+// speaker-attributed lines to the background, which times them against the recording.
+// Captions have to be turned on in Meet (CC) - nothing is transcribed here.
+
+class MeetCaptionCollector {
+  static POLL_INTERVAL_MS = 1000;
+
+  // A caption block that hasn't changed for this long is taken as finished
+  static IDLE_FINISH_MS = 3000;
+
+  // Warn once if captions never show up after this long
+  static CAPTIONS_MISSING_MS = 15000;
+
+  // Meet renames its classes now and then; the region role and aria-label are the stable part.
+  // Each child of the region is one speaker's block: an avatar, the name, then the caption text.
+  static REGION_SELECTORS = [
+    '[role="region"][aria-label*="aption" i]',
+    'div[jsname="dsyhDe"]'
+  ];
+  static SPEAKER_SELECTORS = ['.NWpY1d', '.zs7s8d', '.KcIKyf'];
+  static TEXT_SELECTORS = ['.bh44bd', '.ygicle', '.iTTPOb'];
+
+  constructor() {
+    this.active = false;
+    this.pollInterval = null;
+    this.blocks = new Map(); // element -> { speaker, text, fullText, startedAt, updatedAt }
+    this.savedText = new WeakMap(); // element -> its text already sent as lines
+    this.finishedLines = [];
+    this.startedAt = 0;
+    this.warnedMissing = false;
+  }
+
+  start() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.action === 'startCaptions') {
+        this.startCollecting();
+        sendResponse({ success: true });
+      } else if (message.action === 'stopCaptions') {
+        // The last lines go back with the response - the recording is about to stop
+        sendResponse({ success: true, lines: this.stopCollecting() });
+      }
+    });
+  }
+
+  startCollecting() {
+    if (this.active) return;
+
+    console.log('Meet Recorder: collecting captions');
+    this.active = true;
+    this.startedAt = Date.now();
+    this.warnedMissing = false;
+    this.pollInterval = setInterval(() => this.checkCaptions(), MeetCaptionCollector.POLL_INTERVAL_MS);
+  }
+
+  stopCollecting() {
+    if (!this.active) return [];
+
+    clearInterval(this.pollInterval);
+    this.pollInterval = null;
+    this.active = false;
+
+    for (const element of [...this.blocks.keys()]) {
+      this.finishBlock(element);
+    }
+    const lines = this.finishedLines;
+    this.finishedLines = [];
+    console.log(`Meet Recorder: stopped collecting captions, ${lines.length} final lines`);
+    return lines;
+  }
+
+  static findFirst(root, selectors) {
+    for (const selector of selectors) {
+      const element = root.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  }
+
+  static readBlock(element) {
+    const speakerElement = MeetCaptionCollector.findFirst(element, MeetCaptionCollector.SPEAKER_SELECTORS);
+    const textElement = MeetCaptionCollector.findFirst(element, MeetCaptionCollector.TEXT_SELECTORS);
+    const speaker = speakerElement ? speakerElement.textContent.trim() : '';
+
+    let text = textElement ? textElement.textContent : element.textContent;
+    if (!textElement && speaker && text.trim().startsWith(speaker)) {
+      text = text.trim().slice(speaker.length);
+    }
+
+    return { speaker: speaker || 'Unknown speaker', text: text.replace(/\s+/g, ' ').trim() };
+  }
+
+  // The part of a block not sent yet - a speaker who goes on talking stays in the same block,
+  // and Meet drops old sentences off the top of long ones
+  static stripSavedText(fullText, savedText) {
+    if (!savedText) return fullText;
+    if (fullText.startsWith(savedText)) return fullText.slice(savedText.length).trim();
+
+    // The block now starts somewhere inside the saved text - skip the overlap
+    for (let length = Math.min(savedText.length, fullText.length); length >= 10; length--) {
+      if (savedText.endsWith(fullText.slice(0, length))) {
+        return fullText.slice(length).trim();
+      }
+    }
+    return fullText;
+  }
+
+  checkCaptions() {
+    const now = Date.now();
+    const region = MeetCaptionCollector.findFirst(document, MeetCaptionCollector.REGION_SELECTORS);
+
+    if (!region && !this.warnedMissing && now - this.startedAt > MeetCaptionCollector.CAPTIONS_MISSING_MS) {
+      this.warnedMissing = true;
+      this.notifyBackground({ action: 'captionsUnavailable' });
+    }
+
+    const present = new Set();
+    for (const element of region ? region.children : []) {
+      const { speaker, text: fullText } = MeetCaptionCollector.readBlock(element);
+      let text = MeetCaptionCollector.stripSavedText(fullText, this.savedText.get(element));
+      if (!text) continue;
+
+      present.add(element);
+      const block = this.blocks.get(element);
+
+      if (!block) {
+        this.blocks.set(element, { speaker, text, fullText, startedAt: now, updatedAt: now });
+      } else if (block.text !== text) {
+        // Meet keeps revising the last words; once the start of the line changes too, the old
+        // text scrolled away and what was collected so far is a finished line
+        if (!text.startsWith(block.text.slice(0, 20))) {
+          this.finishBlock(element);
+          text = MeetCaptionCollector.stripSavedText(fullText, this.savedText.get(element));
+          if (text) {
+            this.blocks.set(element, { speaker, text, fullText, startedAt: now, updatedAt: now });
+          }
+        } else {
+          block.text = text;
+          block.fullText = fullText;
+          block.updatedAt = now;
+        }
+      }
+    }
+
+    for (const [element, block] of this.blocks) {
+      if (!present.has(element) || now - block.updatedAt > MeetCaptionCollector.IDLE_FINISH_MS) {
+        this.finishBlock(element);
+      }
+    }
+
+    if (this.finishedLines.length > 0) {
+      this.notifyBackground({ action: 'captionLines', lines: this.finishedLines });
+      this.finishedLines = [];
+    }
+  }
+
+  finishBlock(element) {
+    const block = this.blocks.get(element);
+    this.blocks.delete(element);
+    if (!block || !block.text) return;
+
+    this.savedText.set(element, block.fullText);
+
+    this.finishedLines.push({
+      speaker: block.speaker,
+      text: block.text,
+      startedAt: block.startedAt,
+      endedAt: Math.max(block.updatedAt, block.startedAt + 1000)
+    });
+  }
+
+  notifyBackground(message) {
+    // The extension may have been reloaded or updated - this script is orphaned then
+    if (!chrome.runtime?.id) {
+      clearInterval(this.pollInterval);
+      this.active = false;
+      return;
+    }
+
+    chrome.runtime.sendMessage(message).catch(error => {
+      console.warn(`Meet Recorder: could not send ${message.action}:`, error.message);
+    });
+  }
+}
+
+new MeetCaptionCollector().start();
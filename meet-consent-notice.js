@@ -0,0 +1,120 @@
+// Meet Consent Notice - content script on meet.google.com
+// Posts the recording consent notice into the Meet chat when the background asks, once capture
+// has started. Answers whether it was sent, so the background can fall back to asking the user
+// to tell participants themselves.
+
+class MeetConsentNotice {
+  static WAIT_TIMEOUT_MS = 3000;
+  static WAIT_INTERVAL_MS = 100;
+
+  // Same leave button as the call detector - there's no chat in the lobby
+  static IN_CALL_SELECTORS = [
+    'button[jsname="CQylAd"]',
+    'button[aria-label="Leave call"]',
+    'button[aria-label*="leave call" i]'
+  ];
+  static CHAT_BUTTON_SELECTORS = [
+    'button[data-panel-id="2"]',
+    'button[aria-label*="chat with everyone" i]',
+    'button[aria-label^="chat" i]'
+  ];
+  static CHAT_INPUT_SELECTORS = [
+    'textarea[jsname="YPqjbf"]',
+    'textarea[aria-label*="send a message" i]'
+  ];
+  static SEND_BUTTON_SELECTORS = [
+    'button[jsname="SoqoBf"]',
+    'button[aria-label*="send a message" i]'
+  ];
+
+  start() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.action === 'postConsentNotice') {
+        this.postNotice(message.message)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => {
+            console.warn('Meet Recorder: could not post the consent notice:', error.message);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Keep message channel open for async response
+      }
+    });
+  }
+
+  static findFirst(selectors) {
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      if (element) return element;
+    }
+    return null;
+  }
+
+  static async waitFor(check) {
+    const deadline = Date.now() + MeetConsentNotice.WAIT_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const result = check();
+      if (result) return result;
+      await new Promise(resolve => setTimeout(resolve, MeetConsentNotice.WAIT_INTERVAL_MS));
+    }
+    return null;
+  }
+
+  async postNotice(message) {
+    if (!message) {
+      throw new Error('The notice is empty');
+    }
+    if (!MeetConsentNotice.findFirst(MeetConsentNotice.IN_CALL_SELECTORS)) {
+      throw new Error('Not in the call yet');
+    }
+
+    // Open the chat panel if it's closed, and close it again afterwards
+    let chatButton = null;
+    let input = MeetConsentNotice.findFirst(MeetConsentNotice.CHAT_INPUT_SELECTORS);
+    if (!input) {
+      chatButton = MeetConsentNotice.findFirst(MeetConsentNotice.CHAT_BUTTON_SELECTORS);
+      if (!chatButton) {
+        throw new Error('Meet chat not found');
+      }
+      chatButton.click();
+      input = await MeetConsentNotice.waitFor(() => MeetConsentNotice.findFirst(MeetConsentNotice.CHAT_INPUT_SELECTORS));
+      if (!input) {
+        throw new Error('Meet chat did not open');
+      }
+    }
+
+    try {
+      // The host can turn chat off for participants
+      if (input.disabled) {
+        throw new Error('Chat is turned off in this meeting');
+      }
+
+      // Meet listens for input events - setting the value through the native setter makes
+      // its own handlers see the text and enable the send button
+      input.focus();
+      Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set.call(input, message);
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+
+      const sendButton = await MeetConsentNotice.waitFor(() => {
+        const button = MeetConsentNotice.findFirst(MeetConsentNotice.SEND_BUTTON_SELECTORS);
+        return button && !button.disabled && button.getAttribute('aria-disabled') !== 'true' ? button : null;
+      });
+      if (sendButton) {
+        sendButton.click();
+      } else {
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', code: 'Enter', keyCode: 13, bubbles: true }));
+      }
+
+      // Meet clears the box once the message is sent
+      if (!(await MeetConsentNotice.waitFor(() => input.value === ''))) {
+        throw new Error('Meet did not send the message');
+      }
+      console.log('Meet Recorder: consent notice posted in the chat');
+    } finally {
+      if (chatButton) {
+        chatButton.click();
+      }
+    }
+  }
+}
+
+new MeetConsentNotice().start();
@@ -0,0 +1,137 @@
+// Meet Participant Tracker - content script on meet.google.com
+// While a recording of this tab runs, reports who is in the call whenever that changes. The
+// background asks for the roster when the recording starts and turns the changes into join/leave
+// times; nothing is read or sent while the tab isn't recorded.
+// The People panel lists everyone, so only it can tell that someone left. With the panel closed
+// only the video tiles are left, and a missing tile may just be off the grid, hidden by the layout
+// or by a presentation - people are then added but never removed, and the attendance is marked
+// best-effort (fromPanel: false).
+
+class MeetParticipantTracker {
+  static POLL_INTERVAL_MS = 2000;
+
+  // Rows of the People panel and video tiles both carry the participant id
+  static PANEL_ROW_SELECTOR = '[role="listitem"][data-participant-id]';
+  static TILE_SELECTOR = '[data-participant-id]';
+  static NAME_SELECTORS = ['[data-self-name]', '.zWGUib', '.notranslate'];
+
+  // A re-rendered panel row shouldn't count as leaving
+  static LEAVE_CONFIRM_POLLS = 3;
+
+  constructor() {
+    this.participants = new Map(); // id -> { id, name, missingPolls }
+    this.fromPanel = false;
+    this.pollInterval = null;
+  }
+
+  start() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.action === 'getParticipants') {
+        // A recording of this tab starts - answer with who is there now and keep watching
+        sendResponse({ participants: this.startTracking(), fromPanel: this.fromPanel });
+      } else if (message.action === 'stopParticipants') {
+        this.stopTracking();
+        sendResponse({ success: true });
+      }
+    });
+  }
+
+  startTracking() {
+    // Start from who is there now - people who left before aren't in it
+    this.participants.clear();
+    this.checkParticipants(false);
+
+    if (!this.pollInterval) {
+      this.pollInterval = setInterval(() => this.checkParticipants(), MeetParticipantTracker.POLL_INTERVAL_MS);
+    }
+    return this.getRoster();
+  }
+
+  stopTracking() {
+    clearInterval(this.pollInterval);
+    this.pollInterval = null;
+    this.participants.clear();
+  }
+
+  static getParticipantName(element) {
+    for (const selector of MeetParticipantTracker.NAME_SELECTORS) {
+      const nameElement = element.querySelector(selector);
+      const name = nameElement && (nameElement.getAttribute('data-self-name') || nameElement.textContent);
+      if (name && name.trim()) return name.trim();
+    }
+    return null;
+  }
+
+  // { id: name } of the elements matching selector - the same person can appear in several places
+  static readParticipants(selector) {
+    const found = new Map();
+
+    for (const element of document.querySelectorAll(selector)) {
+      const id = element.getAttribute('data-participant-id');
+      const name = MeetParticipantTracker.getParticipantName(element);
+      if (id && name && !found.has(id)) {
+        found.set(id, name);
+      }
+    }
+
+    return found;
+  }
+
+  checkParticipants(notify = true) {
+    const panel = MeetParticipantTracker.readParticipants(MeetParticipantTracker.PANEL_ROW_SELECTOR);
+    const fromPanel = panel.size > 0;
+    const visible = fromPanel ? panel : MeetParticipantTracker.readParticipants(MeetParticipantTracker.TILE_SELECTOR);
+    let changed = fromPanel !== this.fromPanel;
+    this.fromPanel = fromPanel;
+
+    for (const [id, name] of visible) {
+      const participant = this.participants.get(id);
+      if (!participant) {
+        this.participants.set(id, { id, name, missingPolls: 0 });
+        changed = true;
+      } else {
+        participant.missingPolls = 0;
+        if (participant.name !== name) {
+          participant.name = name;
+          changed = true;
+        }
+      }
+    }
+
+    // Only the full list says someone is gone
+    if (fromPanel) {
+      for (const [id, participant] of this.participants) {
+        if (!panel.has(id) && ++participant.missingPolls >= MeetParticipantTracker.LEAVE_CONFIRM_POLLS) {
+          this.participants.delete(id);
+          changed = true;
+        }
+      }
+    }
+
+    if (changed && notify) {
+      this.notifyBackground();
+    }
+  }
+
+  getRoster() {
+    return [...this.participants.values()].map(({ id, name }) => ({ id, name }));
+  }
+
+  notifyBackground() {
+    // The extension may have been reloaded or updated - this script is orphaned then
+    if (!chrome.runtime?.id) {
+      this.stopTracking();
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'participantsUpdated',
+      participants: this.getRoster(),
+      fromPanel: this.fromPanel
+    }).catch(error => {
+      console.warn('Meet Recorder: could not send participants:', error.message);
+    });
+  }
+}
+
+new MeetParticipantTracker().start();
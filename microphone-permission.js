@@ -5,13 +5,12 @@ async function requestMicrophonePermission() {
   try {
     console.log('Requesting microphone permission...');
     
+    // Ask for the mic the user picked, but any mic grants permission (the device list needs it)
+    const { microphone } = await chrome.storage.local.get(['microphone']);
+    
     // Request microphone access - works because iframe has allow="microphone"
     stream = await navigator.mediaDevices.getUserMedia({ 
-      audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true
-      }
+      audio: MicrophoneSettings.getConstraints(microphone, false)
     });
     
     console.log('Microphone access granted');
@@ -0,0 +1,66 @@
+// Microphone Settings for Google Meet Recorder
+// Shared by the popup (device list), the microphone permission page and the offscreen recorder
+// so every getUserMedia call asks for the same device and processing options. Also lists the
+// speakers the tab audio passthrough can play on.
+
+class MicrophoneSettings {
+  static DEFAULT_DEVICE_ID = 'default';
+
+  static DEFAULT_SETTINGS = {
+    deviceId: 'default',
+    echoCancellation: true,
+    noiseSuppression: true,
+    autoGainControl: true
+  };
+
+  static PROCESSING_OPTIONS = ['echoCancellation', 'noiseSuppression', 'autoGainControl'];
+
+  static normalize(settings = {}) {
+    const normalized = { ...MicrophoneSettings.DEFAULT_SETTINGS };
+
+    if (typeof settings.deviceId === 'string' && settings.deviceId) {
+      normalized.deviceId = settings.deviceId;
+    }
+    for (const option of MicrophoneSettings.PROCESSING_OPTIONS) {
+      if (typeof settings[option] === 'boolean') {
+        normalized[option] = settings[option];
+      }
+    }
+
+    return normalized;
+  }
+
+  // Audio constraints for getUserMedia. exactDevice fails on a missing device instead of
+  // silently recording another one, so the caller can tell the user.
+  static getConstraints(settings, exactDevice = true) {
+    const { deviceId, ...processing } = MicrophoneSettings.normalize(settings);
+    const constraints = { ...processing };
+
+    if (deviceId !== MicrophoneSettings.DEFAULT_DEVICE_ID) {
+      constraints.deviceId = exactDevice ? { exact: deviceId } : { ideal: deviceId };
+    }
+
+    return constraints;
+  }
+
+  // [{ deviceId, label }] - devices (and their labels) are only listed once microphone permission is granted
+  static async listInputDevices() {
+    return MicrophoneSettings.listDevices('audioinput', 'Microphone');
+  }
+
+  static async listOutputDevices() {
+    return MicrophoneSettings.listDevices('audiooutput', 'Speaker');
+  }
+
+  static async listDevices(kind, fallbackLabel) {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    // 'default' and 'communications' are aliases of real devices - the default gets its own entry
+    const matching = devices.filter(device => device.kind === kind &&
+      device.deviceId && device.deviceId !== MicrophoneSettings.DEFAULT_DEVICE_ID && device.deviceId !== 'communications');
+
+    return matching.map((device, index) => ({
+      deviceId: device.deviceId,
+      label: device.label || `${fallbackLabel} ${index + 1}`
+    }));
+  }
+}
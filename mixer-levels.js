@@ -0,0 +1,13 @@
+// Mixer Levels for Google Meet Recorder
+// Shared by the background (session state) and the offscreen recorder (gain nodes) so a new
+// session starts from the same live mixer levels on both sides.
+
+class MixerLevels {
+  // Gain values are linear (1.0 = unchanged level)
+  static DEFAULT_LEVELS = {
+    tabRecording: 1.0,
+    microphone: 1.0,
+    passthrough: 1.0,
+    micMuted: false
+  };
+}
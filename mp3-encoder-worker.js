@@ -0,0 +1,152 @@
+// MP3 Encoder Worker for Google Meet Recorder
+// Encodes decoded PCM to MP3 with the bundled LAME port and prepends an ID3v2.3 tag,
+// off the preview page's main thread so the UI stays responsive on long recordings
+
+importScripts('lib/lame.min.js');
+
+const SAMPLES_PER_FRAME = 1152;
+const FRAMES_PER_BLOCK = 64; // Samples handed to LAME per call
+
+// The page streams the audio in: 'start', then 'chunk' messages of decoded PCM, then 'finish'.
+// Each is answered ('started', 'chunkDone', 'done'), so only one chunk is held here at a time. Only the encoded
+// MP3 - about a tenth of the PCM - is kept until the end.
+let encoder = null;
+let parts = [];
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  try {
+    if (message.type === 'start') {
+      start(message);
+      self.postMessage({ type: 'started' });
+    } else if (message.type === 'chunk') {
+      encodeChunk(message.channels);
+      self.postMessage({ type: 'chunkDone' });
+    } else if (message.type === 'finish') {
+      self.postMessage({ type: 'done', blob: finish() });
+    } else {
+      console.warn('Unknown message type in MP3 encoder:', message.type);
+    }
+  } catch (error) {
+    console.error('MP3 encoding failed:', error);
+    self.postMessage({ type: 'error', error: error.message });
+  }
+};
+
+// channels: 1 or 2, sampleRate in Hz, bitrate in kbps
+function start({ channels, sampleRate, bitrate, tags }) {
+  encoder = new lamejs.Mp3Encoder(channels, sampleRate, bitrate);
+  parts = [createId3Tag(tags)];
+}
+
+// channels: Float32Array per channel, converted to 16-bit a block at a time
+function encodeChunk(channels) {
+  if (!encoder) {
+    throw new Error('MP3 encoder was not started');
+  }
+
+  const blockSize = SAMPLES_PER_FRAME * FRAMES_PER_BLOCK;
+  const length = channels[0].length;
+
+  for (let offset = 0; offset < length; offset += blockSize) {
+    const end = Math.min(offset + blockSize, length);
+    const left = toInt16(channels[0].subarray(offset, end));
+    const mp3Data = channels.length > 1
+      ? encoder.encodeBuffer(left, toInt16(channels[1].subarray(offset, end)))
+      : encoder.encodeBuffer(left);
+
+    if (mp3Data.length > 0) {
+      parts.push(mp3Data);
+    }
+  }
+}
+
+function finish() {
+  const finalData = encoder.flush();
+  if (finalData.length > 0) {
+    parts.push(finalData);
+  }
+
+  const blob = new Blob(parts, { type: 'audio/mpeg' });
+  encoder = null;
+  parts = [];
+  return blob;
+}
+
+function toInt16(samples) {
+  const output = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const clamped = Math.max(-1, Math.min(1, samples[i]));
+    output[i] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+  }
+  return output;
+}
+
+// ID3v2.3 tag: title, artist (the recorder), recording date/time and length
+function createId3Tag({ title, artist, date, durationMs }) {
+  const frames = [];
+
+  if (title) frames.push(createTextFrame('TIT2', title));
+  if (artist) frames.push(createTextFrame('TPE1', artist));
+
+  if (date) {
+    const recordedAt = new Date(date);
+    const pad = (value) => String(value).padStart(2, '0');
+    frames.push(createTextFrame('TYER', String(recordedAt.getFullYear())));
+    frames.push(createTextFrame('TDAT', pad(recordedAt.getDate()) + pad(recordedAt.getMonth() + 1)));
+    frames.push(createTextFrame('TIME', pad(recordedAt.getHours()) + pad(recordedAt.getMinutes())));
+  }
+
+  if (durationMs) {
+    frames.push(createTextFrame('TLEN', String(Math.round(durationMs))));
+  }
+
+  const bodySize = frames.reduce((total, frame) => total + frame.length, 0);
+  const tag = new Uint8Array(10 + bodySize);
+
+  tag.set([0x49, 0x44, 0x33, 0x03, 0x00, 0x00]); // "ID3", version 2.3.0, no flags
+  // Tag size is "syncsafe": 7 bits per byte
+  tag[6] = (bodySize >> 21) & 0x7f;
+  tag[7] = (bodySize >> 14) & 0x7f;
+  tag[8] = (bodySize >> 7) & 0x7f;
+  tag[9] = bodySize & 0x7f;
+
+  let offset = 10;
+  for (const frame of frames) {
+    tag.set(frame, offset);
+    offset += frame.length;
+  }
+
+  return tag;
+}
+
+// Text frames are ISO-8859-1 when possible, otherwise UTF-16 with a byte order mark
+function createTextFrame(id, text) {
+  const latin1 = /^[\x00-\xff]*$/.test(text);
+  const data = latin1 ? new Uint8Array(1 + text.length) : new Uint8Array(3 + text.length * 2);
+
+  if (latin1) {
+    data[0] = 0x00;
+    for (let i = 0; i < text.length; i++) {
+      data[1 + i] = text.charCodeAt(i);
+    }
+  } else {
+    data.set([0x01, 0xff, 0xfe]);
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      data[3 + i * 2] = code & 0xff;
+      data[4 + i * 2] = code >> 8;
+    }
+  }
+
+  const frame = new Uint8Array(10 + data.length);
+  const view = new DataView(frame.buffer);
+  for (let i = 0; i < 4; i++) {
+    frame[i] = id.charCodeAt(i);
+  }
+  view.setUint32(4, data.length); // Frame sizes are plain 32-bit in v2.3
+  frame.set(data, 10);
+
+  return frame;
+}
@@ -0,0 +1,633 @@
+// MP4 Remuxer for Google Meet Recorder
+// Converts a WebM recording to fragmented MP4 without re-encoding: the encoded frames are copied into
+// MP4 fragments (one per WebM cluster) and only the container metadata is rebuilt, so it runs offline
+// and fast. H.264, VP9 and AV1 video and Opus audio have MP4 mappings; VP8 does not.
+// The WebM side is read with WebmFixer, which doubles as the EBML reader.
+
+class Mp4Remuxer {
+  static CODECS = {
+    'V_MPEG4/ISO/AVC': { kind: 'video', name: 'H.264' },
+    'V_VP9': {
+      kind: 'video',
+      name: 'VP9',
+      note: 'VP9 video plays in Chrome, Edge, VLC and recent macOS, but not in older QuickTime or PowerPoint.'
+    },
+    'V_AV1': {
+      kind: 'video',
+      name: 'AV1',
+      note: 'AV1 video only plays on recent systems and players.'
+    },
+    'A_OPUS': {
+      kind: 'audio',
+      name: 'Opus',
+      note: 'Opus audio in MP4 plays in browsers, VLC and recent Apple devices, but not in older QuickTime or PowerPoint.'
+    }
+  };
+
+  static UNSUPPORTED_REASONS = {
+    'V_VP8': 'This recording uses VP8 video, which has no MP4 mapping - converting it would mean re-encoding every frame. ' +
+      'Choose MP4 or the H.264 codec under Quality & Format to get recordings that open in QuickTime and PowerPoint.',
+    'A_VORBIS': 'This recording uses Vorbis audio, which has no MP4 mapping.'
+  };
+
+  static IDS = {
+    TRACK_ENTRY: 0xae,
+    TRACK_NUMBER: 0xd7,
+    CODEC_ID: 0x86,
+    CODEC_PRIVATE: 0x63a2,
+    VIDEO: 0xe0,
+    PIXEL_WIDTH: 0xb0,
+    PIXEL_HEIGHT: 0xba,
+    AUDIO: 0xe1,
+    CHANNELS: 0x9f,
+    REFERENCE_BLOCK: 0xfb
+  };
+
+  static MOVIE_TIMESCALE = 1000;
+  static OPUS_TIMESCALE = 48000;
+
+  // trun sample flags
+  static SYNC_SAMPLE = 0x02000000; // depends on no other sample
+  static NON_SYNC_SAMPLE = 0x01010000; // depends on others, not a sync sample
+
+  constructor(file) {
+    this.file = file;
+    this.reader = new WebmFixer(file);
+    this.probeResult = null;
+  }
+
+  // { supported, reason, notes, tracks } - reads only the file's header (and first cluster for H.264)
+  async probe() {
+    if (this.probeResult) return this.probeResult;
+
+    try {
+      const { IDS } = WebmFixer;
+      const ebml = await this.reader.readElementHeader(0);
+      const segment = ebml && await this.reader.readElementHeader(ebml.dataEnd);
+      if (!segment || segment.id !== IDS.SEGMENT) {
+        throw new Error('Not a WebM file');
+      }
+
+      let timecodeScale = 1000000;
+      let trackElements = null;
+      let position = segment.dataStart;
+
+      // Info and Tracks come before the first cluster
+      while (position < this.file.size) {
+        const element = await this.reader.readElementHeader(position);
+        if (!element || element.unknownSize || element.id === IDS.CLUSTER) break;
+
+        const bytes = await this.reader.readBytes(element.start, element.dataEnd - element.start);
+        if (element.id === IDS.INFO) {
+          timecodeScale = this.reader.findUint(bytes, IDS.TIMECODE_SCALE) || timecodeScale;
+        } else if (element.id === IDS.TRACKS) {
+          trackElements = this.reader.readChildren(bytes, Mp4Remuxer.IDS.TRACK_ENTRY);
+        }
+        position = element.dataEnd;
+      }
+
+      if (!trackElements) {
+        throw new Error('No tracks found in the recording');
+      }
+
+      const tracks = trackElements.map(entry => this.parseTrack(entry));
+      const notes = [];
+
+      for (const track of tracks) {
+        const codec = Mp4Remuxer.CODECS[track.codecId];
+        if (!codec) {
+          const reason = Mp4Remuxer.UNSUPPORTED_REASONS[track.codecId] ||
+            `This recording uses a codec (${track.codecId}) that can't be copied into MP4.`;
+          this.probeResult = { supported: false, reason, notes: [], tracks };
+          return this.probeResult;
+        }
+        if (codec.note) notes.push(codec.note);
+      }
+
+      this.timecodeScale = timecodeScale;
+      this.clustersStart = position;
+      this.segmentEnd = segment.unknownSize ? this.file.size : Math.min(segment.dataEnd, this.file.size);
+      this.tracks = tracks;
+
+      for (const track of tracks) {
+        await this.prepareTrack(track);
+      }
+
+      this.probeResult = { supported: true, reason: null, notes, tracks };
+    } catch (error) {
+      console.warn('MP4 remux probe failed:', error);
+      this.probeResult = { supported: false, reason: `The recording can't be read: ${error.message}`, notes: [], tracks: [] };
+    }
+
+    return this.probeResult;
+  }
+
+  parseTrack(entry) {
+    const { IDS } = Mp4Remuxer;
+    const codecId = this.getPayload(entry, IDS.CODEC_ID);
+    const video = this.reader.readChildren(entry, IDS.VIDEO)[0];
+    const audio = this.reader.readChildren(entry, IDS.AUDIO)[0];
+
+    return {
+      number: this.reader.findUint(entry, IDS.TRACK_NUMBER),
+      codecId: codecId ? new TextDecoder().decode(codecId).replace(/\0+$/, '') : 'unknown',
+      codecPrivate: this.getPayload(entry, IDS.CODEC_PRIVATE),
+      width: video ? this.reader.findUint(video, IDS.PIXEL_WIDTH) : 0,
+      height: video ? this.reader.findUint(video, IDS.PIXEL_HEIGHT) : 0,
+      channels: audio ? this.reader.findUint(audio, IDS.CHANNELS) || 2 : 0
+    };
+  }
+
+  // Codec configuration box and timescale for each track
+  async prepareTrack(track) {
+    const codec = Mp4Remuxer.CODECS[track.codecId];
+    track.kind = codec.kind;
+    track.id = this.tracks.indexOf(track) + 1;
+    track.timescale = codec.kind === 'audio'
+      ? Mp4Remuxer.OPUS_TIMESCALE
+      : Math.round(1e9 / this.timecodeScale);
+
+    switch (track.codecId) {
+      case 'V_MPEG4/ISO/AVC':
+        track.sampleEntry = 'avc1';
+        track.config = this.box('avcC', track.codecPrivate || await this.createAvcConfig(track));
+        break;
+
+      case 'V_VP9':
+        track.sampleEntry = 'vp09';
+        track.config = this.createVp9Config(track);
+        break;
+
+      case 'V_AV1':
+        if (!track.codecPrivate) {
+          throw new Error('AV1 track has no codec configuration');
+        }
+        track.sampleEntry = 'av01';
+        track.config = this.box('av1C', track.codecPrivate);
+        break;
+
+      case 'A_OPUS':
+        track.sampleEntry = 'Opus';
+        track.config = this.createOpusConfig(track);
+        break;
+    }
+
+    track.pending = null; // Last sample, waiting for the next one to know its duration
+    track.ready = [];
+    track.endTime = 0;
+    track.lastDuration = 0;
+  }
+
+  // Writes the MP4 to a FileSystemWritableFileStream. tags: { title, artist, date }
+  async remux(writable, { tags = {}, onProgress = () => {} } = {}) {
+    const probe = await this.probe();
+    if (!probe.supported) {
+      throw new Error(probe.reason);
+    }
+
+    this.tags = tags;
+    this.sequenceNumber = 1;
+    for (const track of this.tracks) {
+      track.pending = null;
+      track.ready = [];
+      track.endTime = 0;
+    }
+
+    const ftyp = this.createFtyp();
+    await writable.write(ftyp);
+    await writable.write(this.createMoov());
+
+    let position = this.clustersStart;
+    while (position < this.segmentEnd) {
+      const element = await this.reader.readElementHeader(position);
+      if (!element) break;
+
+      if (element.id === WebmFixer.IDS.CLUSTER) {
+        const cluster = await this.reader.scanCluster(element);
+        if (cluster.dataEnd === cluster.dataStart) break;
+
+        await this.readClusterSamples(cluster);
+        await this.writeFragment(writable);
+        onProgress(cluster.dataEnd / this.file.size);
+        position = cluster.dataEnd;
+        continue;
+      }
+
+      if (element.unknownSize) break;
+      position = element.dataEnd;
+    }
+
+    // The last sample of each track has no successor - give it the previous sample's duration
+    for (const track of this.tracks) {
+      if (track.pending) {
+        track.pending.duration = track.kind === 'audio'
+          ? this.getOpusSampleCount(track.pending.data)
+          : track.lastDuration || Math.round(track.timescale / 30);
+        this.queueSample(track, track.pending);
+        track.pending = null;
+      }
+    }
+    await this.writeFragment(writable);
+
+    // Same size as the placeholder (durations are fixed-width), so it is rewritten in place
+    await writable.write({ type: 'write', position: ftyp.length, data: this.createMoov() });
+    onProgress(1);
+
+    console.log(`Remuxed to MP4: ${this.sequenceNumber - 1} fragments, ${this.getDuration().toFixed(1)}s`);
+  }
+
+  async readClusterSamples(cluster) {
+    const { IDS } = WebmFixer;
+    const bytes = new Uint8Array(await this.file.slice(cluster.dataStart, cluster.dataEnd).arrayBuffer());
+    let timecode = 0;
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      const id = this.reader.readVint(bytes, offset, true);
+      const size = id && this.reader.readVint(bytes, offset + id.length);
+      if (!size) break;
+
+      const dataStart = offset + id.length + size.length;
+      const dataEnd = dataStart + size.value;
+
+      if (id.value === IDS.TIMECODE) {
+        timecode = this.reader.readUint(bytes.subarray(dataStart, dataEnd));
+      } else if (id.value === IDS.SIMPLE_BLOCK) {
+        this.addBlock(bytes.subarray(dataStart, dataEnd), timecode, null);
+      } else if (id.value === IDS.BLOCK_GROUP) {
+        const group = bytes.subarray(offset, dataEnd);
+        const block = this.getPayload(group, IDS.BLOCK);
+        if (block) {
+          // Block has no keyframe flag - a block without references is a keyframe
+          const keyframe = this.reader.readChildren(group, Mp4Remuxer.IDS.REFERENCE_BLOCK).length === 0;
+          this.addBlock(block, timecode, keyframe);
+        }
+      }
+
+      offset = dataEnd;
+    }
+  }
+
+  addBlock(block, clusterTimecode, keyframe) {
+    const trackNumber = this.reader.readVint(block, 0);
+    const track = this.tracks.find(candidate => candidate.number === trackNumber.value);
+    if (!track) return;
+
+    const view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    const flags = block[trackNumber.length + 2];
+    if (flags & 0x06) {
+      throw new Error('Laced WebM blocks are not supported');
+    }
+
+    let data = block.subarray(trackNumber.length + 3);
+    if (track.sampleEntry === 'avc1' && this.isAnnexB(data)) {
+      data = this.annexBToLengthPrefixed(data);
+    }
+
+    const webmTime = clusterTimecode + view.getInt16(trackNumber.length);
+    const sample = {
+      time: Math.max(0, Math.round(webmTime * this.timecodeScale / 1e9 * track.timescale)),
+      data: data,
+      keyframe: keyframe === null ? !!(flags & 0x80) : keyframe
+    };
+
+    if (track.pending) {
+      track.pending.duration = Math.max(0, sample.time - track.pending.time);
+      track.lastDuration = track.pending.duration || track.lastDuration;
+      this.queueSample(track, track.pending);
+    }
+    track.pending = sample;
+  }
+
+  queueSample(track, sample) {
+    // Timestamps can collide after rounding; never let a sample start before the previous one ended
+    if (track.ready.length === 0) {
+      track.baseTime = Math.max(sample.time, track.endTime);
+    }
+    track.ready.push(sample);
+    track.endTime = Math.max(track.endTime, sample.time) + sample.duration;
+  }
+
+  // moof + mdat with every queued sample
+  async writeFragment(writable) {
+    const tracks = this.tracks.filter(track => track.ready.length > 0);
+    if (tracks.length === 0) return;
+
+    // Build the moof once to learn its size, then again with the real data offsets
+    const buildMoof = (dataOffsets) => this.box('moof',
+      this.fullBox('mfhd', 0, 0, this.uint32(this.sequenceNumber)),
+      ...tracks.map((track, index) => this.createTraf(track, dataOffsets[index]))
+    );
+
+    const sizes = tracks.map(track => track.ready.reduce((total, sample) => total + sample.data.length, 0));
+    const moofSize = buildMoof(tracks.map(() => 0)).length;
+    const dataOffsets = [];
+    let offset = moofSize + 8; // mdat header
+    for (const size of sizes) {
+      dataOffsets.push(offset);
+      offset += size;
+    }
+
+    const mdatSize = 8 + sizes.reduce((total, size) => total + size, 0);
+    const mdatHeader = this.concat([this.uint32(mdatSize), this.fourCC('mdat')]);
+    const samples = tracks.flatMap(track => track.ready.map(sample => sample.data));
+
+    await writable.write(new Blob([buildMoof(dataOffsets), mdatHeader, ...samples]));
+
+    for (const track of tracks) {
+      track.ready = [];
+    }
+    this.sequenceNumber++;
+  }
+
+  createTraf(track, dataOffset) {
+    const samples = track.ready;
+    const trunEntries = samples.map(sample => this.concat([
+      this.uint32(sample.duration),
+      this.uint32(sample.data.length),
+      this.uint32(track.kind === 'audio' || sample.keyframe ? Mp4Remuxer.SYNC_SAMPLE : Mp4Remuxer.NON_SYNC_SAMPLE)
+    ]));
+
+    return this.box('traf',
+      this.fullBox('tfhd', 0, 0x020000, this.uint32(track.id)), // default-base-is-moof
+      this.fullBox('tfdt', 1, 0, this.uint64(track.baseTime)),
+      // data-offset, sample-duration, sample-size and sample-flags present
+      this.fullBox('trun', 0, 0x000701, this.uint32(samples.length), this.uint32(dataOffset), ...trunEntries)
+    );
+  }
+
+  // --- Header boxes ---
+
+  createFtyp() {
+    return this.box('ftyp', this.fourCC('isom'), this.uint32(0x200),
+      this.fourCC('isom'), this.fourCC('iso6'), this.fourCC('mp41'));
+  }
+
+  createMoov() {
+    const duration = Math.round(this.getDuration() * Mp4Remuxer.MOVIE_TIMESCALE);
+
+    return this.box('moov',
+      this.fullBox('mvhd', 1, 0,
+        this.uint64(0), this.uint64(0), // creation / modification time
+        this.uint32(Mp4Remuxer.MOVIE_TIMESCALE), this.uint64(duration),
+        this.uint32(0x00010000), this.uint16(0x0100), new Uint8Array(10), // rate, volume, reserved
+        this.createMatrix(), new Uint8Array(24), this.uint32(this.tracks.length + 1)
+      ),
+      ...this.tracks.map(track => this.createTrak(track, duration)),
+      this.box('mvex',
+        this.fullBox('mehd', 1, 0, this.uint64(duration)),
+        ...this.tracks.map(track => this.fullBox('trex', 0, 0,
+          this.uint32(track.id), this.uint32(1), this.uint32(0), this.uint32(0), this.uint32(0)
+        ))
+      ),
+      this.createUdta()
+    );
+  }
+
+  createTrak(track, movieDuration) {
+    const isVideo = track.kind === 'video';
+    const mediaDuration = Math.round(track.endTime);
+
+    return this.box('trak',
+      this.fullBox('tkhd', 1, 0x000003, // enabled, in movie
+        this.uint64(0), this.uint64(0), this.uint32(track.id), this.uint32(0), this.uint64(movieDuration),
+        new Uint8Array(8), this.uint16(0), this.uint16(0), this.uint16(isVideo ? 0 : 0x0100), this.uint16(0),
+        this.createMatrix(), this.uint32(track.width * 0x10000), this.uint32(track.height * 0x10000)
+      ),
+      this.box('mdia',
+        this.fullBox('mdhd', 1, 0,
+          this.uint64(0), this.uint64(0), this.uint32(track.timescale), this.uint64(mediaDuration),
+          this.uint16(0x55c4), this.uint16(0) // language "und"
+        ),
+        this.fullBox('hdlr', 0, 0,
+          this.uint32(0), this.fourCC(isVideo ? 'vide' : 'soun'), new Uint8Array(12),
+          new TextEncoder().encode(isVideo ? 'VideoHandler\0' : 'SoundHandler\0')
+        ),
+        this.box('minf',
+          isVideo
+            ? this.fullBox('vmhd', 0, 1, new Uint8Array(8))
+            : this.fullBox('smhd', 0, 0, new Uint8Array(4)),
+          this.box('dinf', this.fullBox('dref', 0, 0, this.uint32(1), this.fullBox('url ', 0, 1))),
+          this.box('stbl',
+            this.fullBox('stsd', 0, 0, this.uint32(1), this.createSampleEntry(track)),
+            this.fullBox('stts', 0, 0, this.uint32(0)),
+            this.fullBox('stsc', 0, 0, this.uint32(0)),
+            this.fullBox('stsz', 0, 0, this.uint32(0), this.uint32(0)),
+            this.fullBox('stco', 0, 0, this.uint32(0))
+          )
+        )
+      )
+    );
+  }
+
+  createSampleEntry(track) {
+    if (track.kind === 'video') {
+      const compressorName = new Uint8Array(32);
+      return this.box(track.sampleEntry,
+        new Uint8Array(6), this.uint16(1), // reserved, data reference index
+        new Uint8Array(16), this.uint16(track.width), this.uint16(track.height),
+        this.uint32(0x00480000), this.uint32(0x00480000), this.uint32(0), // 72 dpi, reserved
+        this.uint16(1), compressorName, this.uint16(0x0018), this.uint16(0xffff),
+        track.config
+      );
+    }
+
+    return this.box(track.sampleEntry,
+      new Uint8Array(6), this.uint16(1),
+      new Uint8Array(8), this.uint16(track.channels), this.uint16(16), new Uint8Array(4),
+      this.uint32(Mp4Remuxer.OPUS_TIMESCALE * 0x10000),
+      track.config
+    );
+  }
+
+  // iTunes-style metadata: title, date, artist and encoder
+  createUdta() {
+    const items = [
+      ['©nam', this.tags.title],
+      ['©day', this.tags.date ? new Date(this.tags.date).toISOString() : null],
+      ['©ART', this.tags.artist],
+      ['©too', 'Google Meet Recorder']
+    ].filter(([, value]) => value);
+
+    return this.box('udta',
+      this.fullBox('meta', 0, 0,
+        this.fullBox('hdlr', 0, 0, this.uint32(0), this.fourCC('mdir'), this.fourCC('appl'), new Uint8Array(9)),
+        this.box('ilst', ...items.map(([name, value]) => this.box(name,
+          this.box('data', this.uint32(1), this.uint32(0), new TextEncoder().encode(value)) // UTF-8 text
+        )))
+      )
+    );
+  }
+
+  createMatrix() {
+    return this.concat([
+      this.uint32(0x00010000), this.uint32(0), this.uint32(0),
+      this.uint32(0), this.uint32(0x00010000), this.uint32(0),
+      this.uint32(0), this.uint32(0), this.uint32(0x40000000)
+    ]);
+  }
+
+  // --- Codec configuration ---
+
+  // Chrome may write H.264 as Annex B without CodecPrivate - build avcC from the first keyframe's SPS/PPS
+  async createAvcConfig(track) {
+    const firstCluster = await this.reader.readElementHeader(this.clustersStart);
+    if (!firstCluster) {
+      throw new Error('H.264 track has no frames');
+    }
+
+    const cluster = await this.reader.scanCluster(firstCluster);
+    const bytes = new Uint8Array(await this.file.slice(firstCluster.start, cluster.dataEnd).arrayBuffer());
+
+    let sps = null;
+    let pps = null;
+    for (const block of this.reader.readChildren(bytes, WebmFixer.IDS.SIMPLE_BLOCK)) {
+      const payload = this.getElementData(block);
+      const trackNumber = this.reader.readVint(payload, 0);
+      if (trackNumber.value !== track.number) continue;
+
+      for (const nal of this.splitAnnexB(payload.subarray(trackNumber.length + 3))) {
+        const type = nal[0] & 0x1f;
+        if (type === 7 && !sps) sps = nal;
+        if (type === 8 && !pps) pps = nal;
+      }
+      if (sps && pps) break;
+    }
+
+    if (!sps || !pps) {
+      throw new Error('H.264 parameter sets not found');
+    }
+
+    return this.concat([
+      new Uint8Array([1, sps[1], sps[2], sps[3], 0xff, 0xe1]), // version, profile, compatibility, level, 4-byte lengths, 1 SPS
+      this.uint16(sps.length), sps,
+      new Uint8Array([1]), this.uint16(pps.length), pps
+    ]);
+  }
+
+  createVp9Config(track) {
+    // Profile 0, 8-bit 4:2:0 is what Chrome records; the level only guides players
+    const pixels = track.width * track.height;
+    const level = pixels <= 1280 * 720 ? 31 : pixels <= 1920 * 1080 ? 41 : 51;
+
+    return this.fullBox('vpcC', 1, 0,
+      new Uint8Array([0, level, (8 << 4) | (1 << 1), 2, 2, 2]), // bit depth 8, 4:2:0, unspecified colour
+      this.uint16(0)
+    );
+  }
+
+  // dOps is OpusHead with big-endian fields and no magic signature
+  createOpusConfig(track) {
+    const head = track.codecPrivate;
+    if (!head || head.length < 19) {
+      throw new Error('Opus track has no OpusHead');
+    }
+
+    const view = new DataView(head.buffer, head.byteOffset, head.byteLength);
+    return this.box('dOps', this.concat([
+      new Uint8Array([0, head[9]]), // version, output channel count
+      this.uint16(view.getUint16(10, true)), // pre-skip
+      this.uint32(view.getUint32(12, true)), // input sample rate
+      this.uint16(view.getInt16(16, true) & 0xffff), // output gain
+      head.subarray(18) // channel mapping family (+ mapping table)
+    ]));
+  }
+
+  // Samples in an Opus packet, from its TOC byte (RFC 6716 section 3.1)
+  getOpusSampleCount(packet) {
+    if (!packet.length) return 960;
+
+    const config = packet[0] >> 3;
+    const frameSizes = config < 12 ? [480, 960, 1920, 2880] : config < 16 ? [480, 960] : [120, 240, 480, 960];
+    const frameSize = frameSizes[config < 12 ? config % 4 : config < 16 ? config % 2 : config % 4];
+    const code = packet[0] & 0x03;
+    const frames = code === 0 ? 1 : code === 3 ? (packet[1] & 0x3f) : 2;
+
+    return frameSize * frames;
+  }
+
+  isAnnexB(data) {
+    return data.length > 4 && data[0] === 0 && data[1] === 0 &&
+      (data[2] === 1 || (data[2] === 0 && data[3] === 1));
+  }
+
+  splitAnnexB(data) {
+    const nals = [];
+    let start = -1;
+
+    for (let i = 0; i + 2 < data.length; i++) {
+      if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+        if (start >= 0) {
+          // A 4-byte start code leaves a trailing zero on the previous NAL
+          nals.push(data.subarray(start, data[i - 1] === 0 ? i - 1 : i));
+        }
+        start = i + 3;
+        i += 2;
+      }
+    }
+    if (start >= 0 && start < data.length) {
+      nals.push(data.subarray(start));
+    }
+
+    return nals;
+  }
+
+  annexBToLengthPrefixed(data) {
+    return this.concat(this.splitAnnexB(data).flatMap(nal => [this.uint32(nal.length), nal]));
+  }
+
+  getDuration() {
+    return Math.max(0, ...(this.tracks || []).map(track => track.endTime / track.timescale));
+  }
+
+  // --- EBML helpers ---
+
+  // Payload of the first child with the given ID
+  getPayload(element, id) {
+    const child = this.reader.readChildren(element, id)[0];
+    return child ? this.getElementData(child) : null;
+  }
+
+  getElementData(element) {
+    const id = this.reader.readVint(element, 0, true);
+    const size = this.reader.readVint(element, id.length);
+    return element.subarray(id.length + size.length);
+  }
+
+  // --- Box writing ---
+
+  box(type, ...payloads) {
+    const payload = this.concat(payloads);
+    return this.concat([this.uint32(payload.length + 8), this.fourCC(type), payload]);
+  }
+
+  fullBox(type, version, flags, ...payloads) {
+    return this.box(type, new Uint8Array([version, (flags >> 16) & 0xff, (flags >> 8) & 0xff, flags & 0xff]), ...payloads);
+  }
+
+  fourCC(type) {
+    return new Uint8Array([...type].map(char => char.charCodeAt(0)));
+  }
+
+  uint16(value) {
+    return new Uint8Array([(value >> 8) & 0xff, value & 0xff]);
+  }
+
+  uint32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value);
+    return bytes;
+  }
+
+  uint64(value) {
+    const bytes = new Uint8Array(8);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, Math.floor(value / 0x100000000));
+    view.setUint32(4, value % 0x100000000);
+    return bytes;
+  }
+
+  concat(arrays) {
+    return this.reader.concat(arrays);
+  }
+}
@@ -1,68 +1,72 @@
 // Offscreen Document for Google Meet Recorder
-// Handles MediaRecorder API with memory management and audio-only recording
+// Handles MediaRecorder API with disk-backed (OPFS) storage and audio-only recording
 
+// Level meter sources: tab audio and mic before the mixer, plus the recorded mix
+const LEVEL_METER_SOURCES = ['tab', 'mic', 'mix'];
+const LEVEL_METER_INTERVAL_MS = 100;
+const SILENCE_RMS_THRESHOLD = 0.001; // About -60 dBFS
+
+// One recording session per captured tab; OffscreenSessionManager below routes messages to it
 class MeetRecorderOffscreen {
-  constructor() {
+  constructor(tabId, onClosed = () => {}) {
+    this.tabId = tabId;
+    this.onClosed = onClosed;
     this.mediaRecorder = null;
     this.audioRecorder = null; // New: Audio-only recorder
-    this.recordedChunks = [];
-    this.audioChunks = []; // New: Audio-only chunks
+    this.audioRecorderStopped = null;
+    this.stemRecorders = {}; // Separate mic / tab audio recorders, keyed by stem name
+    this.stemRecordersStopped = [];
+    this.stemDestinations = {};
+    this.pcmCapture = null; // Optional lossless WAV tap on the recording mix
+    this.pcmCaptureStopped = null;
+    
+    // Live mixer gain nodes (null when the source is not being recorded)
+    this.recordingGain = null;
+    this.passthroughGain = null;
+    this.passthroughConnected = false; // False for silent recordings
+    this.micGain = null;
+    this.mixerLevels = { ...MixerLevels.DEFAULT_LEVELS };
+    
+    // Level meters, read by the manager and streamed to the popup over 'audioLevels' ports
+    this.analysers = {};
+    this.levelMeterTimer = null;
+    this.silentSince = {};
+    this.latestLevels = {};
+    
     this.currentStream = null;
     this.audioOnlyStream = null; // New: Audio-only stream
+    this.audioOnly = false; // 'audio' recording type: no video capture or video recorder
+    this.videoMimeType = null; // Picked from the user's container and codec choice
+    this.videoSourceTrack = null; // Tab video, or the screen/window picked via getDisplayMedia
+    this.recordedVideoTrack = null; // videoSourceTrack, or the webcam composite when the overlay is on
+    this.webcamStream = null;
+    this.webcamCompositor = null;
     this.audioContext = null;
     this.isRecording = false;
     this.isPaused = false;
     this.recordingStartTime = null;
     this.totalPausedTime = 0;
     this.lastPauseTime = null;
+    this.naming = null; // { template, context } the file names are rendered from
     
-    // Memory management
-    this.maxChunkSize = 50 * 1024 * 1024; // 50MB chunks
-    this.currentChunkSize = 0;
-    this.audioChunkSize = 0; // New: Audio chunk size tracking
-    this.chunkBlobs = [];
-    this.audioChunkBlobs = []; // New: Audio chunk blobs
+    // Disk-backed chunk storage (Origin Private File System)
+    this.storage = null;
+    this.storageSessionId = null;
+    this.videoBytesWritten = 0;
+    this.audioBytesWritten = 0;
+    this.storageCheckInterval = 100 * 1024 * 1024; // Check free disk space every 100MB
+    this.nextStorageCheck = this.storageCheckInterval;
+    this.minFreeStorage = 500 * 1024 * 1024; // Warn when less than 500MB remains
     
-    this.setupMessageListener();
-    console.log('Meet Recorder Offscreen document initialized');
-  }
-
-  setupMessageListener() {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      console.log('Offscreen received message:', message);
-      const validactions = [
-        'startTabRecording', 
-        'pauseRecording', 
-        'resumeRecording', 
-        'stopRecording', 
-        'recordingStateChanged'
-      ];
-      
-      if( !message || !message.action || !validactions.includes(message.action)) {
-        return;
-      }
-      
-      switch (message.action) {
-        case 'startTabRecording':
-          this.startTabRecording(message.streamId, message.options)
-            .then(result => sendResponse(result))
-            .catch(error => sendResponse({ success: false, error: error.message }));
-          return true;
-          
-        case 'stopRecording':
-          this.stopRecording()
-            .then(result => sendResponse(result))
-            .catch(error => sendResponse({ success: false, error: error.message }));
-          return true;
-          
-        case 'recordingStateChanged':
-          console.log('Offscreen: Recording state changed, ignoring');
-          break;
-          
-        default:
-          console.warn('Unknown message action in offscreen:', message.action);
-      }
-    });
+    // Crash recovery journal (session.json next to the track files)
+    this.sessionManifest = null;
+    this.journalTimer = null;
+    this.journalWrite = Promise.resolve();
+    this.journalIntervalMs = 10000;
+    this.transcriptJournalTimer = null;
+    this.transcriptJournalDelayMs = 1000;
+    
+    console.log(`Recording session created for tab ${tabId}`);
   }
 
   async startTabRecording(streamId, options) {
@@ -70,30 +74,73 @@ class MeetRecorderOffscreen {
       console.log('Starting tab recording with tabId not stream ID:', streamId);
       
       // Reset state
-      this.recordedChunks = [];
-      this.audioChunks = []; // New: Reset audio chunks
-      this.chunkBlobs = [];
-      this.audioChunkBlobs = []; // New: Reset audio chunk blobs
-      this.currentChunkSize = 0;
-      this.audioChunkSize = 0; // New: Reset audio chunk size
+      this.videoBytesWritten = 0;
+      this.audioBytesWritten = 0;
+      this.nextStorageCheck = this.storageCheckInterval;
       this.totalPausedTime = 0;
       this.lastPauseTime = null;
       this.recordingStartTime = Date.now();
+      this.audioOnly = options.recordingType === 'audio';
+      // File names follow the user's template, filled in from the captured tab
+      this.naming = {
+        template: FilenameTemplate.normalize(options.filenameTemplate || FilenameTemplate.DEFAULT_TEMPLATE),
+        context: FilenameTemplate.createContext(options, this.recordingStartTime)
+      };
+      
+      if (this.audioOnly && !options.includeDeviceAudio && !options.includeMicrophone) {
+        throw new Error('Audio-only recording needs device audio or the microphone enabled');
+      }
+      
+      // Chosen before the journal is written - it records the video mime type and filename
+      this.videoMimeType = this.audioOnly
+        ? null
+        : RecordingFormats.getSupportedMimeType(options.recordingFormat, options.videoCodec);
+      
+      // Open OPFS files that recorded chunks are streamed into
+      this.storageSessionId = RecordingStorage.generateSessionId();
+      this.storage = new RecordingStorage(this.storageSessionId);
+      await this.storage.open(this.getStorageTracks(options));
+      
+      // Journal the session so it can be rebuilt if the browser or extension dies
+      await this.startJournal(options);
+      
       // Create combined stream and separate audio-only stream
-      const { combinedStream, audioOnlyStream } = await this.createTabCombinedStreamWithAudio(streamId, options);
+      const { combinedStream, audioOnlyStream, stemStreams } = await this.createTabCombinedStreamWithAudio(streamId, options);
       this.currentStream = combinedStream;
       this.audioOnlyStream = audioOnlyStream; // New: Store audio-only stream
       
+      // The screen picker can stay open for a while - the recording starts now
+      this.recordingStartTime = Date.now();
+      this.naming.context.startTime = this.recordingStartTime;
+      this.updateJournal({ startTime: this.recordingStartTime, naming: this.naming });
+      
+      // Raw PCM for WAV export, captured from the same mix as the compressed audio
+      if (options.wavExport && options.wavExport.enabled) {
+        await this.startPcmCapture(options.wavExport);
+      }
+      
       // Initialize both recorders
-      await this.initializeMediaRecorders(this.currentStream, this.audioOnlyStream, options);
+      await this.initializeMediaRecorders(this.currentStream, this.audioOnlyStream, options, stemStreams);
       
       this.isRecording = true;
       this.isPaused = false;
+      this.startLevelMeters();
       
-      return { success: true, message: 'Tab recording started successfully with audio-only stream' };
+      return {
+        success: true,
+        message: 'Tab recording started successfully with audio-only stream',
+        storageSessionId: this.storageSessionId,
+        // Sources actually captured, so the popup mixer only shows what exists
+        audioSources: {
+          tab: !!this.recordingGain,
+          microphone: !!this.micGain,
+          passthrough: this.passthroughConnected
+        }
+      };
       
     } catch (error) {
       console.error('Error starting tab recording:', error);
+      this.discardStorage();
       this.cleanup();
       return { success: false, error: error.message };
     }
@@ -103,85 +150,130 @@ async createTabCombinedStreamWithAudio(streamId, options) {
   try {
     console.log('Creating combined tab stream with separate audio stream');
     
-    // Use the tabCaptured streamId to get media
-    this.originalTabStream = await navigator.mediaDevices.getUserMedia({
-      audio: options.includeDeviceAudio ? {
-        mandatory: {
-          chromeMediaSource: "tab",
-          chromeMediaSourceId: streamId,
-        },
-      } : false,
-      video: {
-        mandatory: {
-          chromeMediaSource: "tab",
-          chromeMediaSourceId: streamId,
-          ...this.getVideoConstraints(options.videoQuality)
+    // Video comes from the tab itself only for 'tab' recordings
+    const captureTabVideo = !this.audioOnly && options.recordingType !== 'screen';
+    
+    // Without tab video or device audio the tab stream isn't needed at all
+    if (captureTabVideo || options.includeDeviceAudio) {
+      // Use the tabCaptured streamId to get media
+      this.originalTabStream = await navigator.mediaDevices.getUserMedia({
+        audio: options.includeDeviceAudio ? {
+          mandatory: {
+            chromeMediaSource: "tab",
+            chromeMediaSourceId: streamId,
+          },
+        } : false,
+        video: !captureTabVideo ? false : {
+          mandatory: {
+            chromeMediaSource: "tab",
+            chromeMediaSourceId: streamId,
+            ...this.getTabVideoConstraints(options)
+          },
         },
-      },
-    });
+      });
 
-    console.log('Tab stream acquired:', {
-      video: this.originalTabStream.getVideoTracks().length,
-      audio: this.originalTabStream.getAudioTracks().length
-    });
+      console.log('Tab stream acquired:', {
+        video: this.originalTabStream.getVideoTracks().length,
+        audio: this.originalTabStream.getAudioTracks().length
+      });
+    }
+    
+    // Screen / window video is picked by the user; Meet tab audio and mic are still mixed in below
+    if (options.recordingType === 'screen') {
+      this.originalDisplayStream = await this.getDisplayStream(options);
+      this.videoSourceTrack = this.originalDisplayStream.getVideoTracks()[0];
+    } else if (captureTabVideo) {
+      this.videoSourceTrack = this.originalTabStream.getVideoTracks()[0];
+    }
+    
+    // Optional webcam picture-in-picture composited onto the captured video
+    this.recordedVideoTrack = this.videoSourceTrack;
+    if (this.videoSourceTrack && options.webcamOverlay && options.webcamOverlay.enabled) {
+      this.recordedVideoTrack = await this.createWebcamOverlay(this.videoSourceTrack, options.webcamOverlay);
+    }
 
     // Create AudioContext for mixing and passthrough
     this.audioContext = new AudioContext();
     this.destination = this.audioContext.createMediaStreamDestination();
+    
+    const audioOutput = options.audioOutput || {};
+    if (!audioOutput.silent) {
+      await this.setOutputDevice(audioOutput.deviceId);
+    }
 
     // Handle tab audio with passthrough
-    if (options.includeDeviceAudio && this.originalTabStream.getAudioTracks().length > 0) {
+    if (options.includeDeviceAudio && this.originalTabStream && this.originalTabStream.getAudioTracks().length > 0) {
       const tabAudioSource = this.audioContext.createMediaStreamSource(this.originalTabStream);
+      tabAudioSource.connect(this.createLevelAnalyser('tab'));
       
-      // Create gain nodes for recording and passthrough
-      const recordingGain = this.audioContext.createGain();
-      const passthroughGain = this.audioContext.createGain();
+      // Create gain nodes for recording and passthrough (adjustable live from the popup mixer)
+      this.recordingGain = this.audioContext.createGain();
+      this.passthroughGain = this.audioContext.createGain();
       
-      recordingGain.gain.value = 1.0; // Full volume for recording
-      passthroughGain.gain.value = 1.0; // Full volume for speakers
+      this.recordingGain.gain.value = this.mixerLevels.tabRecording;
+      this.passthroughGain.gain.value = this.mixerLevels.passthrough;
       
       // Connect to both recording destination and speakers
-      tabAudioSource.connect(recordingGain);
-      tabAudioSource.connect(passthroughGain);
+      tabAudioSource.connect(this.recordingGain);
+      tabAudioSource.connect(this.passthroughGain);
+      
+      this.recordingGain.connect(this.destination);
+      this.recordingGain.connect(this.createLevelAnalyser('mix'));
+      
+      // Capturing mutes the tab, so it stays silent for the user unless passthrough is connected
+      if (audioOutput.silent) {
+        console.log('Silent recording - tab audio is recorded but not played');
+      } else {
+        this.passthroughGain.connect(this.audioContext.destination); // This enables audio passthrough!
+        this.passthroughConnected = true;
+      }
       
-      recordingGain.connect(this.destination);
-      passthroughGain.connect(this.audioContext.destination); // This enables audio passthrough!
+      // Tab-only stem for editing / speaker separation
+      if (options.separateAudioStems) {
+        this.stemDestinations.tab = this.audioContext.createMediaStreamDestination();
+        this.recordingGain.connect(this.stemDestinations.tab);
+      }
       
-      console.log('Tab audio passthrough enabled - audio will continue playing normally');
+      if (this.passthroughConnected) {
+        console.log('Tab audio passthrough enabled - audio will continue playing normally');
+      }
     }
 
     // If microphone is not needed, return the streams
     if (!options.includeMicrophone) {
-      const videoTracks = this.originalTabStream.getVideoTracks();
       const audioTracks = options.includeDeviceAudio && this.destination.stream.getAudioTracks().length > 0 
         ? this.destination.stream.getAudioTracks() 
         : [];
       
-      const combinedStream = new MediaStream([...videoTracks, ...audioTracks]);
       const audioOnlyStream = new MediaStream(audioTracks); // New: Audio-only stream
+      const combinedStream = this.audioOnly
+        ? null
+        : new MediaStream([this.recordedVideoTrack, ...audioTracks]);
       
-      return { combinedStream, audioOnlyStream };
+      return { combinedStream, audioOnlyStream, stemStreams: this.getStemStreams() };
     }
 
     // Get microphone audio with proper error handling
     try {
-      this.micStream = await navigator.mediaDevices.getUserMedia({
-        audio: { 
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true 
-        },
-      });
+      this.micStream = await this.getMicrophoneStream(options.microphone);
 
-      console.log('Microphone stream acquired');
+      console.log('Microphone stream acquired:', this.micStream.getAudioTracks()[0]?.label);
 
       // Connect microphone to recording destination (but not to speakers to avoid feedback)
       const micAudioSource = this.audioContext.createMediaStreamSource(this.micStream);
-      const micGain = this.audioContext.createGain();
-      micGain.gain.value = 1.0;
+      this.micGain = this.audioContext.createGain();
+      this.micGain.gain.value = this.mixerLevels.micMuted ? 0 : this.mixerLevels.microphone;
+      
+      micAudioSource.connect(this.micGain);
+      micAudioSource.connect(this.createLevelAnalyser('mic'));
+      this.micGain.connect(this.destination);
+      this.micGain.connect(this.createLevelAnalyser('mix'));
       
-      micAudioSource.connect(micGain);
-      micGain.connect(this.destination);
+      // Mic-only stem for editing / speaker separation
+      if (options.separateAudioStems) {
+        this.stemDestinations.mic = this.audioContext.createMediaStreamDestination();
+        this.micGain.connect(this.stemDestinations.mic);
+      }
 
     } catch (micError) {
       console.error('Failed to get microphone access:', micError);
@@ -192,13 +284,18 @@ async createTabCombinedStreamWithAudio(streamId, options) {
       // Notify about microphone failure
       chrome.runtime.sendMessage({
         action: 'microphoneAccessFailed',
+        tabId: this.tabId,
         error: micError.message
       }).catch(() => {});
+      
+      if (this.audioOnly && !this.recordingGain) {
+        throw new Error('No audio source available: microphone access failed and device audio is off');
+      }
     }
 
     // Create combined stream with video from tab and mixed audio
-    const combinedStream = new MediaStream([
-      this.originalTabStream.getVideoTracks()[0],
+    const combinedStream = this.audioOnly ? null : new MediaStream([
+      this.recordedVideoTrack,
       this.destination.stream.getTracks()[0],
     ]);
 
@@ -208,7 +305,7 @@ async createTabCombinedStreamWithAudio(streamId, options) {
     ]);
 
     console.log('Combined stream and audio-only stream created successfully with audio passthrough');
-    return { combinedStream, audioOnlyStream };
+    return { combinedStream, audioOnlyStream, stemStreams: this.getStemStreams() };
 
   } catch (error) {
     console.error('Error creating combined tab stream:', error);
@@ -216,43 +313,299 @@ async createTabCombinedStreamWithAudio(streamId, options) {
   }
 }
 
-  async initializeMediaRecorders(videoStream, audioStream, options) {
+  // Ask the user for a screen or window to record
+  async getDisplayStream(options) {
+    const { width, height } = this.getVideoConstraints(options.videoQuality);
+    
+    try {
+      const displayStream = await navigator.mediaDevices.getDisplayMedia({
+        video: {
+          width: { ideal: width },
+          height: { ideal: height },
+          frameRate: { ideal: RecordingFormats.getFrameRate(options.frameRate) }
+        },
+        // Audio comes from the Meet tab capture and the mic, not the shared surface
+        audio: false,
+        selfBrowserSurface: 'exclude',
+        surfaceSwitching: 'include'
+      });
+      
+      const videoTrack = displayStream.getVideoTracks()[0];
+      console.log('Display stream acquired:', videoTrack?.getSettings().displaySurface);
+      return displayStream;
+      
+    } catch (error) {
+      if (error.name === 'NotAllowedError') {
+        throw new Error('Screen sharing was cancelled or not allowed');
+      }
+      throw error;
+    }
+  }
+
+  // Play the passthrough on the chosen speakers; an unavailable device keeps the default output
+  async setOutputDevice(deviceId) {
+    if (!deviceId || deviceId === MicrophoneSettings.DEFAULT_DEVICE_ID) return;
+
+    if (typeof this.audioContext.setSinkId !== 'function') {
+      console.warn('AudioContext.setSinkId is not supported - using the default output device');
+      return;
+    }
+
+    try {
+      await this.audioContext.setSinkId(deviceId);
+      console.log('Passthrough output device set:', deviceId);
+    } catch (error) {
+      console.warn('Could not switch output device, using the default one:', error);
+    }
+  }
+
+  // Chosen input device and processing options; a device that has been unplugged since it
+  // was picked falls back to the system default rather than recording without a mic
+  async getMicrophoneStream(microphoneOptions) {
+    const settings = MicrophoneSettings.normalize(microphoneOptions);
+    console.log('Requesting microphone:', settings);
+
+    try {
+      return await navigator.mediaDevices.getUserMedia({
+        audio: MicrophoneSettings.getConstraints(settings)
+      });
+    } catch (error) {
+      const deviceMissing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+      if (!deviceMissing || settings.deviceId === MicrophoneSettings.DEFAULT_DEVICE_ID) {
+        throw error;
+      }
+
+      console.warn('Selected microphone is not available, using the default one:', error);
+      return navigator.mediaDevices.getUserMedia({
+        audio: MicrophoneSettings.getConstraints({ ...settings, deviceId: MicrophoneSettings.DEFAULT_DEVICE_ID })
+      });
+    }
+  }
+
+  // Returns the composited track, or the source track unchanged if the webcam can't be used
+  async createWebcamOverlay(sourceTrack, overlayOptions) {
+    try {
+      this.webcamStream = await navigator.mediaDevices.getUserMedia({
+        video: {
+          width: { ideal: 640 },
+          height: { ideal: 480 },
+          frameRate: { ideal: 30 }
+        },
+        audio: false
+      });
+      
+      console.log('Webcam stream acquired for overlay');
+      
+      this.webcamCompositor = new WebcamCompositor({
+        position: overlayOptions.position,
+        size: overlayOptions.size,
+        shape: overlayOptions.shape
+      });
+      return this.webcamCompositor.start(sourceTrack, this.webcamStream.getVideoTracks()[0]);
+      
+    } catch (error) {
+      console.error('Failed to start webcam overlay:', error);
+      console.warn('Continuing recording without webcam overlay');
+      
+      this.stopAllTracks(this.webcamStream, 'webcam');
+      this.webcamStream = null;
+      this.webcamCompositor = null;
+      
+      chrome.runtime.sendMessage({
+        action: 'webcamAccessFailed',
+        tabId: this.tabId,
+        error: error.message
+      }).catch(() => {});
+      
+      return sourceTrack;
+    }
+  }
+
+  // Apply live mixer changes from the popup to the gain nodes
+  setMixerLevels(levels) {
+    try {
+      this.mixerLevels = { ...this.mixerLevels, ...levels };
+      
+      if (!this.audioContext) {
+        return { success: true, levels: this.mixerLevels };
+      }
+      
+      // Short ramp avoids clicks when a slider jumps
+      const now = this.audioContext.currentTime;
+      const rampTime = 0.05;
+      
+      if (this.recordingGain) {
+        this.recordingGain.gain.setTargetAtTime(this.mixerLevels.tabRecording, now, rampTime);
+      }
+      if (this.passthroughGain) {
+        this.passthroughGain.gain.setTargetAtTime(this.mixerLevels.passthrough, now, rampTime);
+      }
+      if (this.micGain) {
+        const micLevel = this.mixerLevels.micMuted ? 0 : this.mixerLevels.microphone;
+        this.micGain.gain.setTargetAtTime(micLevel, now, rampTime);
+      }
+      
+      console.log('Mixer levels applied:', this.mixerLevels);
+      return { success: true, levels: this.mixerLevels };
+      
+    } catch (error) {
+      console.error('Error applying mixer levels:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // One analyser per meter source; the mix analyser is shared by every gain that feeds the recording
+  createLevelAnalyser(source) {
+    if (!this.analysers[source]) {
+      const analyser = this.audioContext.createAnalyser();
+      analyser.fftSize = 2048;
+      this.analysers[source] = analyser;
+    }
+    return this.analysers[source];
+  }
+
+  startLevelMeters() {
+    this.stopLevelMeters();
+    
+    const now = Date.now();
+    for (const source of Object.keys(this.analysers)) {
+      this.silentSince[source] = now;
+    }
+    
+    // Silence is tracked even while the popup is closed, so it can warn as soon as it opens
+    this.levelMeterTimer = setInterval(() => {
+      this.latestLevels = this.readLevels();
+    }, LEVEL_METER_INTERVAL_MS);
+  }
+
+  stopLevelMeters() {
+    if (this.levelMeterTimer) {
+      clearInterval(this.levelMeterTimer);
+      this.levelMeterTimer = null;
+    }
+    this.silentSince = {};
+    this.latestLevels = {};
+  }
+
+  // RMS and peak (linear, 0-1) for each source, plus how long it has been silent
+  readLevels() {
+    const now = Date.now();
+    const levels = {};
+    
+    for (const source of LEVEL_METER_SOURCES) {
+      const analyser = this.analysers[source];
+      if (!analyser) continue;
+      
+      const samples = new Float32Array(analyser.fftSize);
+      analyser.getFloatTimeDomainData(samples);
+      
+      let sumOfSquares = 0;
+      let peak = 0;
+      for (const sample of samples) {
+        sumOfSquares += sample * sample;
+        peak = Math.max(peak, Math.abs(sample));
+      }
+      const rms = Math.sqrt(sumOfSquares / samples.length);
+      
+      // Paused time doesn't count towards silence
+      if (rms >= SILENCE_RMS_THRESHOLD || this.isPaused || !this.silentSince[source]) {
+        this.silentSince[source] = now;
+      }
+      
+      levels[source] = {
+        rms,
+        peak,
+        silentFor: now - this.silentSince[source]
+      };
+    }
+    
+    return levels;
+  }
+
+  // Streams for each separately recorded stem (tab audio, mic), all from the same AudioContext
+  getStemStreams() {
+    const stemStreams = {};
+    for (const [stem, destination] of Object.entries(this.stemDestinations)) {
+      stemStreams[stem] = destination.stream;
+    }
+    return stemStreams;
+  }
+
+  // OPFS track files to open for a recording
+  getStorageTracks(options) {
+    const tracks = options.recordingType === 'audio' ? ['audio'] : ['video', 'audio'];
+    
+    if (options.separateAudioStems) {
+      if (options.includeDeviceAudio) tracks.push('tab');
+      if (options.includeMicrophone) tracks.push('mic');
+    }
+    
+    if (options.wavExport && options.wavExport.enabled) {
+      tracks.push('pcm');
+    }
+    
+    return tracks;
+  }
+
+  // WAV export is best effort - the compressed recording carries on without it
+  async startPcmCapture(wavOptions) {
+    const sources = [this.recordingGain, this.micGain].filter(Boolean);
+    
+    try {
+      this.pcmCapture = new PcmCapture({
+        sampleRate: wavOptions.sampleRate,
+        channels: wavOptions.channels
+      });
+      await this.pcmCapture.start(this.audioContext, sources, (buffer) => this.handlePcmDataAvailable(buffer));
+    } catch (error) {
+      console.error('Failed to start PCM capture, recording without WAV export:', error);
+      this.pcmCapture = null;
+    }
+  }
+
+  async initializeMediaRecorders(videoStream, audioStream, options, stemStreams = {}) {
     const mimeType = this.getSupportedMimeType();
     const audioMimeType = this.getSupportedAudioMimeType(); // New: Audio-only mime type
     
     const mediaRecorderOptions = {
       mimeType: mimeType,
-      videoBitsPerSecond: this.getVideoBitrate(options.videoQuality),
+      videoBitsPerSecond: this.getVideoBitrate(options),
       audioBitsPerSecond: 128000
     };
+    
+    if (videoStream) {
+      console.log('Video recorder settings:', mediaRecorderOptions, `${RecordingFormats.getFrameRate(options.frameRate)} fps`);
+    }
 
     const audioRecorderOptions = {
       mimeType: audioMimeType,
       audioBitsPerSecond: 128000
     };
     
-    // Initialize video+audio recorder
-    this.mediaRecorder = new MediaRecorder(videoStream, mediaRecorderOptions);
+    // Initialize video+audio recorder (skipped entirely in audio-only mode)
+    this.mediaRecorder = videoStream ? new MediaRecorder(videoStream, mediaRecorderOptions) : null;
     
     // Initialize audio-only recorder
     this.audioRecorder = new MediaRecorder(audioStream, audioRecorderOptions);
     
     // Setup event handlers for video+audio recorder
-    this.mediaRecorder.ondataavailable = (event) => {
-      if (event.data && event.data.size > 0) {
-        this.handleVideoDataAvailable(event.data);
-      }
-    };
-    
-    this.mediaRecorder.onstop = () => {
-      this.handleRecordingStop();
-    };
-    
-    this.mediaRecorder.onerror = (event) => {
-      console.error('MediaRecorder error:', event.error);
-      this.releaseAllStreams();
-      this.notifyError('Recording error: ' + event.error.message);
-    };
+    if (this.mediaRecorder) {
+      this.mediaRecorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) {
+          this.handleVideoDataAvailable(event.data);
+        }
+      };
+      
+      this.mediaRecorder.onstop = () => {
+        this.handleRecordingStop();
+      };
+      
+      this.mediaRecorder.onerror = (event) => {
+        console.error('MediaRecorder error:', event.error);
+        this.releaseAllStreams();
+        this.notifyError('Recording error: ' + event.error.message);
+      };
+    }
 
     // Setup event handlers for audio-only recorder
     this.audioRecorder.ondataavailable = (event) => {
@@ -261,77 +614,189 @@ async createTabCombinedStreamWithAudio(streamId, options) {
       }
     };
     
-    this.audioRecorder.onstop = () => {
-      console.log('Audio-only recorder stopped');
-    };
+    this.audioRecorderStopped = new Promise((resolve) => {
+      this.audioRecorder.onstop = () => {
+        console.log('Audio-only recorder stopped');
+        resolve();
+      };
+    });
+    
+    // Without a video recorder the audio recorder drives finalization
+    if (!this.mediaRecorder) {
+      this.audioRecorderStopped.then(() => this.handleRecordingStop());
+    }
     
     this.audioRecorder.onerror = (event) => {
       console.error('Audio MediaRecorder error:', event.error);
+      if (!this.mediaRecorder) {
+        this.releaseAllStreams();
+        this.notifyError('Recording error: ' + event.error.message);
+      }
     };
     
-    // Start both recordings
-    this.mediaRecorder.start(1000); // Collect data every second
+    // Stem recorders share the audio recorder's format so the files line up
+    this.stemRecorders = {};
+    this.stemRecordersStopped = [];
+    for (const [stem, stream] of Object.entries(stemStreams)) {
+      const stemRecorder = new MediaRecorder(stream, audioRecorderOptions);
+      
+      stemRecorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0 && this.storage) {
+          this.storage.append(stem, event.data);
+        }
+      };
+      
+      this.stemRecordersStopped.push(new Promise((resolve) => {
+        stemRecorder.onstop = () => {
+          console.log(`${stem} stem recorder stopped`);
+          resolve();
+        };
+      }));
+      
+      stemRecorder.onerror = (event) => {
+        console.error(`${stem} stem MediaRecorder error:`, event.error);
+      };
+      
+      this.stemRecorders[stem] = stemRecorder;
+    }
+    
+    // Start all recordings in the same tick so every file shares one time base
+    this.mediaRecorder?.start(1000); // Collect data every second
     this.audioRecorder.start(1000); // Collect audio data every second
-    console.log('Both MediaRecorders started (video+audio and audio-only)');
+    for (const stemRecorder of Object.values(this.stemRecorders)) {
+      stemRecorder.start(1000);
+    }
+    console.log('MediaRecorders started (video+audio, audio-only and stems):', {
+      video: !!this.mediaRecorder,
+      stems: Object.keys(this.stemRecorders)
+    });
     
-    // Handle stream end
-    videoStream.getVideoTracks()[0]?.addEventListener('ended', () => {
-      console.log('Video stream ended by user');
+    // Handle stream end (the tab audio track when there is no video)
+    const sourceTrack = this.videoSourceTrack || this.originalTabStream?.getAudioTracks()[0];
+    sourceTrack?.addEventListener('ended', () => {
+      console.log('Captured stream ended by user');
       this.releaseAllStreams();
       this.stopRecording();
     });
   }
 
   handleVideoDataAvailable(data) {
-    this.recordedChunks.push(data);
-    this.currentChunkSize += data.size;
+    if (!this.storage) return;
     
-    // Check memory usage and create chunk if needed
-    if (this.currentChunkSize >= this.maxChunkSize) {
-      this.createVideoChunkBlob();
-    }
+    // Stream chunk straight to disk instead of keeping it in memory
+    this.storage.append('video', data);
+    this.videoBytesWritten += data.size;
     
-    // Memory warning if getting large
-    if (this.currentChunkSize > 100 * 1024 * 1024) { // 100MB warning
-      this.notifyMemoryWarning();
-    }
+    this.checkStorageSpace();
   }
 
   handleAudioDataAvailable(data) {
-    this.audioChunks.push(data);
-    this.audioChunkSize += data.size;
+    if (!this.storage) return;
+    
+    this.storage.append('audio', data);
+    this.audioBytesWritten += data.size;
+  }
+
+  handlePcmDataAvailable(buffer) {
+    if (!this.storage) return;
     
-    // Check memory usage and create audio chunk if needed
-    if (this.audioChunkSize >= this.maxChunkSize) {
-      this.createAudioChunkBlob();
+    // Uncompressed PCM grows quickly (~11 MB per minute at 48 kHz stereo), so it counts toward disk checks
+    this.storage.append('pcm', new Blob([buffer]));
+    this.audioBytesWritten += buffer.byteLength;
+    
+    this.checkStorageSpace();
+  }
+
+  async checkStorageSpace() {
+    const totalWritten = this.videoBytesWritten + this.audioBytesWritten;
+    if (totalWritten < this.nextStorageCheck) return;
+    this.nextStorageCheck = totalWritten + this.storageCheckInterval;
+    
+    try {
+      const { usage, quota } = await RecordingStorage.getStorageEstimate();
+      const freeSpace = quota - usage;
+      
+      console.log(`Recording on disk: ${(totalWritten / 1024 / 1024).toFixed(0)} MB, free space: ${(freeSpace / 1024 / 1024).toFixed(0)} MB`);
+      
+      if (freeSpace < this.minFreeStorage) {
+        this.notifyStorageWarning(freeSpace);
+      }
+    } catch (error) {
+      console.warn('Could not estimate storage space:', error);
     }
   }
 
-  createVideoChunkBlob() {
-    if (this.recordedChunks.length > 0) {
-      const chunkBlob = new Blob(this.recordedChunks, {
-        type: "video/webm"
-      });
+  pauseRecording() {
+    try {
+      if (!this.isRecording || !this.audioRecorder) {
+        return { success: false, error: 'No recording in progress' };
+      }
       
-      this.chunkBlobs.push(chunkBlob);
-      this.recordedChunks = [];
-      this.currentChunkSize = 0;
+      if (this.isPaused) {
+        return { success: true, pausedAt: this.lastPauseTime };
+      }
       
-      console.log(`Created video chunk blob: ${(chunkBlob.size / 1024 / 1024).toFixed(2)} MB`);
+      // Pause both recorders together so video and audio-only output stay in sync
+      if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
+        this.mediaRecorder.pause();
+      }
+      if (this.audioRecorder.state === 'recording') {
+        this.audioRecorder.pause();
+      }
+      for (const stemRecorder of Object.values(this.stemRecorders)) {
+        if (stemRecorder.state === 'recording') {
+          stemRecorder.pause();
+        }
+      }
+      this.pcmCapture?.pause();
+      
+      this.isPaused = true;
+      this.lastPauseTime = Date.now();
+      this.updateJournal();
+      
+      console.log('Both MediaRecorders paused');
+      return { success: true, pausedAt: this.lastPauseTime };
+      
+    } catch (error) {
+      console.error('Error pausing recording:', error);
+      return { success: false, error: error.message };
     }
   }
 
-  createAudioChunkBlob() {
-    if (this.audioChunks.length > 0) {
-      const audioChunkBlob = new Blob(this.audioChunks, {
-        type: this.getSupportedAudioMimeType()
-      });
+  resumeRecording() {
+    try {
+      if (!this.isRecording || !this.audioRecorder) {
+        return { success: false, error: 'No recording in progress' };
+      }
+      
+      if (!this.isPaused) {
+        return { success: true, totalPausedTime: this.totalPausedTime };
+      }
       
-      this.audioChunkBlobs.push(audioChunkBlob);
-      this.audioChunks = [];
-      this.audioChunkSize = 0;
+      if (this.mediaRecorder && this.mediaRecorder.state === 'paused') {
+        this.mediaRecorder.resume();
+      }
+      if (this.audioRecorder.state === 'paused') {
+        this.audioRecorder.resume();
+      }
+      for (const stemRecorder of Object.values(this.stemRecorders)) {
+        if (stemRecorder.state === 'paused') {
+          stemRecorder.resume();
+        }
+      }
+      this.pcmCapture?.resume();
+      
+      this.totalPausedTime += Date.now() - this.lastPauseTime;
+      this.lastPauseTime = null;
+      this.isPaused = false;
+      this.updateJournal();
       
-      console.log(`Created audio chunk blob: ${(audioChunkBlob.size / 1024 / 1024).toFixed(2)} MB`);
+      console.log(`Both MediaRecorders resumed, total paused time: ${(this.totalPausedTime / 1000).toFixed(1)}s`);
+      return { success: true, totalPausedTime: this.totalPausedTime };
+      
+    } catch (error) {
+      console.error('Error resuming recording:', error);
+      return { success: false, error: error.message };
     }
   }
 
@@ -344,7 +809,7 @@ async createTabCombinedStreamWithAudio(streamId, options) {
         audioRecorderState: this.audioRecorder?.state
       });
       
-      if (!this.isRecording || !this.mediaRecorder || !this.audioRecorder) {
+      if (!this.isRecording || !this.audioRecorder) {
         return { success: false, error: 'No recording in progress' };
       }
       
@@ -354,8 +819,19 @@ async createTabCombinedStreamWithAudio(streamId, options) {
       }
       
       // Stop both MediaRecorders
-      this.mediaRecorder.stop();
+      this.mediaRecorder?.stop();
       this.audioRecorder.stop();
+      for (const stemRecorder of Object.values(this.stemRecorders)) {
+        if (stemRecorder.state !== 'inactive') {
+          stemRecorder.stop();
+        }
+      }
+      
+      // The worklet's last samples must be collected before the AudioContext is closed
+      if (this.pcmCapture) {
+        this.pcmCaptureStopped = this.pcmCapture.stop();
+        await this.pcmCaptureStopped;
+      }
       
       // Important: Release ALL streams immediately to restore normal playback
       this.releaseAllStreams();
@@ -373,6 +849,27 @@ async createTabCombinedStreamWithAudio(streamId, options) {
     }
   }
 
+  // Stop and throw everything away - the start was called off after capture began, so nothing
+  // is finalized or handed to the preview
+  async discardRecording() {
+    for (const recorder of [this.mediaRecorder, this.audioRecorder, ...Object.values(this.stemRecorders)]) {
+      if (!recorder) continue;
+      recorder.ondataavailable = null;
+      recorder.onstop = null;
+      if (recorder.state !== 'inactive') {
+        recorder.stop();
+      }
+    }
+    
+    if (this.pcmCapture) {
+      await this.pcmCapture.stop();
+    }
+    
+    this.discardStorage();
+    this.cleanup();
+    return { success: true };
+  }
+
   // Helper function to aggressively stop all tracks in a stream
   stopAllTracks(stream, streamName = 'Unknown') {
     if (!stream) return;
@@ -442,21 +939,51 @@ async createTabCombinedStreamWithAudio(streamId, options) {
         this.audioRecorder = null;
       }
       
+      for (const [stem, stemRecorder] of Object.entries(this.stemRecorders)) {
+        if (stemRecorder.state !== 'inactive') {
+          console.log(`Stopping ${stem} stem MediaRecorder...`);
+          try {
+            stemRecorder.stop();
+          } catch (e) {
+            console.log(`${stem} stem MediaRecorder already stopped or error stopping:`, e);
+          }
+        }
+      }
+      this.stemRecorders = {};
+      
+      this.stopLevelMeters();
+      this.analysers = {};
+      
       // 2. Stop ALL tracks in ALL streams
       this.stopAllTracks(this.currentStream, 'current');
       this.stopAllTracks(this.audioOnlyStream, 'audioOnly');
       this.stopAllTracks(this.originalTabStream, 'originalTab');
       this.stopAllTracks(this.originalDisplayStream, 'originalDisplay');
       this.stopAllTracks(this.micStream, 'microphone');
+      this.stopAllTracks(this.webcamStream, 'webcam');
+      
+      if (this.webcamCompositor) {
+        this.webcamCompositor.stop();
+        this.webcamCompositor = null;
+      }
       
       // Also stop destination stream if it exists
       if (this.destination && this.destination.stream) {
         this.stopAllTracks(this.destination.stream, 'destination');
       }
+      for (const [stem, destination] of Object.entries(this.stemDestinations)) {
+        this.stopAllTracks(destination.stream, `${stem} stem`);
+      }
+      this.stemDestinations = {};
       
       // 3. Detach any video/audio elements
       this.detachMediaElements();
       
+      // Stops the WAV tap if stopRecording didn't already (e.g. the captured tab closed)
+      if (this.pcmCapture) {
+        this.pcmCaptureStopped = this.pcmCapture.stop();
+      }
+      
       // 4. Forcefully close AudioContext (without suspend)
       if (this.audioContext) {
         const audioContextToClose = this.audioContext;
@@ -465,6 +992,10 @@ async createTabCombinedStreamWithAudio(streamId, options) {
         // Clear reference immediately
         this.audioContext = null;
         this.destination = null;
+        this.recordingGain = null;
+        this.passthroughGain = null;
+        this.passthroughConnected = false;
+        this.micGain = null;
         
         if (audioContextToClose.state !== 'closed') {
           try {
@@ -488,6 +1019,9 @@ async createTabCombinedStreamWithAudio(streamId, options) {
       this.audioOnlyStream = null;
       this.originalTabStream = null;
       this.originalDisplayStream = null;
+      this.videoSourceTrack = null;
+      this.recordedVideoTrack = null;
+      this.webcamStream = null;
       this.micStream = null;
       this.destination = null;
       
@@ -523,66 +1057,97 @@ async createTabCombinedStreamWithAudio(streamId, options) {
     }
   }
 
-  handleRecordingStop() {
+  async handleRecordingStop() {
     try {
       console.log('Processing recorded data...');
       
-      // Create final chunks from remaining data
-      this.createVideoChunkBlob();
-      this.createAudioChunkBlob();
-      
-      // Combine all video chunks
-      let finalVideoBlob;
-      if (this.chunkBlobs.length > 0) {
-        finalVideoBlob = new Blob(this.chunkBlobs, {
-          type: this.getSupportedMimeType()
-        });
-      } else if (this.recordedChunks.length > 0) {
-        finalVideoBlob = new Blob(this.recordedChunks, {
-          type: this.getSupportedMimeType()
-        });
-      } else {
-        throw new Error('No video recorded data available');
-      }
-
-      // Combine all audio chunks
-      let finalAudioBlob;
-      if (this.audioChunkBlobs.length > 0) {
-        finalAudioBlob = new Blob(this.audioChunkBlobs, {
-          type: this.getSupportedAudioMimeType()
-        });
-      } else if (this.audioChunks.length > 0) {
-        finalAudioBlob = new Blob(this.audioChunks, {
-          type: this.getSupportedAudioMimeType()
-        });
-      } else {
-        console.warn('No audio recorded data available');
-        finalAudioBlob = null;
-      }
-      
       // Calculate actual recording duration (excluding paused time)
       const totalRecordingTime = Date.now() - this.recordingStartTime;
       const actualDuration = (totalRecordingTime - this.totalPausedTime) / 1000;
       
-      // Create recording data with both video and audio
+      // The audio and stem recorders can deliver their last chunk after the video recorder stops
+      await Promise.race([
+        Promise.all([this.audioRecorderStopped, ...this.stemRecordersStopped, this.pcmCaptureStopped]),
+        new Promise(resolve => setTimeout(resolve, 5000))
+      ]);
+      
+      if (!this.storage) {
+        throw new Error('Recording storage is not available');
+      }
+      
+      // Flush and close the OPFS files, then read them back as disk-backed files
+      const storage = this.storage;
+      this.storage = null;
+      const trackHandles = await storage.finalize();
+      
+      if (storage.lastError) {
+        throw new Error('Failed to write recording to disk: ' + storage.lastError);
+      }
+      
+      // Names made now can include the duration
+      this.naming.context.duration = actualDuration;
+      this.stopJournal();
+      await this.updateJournal({ status: 'complete', duration: actualDuration, naming: this.naming });
+      
+      let finalVideoBlob = null;
+      if (!this.audioOnly) {
+        finalVideoBlob = await RecordingStorage.getTrackFile(
+          this.storageSessionId, 'video', this.getSupportedMimeType()
+        );
+        if (finalVideoBlob.size === 0) {
+          throw new Error('No video recorded data available');
+        }
+      }
+
+      let finalAudioBlob = await RecordingStorage.getTrackFile(
+        this.storageSessionId, 'audio', this.getSupportedAudioMimeType()
+      );
+      if (finalAudioBlob.size === 0) {
+        if (this.audioOnly) {
+          throw new Error('No audio recorded data available');
+        }
+        console.warn('No audio recorded data available');
+        finalAudioBlob = null;
+      }
+      
+      // Create recording data with both video and audio (audio only when no video was captured)
       const recordingData = {
-        url: URL.createObjectURL(finalVideoBlob),
-        size: finalVideoBlob.size,
+        audioOnly: this.audioOnly,
+        url: finalVideoBlob ? URL.createObjectURL(finalVideoBlob) : null,
+        size: finalVideoBlob ? finalVideoBlob.size : 0,
         duration: actualDuration,
-        filename: this.generateFilename(),
-        mimeType: this.getSupportedMimeType(),
+        filename: finalVideoBlob ? this.generateFilename() : null,
+        mimeType: finalVideoBlob ? this.getSupportedMimeType() : null,
+        videoQuality: this.audioOnly ? null : this.sessionManifest?.options.videoQuality || null,
+        frameRate: this.audioOnly ? null : this.sessionManifest?.options.frameRate || null,
         // New: Audio-only data
         audioUrl: finalAudioBlob ? URL.createObjectURL(finalAudioBlob) : null,
         audioSize: finalAudioBlob ? finalAudioBlob.size : 0,
         audioFilename: this.generateAudioFilename(),
-        audioMimeType: this.getSupportedAudioMimeType()
+        audioMimeType: this.getSupportedAudioMimeType(),
+        // Separate mic / tab audio stems sharing the mixed track's time base
+        stems: await this.collectStems(Object.keys(trackHandles)),
+        // Lossless WAV of the mix, when enabled
+        wav: trackHandles.pcm ? await this.collectWav() : null,
+        // OPFS session holding the files, so the preview can reopen them from disk
+        storageSessionId: this.storageSessionId,
+        // Used for the MP3 tags
+        tabTitle: this.sessionManifest?.tabTitle || null,
+        startTime: this.recordingStartTime,
+        naming: this.naming,
+        bookmarks: this.sessionManifest?.bookmarks || [],
+        participants: this.sessionManifest?.participants || [],
+        attendanceBestEffort: !!this.sessionManifest?.attendanceBestEffort,
+        transcript: this.sessionManifest?.transcript || [],
+        consentNotice: this.sessionManifest?.consentNotice || null
       };
       
-      console.log(`Recording complete: Video ${(finalVideoBlob.size / 1024 / 1024).toFixed(2)} MB, Audio ${finalAudioBlob ? (finalAudioBlob.size / 1024 / 1024).toFixed(2) : 0} MB, ${actualDuration.toFixed(1)}s`);
+      console.log(`Recording complete: Video ${(recordingData.size / 1024 / 1024).toFixed(2)} MB, Audio ${finalAudioBlob ? (finalAudioBlob.size / 1024 / 1024).toFixed(2) : 0} MB, ${actualDuration.toFixed(1)}s`);
       
       // Notify background script about completion
       chrome.runtime.sendMessage({
         action: 'recordingComplete',
+        tabId: this.tabId,
         recordingData: recordingData
       });
       
@@ -594,10 +1159,180 @@ async createTabCombinedStreamWithAudio(streamId, options) {
     } catch (error) {
       console.error('Error processing recorded data:', error);
       this.notifyError('Failed to process recording: ' + error.message);
+      this.discardStorage();
       this.cleanup();
     }
   }
 
+  async collectStems(tracks) {
+    const stems = {};
+    
+    for (const stem of tracks.filter(track => track === 'tab' || track === 'mic')) {
+      const stemFile = await RecordingStorage.getTrackFile(
+        this.storageSessionId, stem, this.getSupportedAudioMimeType()
+      );
+      if (stemFile.size === 0) continue;
+      
+      stems[stem] = {
+        url: URL.createObjectURL(stemFile),
+        size: stemFile.size,
+        filename: this.generateAudioFilename(stem),
+        mimeType: this.getSupportedAudioMimeType()
+      };
+    }
+    
+    return stems;
+  }
+
+  async collectWav() {
+    const pcmTrack = this.sessionManifest.tracks.pcm;
+    const pcmFile = await RecordingStorage.getTrackFile(this.storageSessionId, 'pcm');
+    if (pcmFile.size === 0) return null;
+    
+    const filename = this.generateWavFilename();
+    const wavFile = PcmCapture.toWavFile(pcmFile, pcmTrack.sampleRate, pcmTrack.channels, filename);
+    return {
+      url: URL.createObjectURL(wavFile),
+      size: wavFile.size,
+      filename: filename,
+      mimeType: PcmCapture.WAV_MIME_TYPE,
+      sampleRate: pcmTrack.sampleRate,
+      channels: pcmTrack.channels
+    };
+  }
+
+  async startJournal(options) {
+    const now = Date.now();
+    
+    this.sessionManifest = {
+      version: 1,
+      sessionId: this.storageSessionId,
+      status: 'recording',
+      startTime: this.recordingStartTime,
+      lastUpdated: now,
+      isPaused: false,
+      pauseStartTime: null,
+      totalPausedTime: 0,
+      tabId: options.tabId,
+      tabTitle: options.tabTitle || null,
+      tabUrl: options.tabUrl || null,
+      options: {
+        recordingType: options.recordingType,
+        videoQuality: options.videoQuality,
+        frameRate: RecordingFormats.getFrameRate(options.frameRate),
+        recordingFormat: options.recordingFormat || null,
+        videoCodec: options.videoCodec || null,
+        videoBitrate: options.videoBitrate || null,
+        includeDeviceAudio: options.includeDeviceAudio,
+        includeMicrophone: options.includeMicrophone,
+        microphone: options.includeMicrophone ? MicrophoneSettings.normalize(options.microphone) : null,
+        audioOutput: options.audioOutput || null,
+        separateAudioStems: !!options.separateAudioStems,
+        webcamOverlay: options.webcamOverlay || null,
+        wavExport: options.wavExport || null
+      },
+      naming: this.naming,
+      // How Meet participants were told about the recording - the background sets it once
+      // capture is running
+      consentNotice: null,
+      filename: this.generateFilename(),
+      audioFilename: this.generateAudioFilename(),
+      tracks: {}
+    };
+    
+    for (const track of this.getStorageTracks(options)) {
+      this.sessionManifest.tracks[track] = {
+        mimeType: track === 'video' ? this.getSupportedMimeType() : this.getSupportedAudioMimeType()
+      };
+      if (track === 'tab' || track === 'mic') {
+        this.sessionManifest.tracks[track].filename = this.generateAudioFilename(track);
+      }
+      if (track === 'pcm') {
+        // Raw 16-bit little-endian samples; the WAV header is added on export
+        const { sampleRate, channels } = new PcmCapture(options.wavExport).options;
+        this.sessionManifest.tracks.pcm = {
+          mimeType: 'audio/pcm',
+          sampleRate: sampleRate,
+          channels: channels,
+          filename: this.generateWavFilename()
+        };
+      }
+    }
+    
+    await RecordingStorage.writeManifest(this.storageSessionId, this.sessionManifest);
+    
+    // Periodically record progress so a recovered session knows how long it ran
+    this.journalTimer = setInterval(() => this.updateJournal(), this.journalIntervalMs);
+  }
+
+  updateJournal(updates = {}) {
+    if (!this.sessionManifest) return Promise.resolve();
+    
+    this.sessionManifest = {
+      ...this.sessionManifest,
+      lastUpdated: Date.now(),
+      isPaused: this.isPaused,
+      pauseStartTime: this.isPaused ? this.lastPauseTime : null,
+      totalPausedTime: this.totalPausedTime,
+      ...updates
+    };
+    
+    // Serialize writes so an older snapshot never overwrites a newer one
+    const sessionId = this.storageSessionId;
+    const manifest = this.sessionManifest;
+    this.journalWrite = this.journalWrite
+      .then(() => RecordingStorage.writeManifest(sessionId, manifest))
+      .catch(error => console.warn('Failed to update recording journal:', error));
+    
+    return this.journalWrite;
+  }
+
+  // Caption lines arrive in small batches all call long. They're added in place, and batches
+  // arriving close together share one journal write a second later - soon enough that a crash
+  // loses little, without rewriting the journal for every batch.
+  appendTranscript(lines) {
+    if (!this.sessionManifest || lines.length === 0) return;
+    
+    if (!this.sessionManifest.transcript) {
+      this.sessionManifest.transcript = [];
+    }
+    this.sessionManifest.transcript.push(...lines);
+    
+    if (!this.transcriptJournalTimer) {
+      this.transcriptJournalTimer = setTimeout(() => {
+        this.transcriptJournalTimer = null;
+        this.updateJournal();
+      }, this.transcriptJournalDelayMs);
+    }
+  }
+
+  stopJournal() {
+    if (this.journalTimer) {
+      clearInterval(this.journalTimer);
+      this.journalTimer = null;
+    }
+    clearTimeout(this.transcriptJournalTimer);
+    this.transcriptJournalTimer = null;
+  }
+
+  // Stop writing and remove the current session's files from disk
+  discardStorage() {
+    this.stopJournal();
+    this.sessionManifest = null;
+    
+    if (this.storage) {
+      this.storage.close();
+      this.storage = null;
+    }
+    
+    if (this.storageSessionId) {
+      // Wait for any pending journal write so it cannot recreate the directory
+      const sessionId = this.storageSessionId;
+      this.journalWrite.then(() => RecordingStorage.deleteSession(sessionId));
+      this.storageSessionId = null;
+    }
+  }
+
   cleanup() {
     console.log('🧹 Starting comprehensive cleanup...');
     
@@ -611,53 +1346,49 @@ async createTabCombinedStreamWithAudio(streamId, options) {
     this.totalPausedTime = 0;
     this.lastPauseTime = null;
     
-    // Clear chunks (but keep blobs for potential use)
-    this.recordedChunks = [];
-    this.audioChunks = [];
-    this.currentChunkSize = 0;
-    this.audioChunkSize = 0;
+    // Recorded files stay in OPFS until the preview page discards them
+    this.stopJournal();
+    this.sessionManifest = null;
+    if (this.storage) {
+      this.storage.close();
+      this.storage = null;
+    }
+    this.storageSessionId = null;
+    this.audioRecorderStopped = null;
+    this.stemRecordersStopped = [];
+    this.pcmCapture = null;
+    this.pcmCaptureStopped = null;
+    this.mixerLevels = { ...MixerLevels.DEFAULT_LEVELS };
+    this.audioOnly = false;
+    this.videoMimeType = null;
+    this.videoBytesWritten = 0;
+    this.audioBytesWritten = 0;
     
     console.log('✅ Comprehensive cleanup completed');
+    this.onClosed();
   }
 
   getVideoConstraints(quality) {
-    const constraints = {
-      '720p': { width: 1280, height: 720 },
-      '1080p': { width: 1920, height: 1080 },
-      '4k': { width: 3840, height: 2160 }
-    };
-    
-    return constraints[quality] || constraints['1080p'];
+    return RecordingFormats.getVideoConstraints(quality);
   }
 
-  getVideoBitrate(quality) {
-    const bitrates = {
-      '720p': 2500000,    // 2.5 Mbps
-      '1080p': 5000000,   // 5 Mbps
-      '4k': 15000000      // 15 Mbps
-    };
+  // Legacy (mandatory) constraints for the tabCapture stream
+  getTabVideoConstraints(options) {
+    const { width, height } = this.getVideoConstraints(options.videoQuality);
     
-    return bitrates[quality] || bitrates['1080p'];
+    return {
+      maxWidth: width,
+      maxHeight: height,
+      maxFrameRate: RecordingFormats.getFrameRate(options.frameRate)
+    };
+  }
+
+  getVideoBitrate(options) {
+    return RecordingFormats.getVideoBitrate(options.videoQuality, options.frameRate, options.videoBitrate);
   }
 
   getSupportedMimeType() {
-    const types = [
-      'video/mp4;codecs=h264,aac',           
-      'video/mp4;codecs=avc1.424028,mp4a.40.2',
-      'video/mp4',
-      'video/webm;codecs=vp9,opus',          
-      'video/webm;codecs=vp8,opus',
-      'video/webm;codecs=h264,opus',
-      'video/webm'
-    ];
-    
-    for (const type of types) {
-      if (MediaRecorder.isTypeSupported(type)) {
-        return type;
-      }
-    }
-    
-    return 'video/webm';
+    return this.videoMimeType || RecordingFormats.getSupportedMimeType();
   }
 
   getSupportedAudioMimeType() {
@@ -679,44 +1410,222 @@ async createTabCombinedStreamWithAudio(streamId, options) {
   }
 
   generateFilename() {
-    const timestamp = new Date().toISOString()
-      .replace(/[:.]/g, '-')
-      .replace('T', '_')
-      .substring(0, 19);
-    
     const extension = this.getSupportedMimeType().includes('mp4') ? 'mp4' : 'webm';
-    return `meet-recording-${timestamp}.${extension}`;
+    return FilenameTemplate.render(this.naming.template, this.naming.context, 'video', extension);
   }
 
-  generateAudioFilename() {
-    const timestamp = new Date().toISOString()
-      .replace(/[:.]/g, '-')
-      .replace('T', '_')
-      .substring(0, 19);
-    
+  generateAudioFilename(stem = null) {
     const extension = this.getSupportedAudioMimeType().includes('mp4') ? 'm4a' : 
                      this.getSupportedAudioMimeType().includes('ogg') ? 'ogg' :
                      this.getSupportedAudioMimeType().includes('wav') ? 'wav' : 'webm';
-    return `meet-audio-${timestamp}.${extension}`;
+    return FilenameTemplate.render(this.naming.template, this.naming.context, stem ? `${stem}-audio` : 'audio', extension);
+  }
+
+  generateWavFilename() {
+    return FilenameTemplate.render(this.naming.template, this.naming.context, 'audio', 'wav');
   }
 
   notifyError(message) {
     chrome.runtime.sendMessage({
       action: 'recordingError',
+      tabId: this.tabId,
       error: message
     }).catch(console.error);
   }
 
-  notifyMemoryWarning() {
+  notifyStorageWarning(freeSpace) {
     chrome.runtime.sendMessage({
-      action: 'memoryWarning',
-      message: 'Recording size is getting large'
+      action: 'storageWarning',
+      tabId: this.tabId,
+      message: `Disk space is running low (${(freeSpace / 1024 / 1024).toFixed(0)} MB free)`
     }).catch(console.error);
   }
 }
 
+// Owns one MeetRecorderOffscreen per recorded tab and routes background commands to it
+class OffscreenSessionManager {
+  constructor() {
+    this.sessions = new Map(); // tabId -> MeetRecorderOffscreen
+    this.levelPorts = new Set();
+    this.levelPortTimer = null;
+    
+    this.setupMessageListener();
+    this.setupLevelMeterPort();
+    console.log('Meet Recorder Offscreen document initialized');
+  }
+
+  setupMessageListener() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      console.log('Offscreen received message:', message);
+      const validactions = [
+        'startTabRecording', 
+        'pauseRecording', 
+        'resumeRecording', 
+        'stopRecording', 
+        'setMixerLevels', 
+        'setBookmarks',
+        'setParticipants',
+        'appendTranscript',
+        'setConsentNotice',
+        'discardRecording',
+        'recordingStateChanged'
+      ];
+      
+      if( !message || !message.action || !validactions.includes(message.action)) {
+        return;
+      }
+      
+      if (message.action === 'recordingStateChanged') {
+        console.log('Offscreen: Recording state changed, ignoring');
+        return;
+      }
+      
+      // Only act on commands routed through background, which owns the state
+      if (message.target !== 'offscreen') return;
+      
+      if (message.action === 'startTabRecording') {
+        this.startSession(message.streamId, message.options)
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
+      
+      const session = this.sessions.get(message.tabId);
+      if (!session) {
+        sendResponse({ success: false, error: 'No recording in progress for this tab' });
+        return;
+      }
+      
+      switch (message.action) {
+        case 'stopRecording':
+          // The background drops its session state on stop - keep the final bookmarks,
+          // attendance and transcript with the recording
+          session.appendTranscript(message.transcriptLines || []);
+          session.updateJournal({
+            ...(message.bookmarks && { bookmarks: message.bookmarks }),
+            ...(message.participants && {
+              participants: message.participants,
+              attendanceBestEffort: !!message.attendanceBestEffort
+            })
+          });
+          session.stopRecording()
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+          
+        case 'pauseRecording':
+          sendResponse(session.pauseRecording());
+          break;
+          
+        case 'resumeRecording':
+          sendResponse(session.resumeRecording());
+          break;
+          
+        case 'setMixerLevels':
+          sendResponse(session.setMixerLevels(message.levels));
+          break;
+          
+        case 'discardRecording':
+          session.discardRecording()
+            .then(result => sendResponse(result))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+          
+        case 'setConsentNotice':
+          session.updateJournal({ consentNotice: message.consentNotice || null });
+          sendResponse({ success: true });
+          break;
+          
+        case 'setBookmarks':
+          session.updateJournal({ bookmarks: message.bookmarks || [] });
+          sendResponse({ success: true });
+          break;
+          
+        case 'setParticipants':
+          session.updateJournal({
+            participants: message.participants || [],
+            attendanceBestEffort: !!message.attendanceBestEffort
+          });
+          sendResponse({ success: true });
+          break;
+          
+        case 'appendTranscript':
+          session.appendTranscript(message.lines || []);
+          sendResponse({ success: true });
+          break;
+          
+        default:
+          console.warn('Unknown message action in offscreen:', message.action);
+      }
+    });
+  }
+
+  async startSession(streamId, options) {
+    const tabId = options.tabId;
+    
+    // A stopped session stays here until its files are finalized
+    if (this.sessions.has(tabId)) {
+      return { success: false, error: 'This tab is already being recorded or saved' };
+    }
+    
+    const session = new MeetRecorderOffscreen(tabId, () => {
+      if (this.sessions.get(tabId) === session) {
+        this.sessions.delete(tabId);
+        console.log(`Recording session for tab ${tabId} closed, ${this.sessions.size} remaining`);
+      }
+    });
+    this.sessions.set(tabId, session);
+    
+    return session.startTabRecording(streamId, options);
+  }
+
+  // The popup connects while it is open to receive live audio levels for every session
+  setupLevelMeterPort() {
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name !== 'audioLevels') return;
+      
+      console.log('Audio level meter port connected');
+      this.levelPorts.add(port);
+      port.onDisconnect.addListener(() => {
+        this.levelPorts.delete(port);
+        console.log('Audio level meter port disconnected');
+        
+        if (this.levelPorts.size === 0) {
+          clearInterval(this.levelPortTimer);
+          this.levelPortTimer = null;
+        }
+      });
+      
+      // Send a first reading right away so the popup can show which sources exist
+      this.postLevels();
+      if (!this.levelPortTimer) {
+        this.levelPortTimer = setInterval(() => this.postLevels(), LEVEL_METER_INTERVAL_MS);
+      }
+    });
+  }
+
+  postLevels() {
+    const sessions = {};
+    for (const [tabId, session] of this.sessions) {
+      sessions[tabId] = {
+        isRecording: session.isRecording,
+        isPaused: session.isPaused,
+        levels: session.latestLevels
+      };
+    }
+    
+    for (const port of this.levelPorts) {
+      try {
+        port.postMessage({ type: 'audioLevels', sessions });
+      } catch (error) {
+        this.levelPorts.delete(port);
+      }
+    }
+  }
+}
+
 // Initialize recorder
-const recorder = new MeetRecorderOffscreen();
+const recorder = new OffscreenSessionManager();
 
 // Update status display
 document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,90 @@
+// OPFS Writer Worker for Google Meet Recorder
+// Appends recorded chunks to Origin Private File System files using sync access handles,
+// so recording length is limited by disk space instead of offscreen document memory
+
+const ROOT_DIRECTORY = 'recordings';
+
+let sessionDirectory = null;
+const trackHandles = new Map(); // track name -> { accessHandle, size }
+
+self.onmessage = async (event) => {
+  const message = event.data;
+
+  try {
+    switch (message.type) {
+      case 'open':
+        await openSession(message.sessionId, message.tracks);
+        reply(message, { success: true });
+        break;
+
+      case 'append':
+        appendChunk(message.track, message.blob);
+        break;
+
+      case 'close':
+        reply(message, { success: true, sizes: closeSession() });
+        break;
+
+      default:
+        console.warn('Unknown message type in OPFS writer:', message.type);
+    }
+  } catch (error) {
+    console.error('OPFS writer error:', error);
+    if (message.requestId) {
+      reply(message, { success: false, error: error.message });
+    } else {
+      self.postMessage({ type: 'error', track: message.track, error: error.message });
+    }
+  }
+};
+
+function reply(message, result) {
+  self.postMessage({ type: 'response', requestId: message.requestId, ...result });
+}
+
+async function openSession(sessionId, tracks) {
+  const root = await navigator.storage.getDirectory();
+  const recordingsDirectory = await root.getDirectoryHandle(ROOT_DIRECTORY, { create: true });
+  sessionDirectory = await recordingsDirectory.getDirectoryHandle(sessionId, { create: true });
+
+  for (const track of tracks) {
+    const fileHandle = await sessionDirectory.getFileHandle(track, { create: true });
+    const accessHandle = await fileHandle.createSyncAccessHandle();
+    trackHandles.set(track, { accessHandle, size: accessHandle.getSize() });
+  }
+
+  console.log(`OPFS session ${sessionId} opened with tracks:`, tracks);
+}
+
+function appendChunk(track, blob) {
+  const handle = trackHandles.get(track);
+  if (!handle) {
+    throw new Error(`Track "${track}" is not open`);
+  }
+
+  // FileReaderSync keeps chunks strictly in arrival order
+  const buffer = new FileReaderSync().readAsArrayBuffer(blob);
+  const written = handle.accessHandle.write(new Uint8Array(buffer), { at: handle.size });
+  handle.size += written;
+
+  // Flush so the data on disk survives a crash of the offscreen document
+  handle.accessHandle.flush();
+}
+
+function closeSession() {
+  const sizes = {};
+
+  for (const [track, handle] of trackHandles) {
+    try {
+      handle.accessHandle.flush();
+      handle.accessHandle.close();
+    } catch (error) {
+      console.warn(`Failed to close OPFS track ${track}:`, error);
+    }
+    sizes[track] = handle.size;
+  }
+
+  trackHandles.clear();
+  sessionDirectory = null;
+  return sizes;
+}
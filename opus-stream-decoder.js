@@ -0,0 +1,181 @@
+// Opus Stream Decoder for Google Meet Recorder
+// Decodes the Opus audio of a WebM recording one cluster at a time with WebCodecs, so exports such
+// as MP3 get the PCM a few seconds at a time instead of the whole recording decoded into memory.
+// The WebM side is read with WebmFixer; the track list comes from Mp4Remuxer's probe.
+
+class OpusStreamDecoder {
+  static SAMPLE_RATE = 48000; // Opus always decodes to 48 kHz
+  static MAX_CHANNELS = 2;
+
+  constructor(file) {
+    this.file = file;
+    this.reader = new WebmFixer(file);
+    this.track = null;
+    this.channels = 0;
+  }
+
+  // True when WebCodecs can decode this file - a WebM with an Opus track
+  async probe() {
+    if (typeof AudioDecoder === 'undefined') return false;
+
+    const probe = await new Mp4Remuxer(this.file).probe();
+    this.track = probe.supported ? probe.tracks.find(track => track.codecId === 'A_OPUS') || null : null;
+    if (!this.track) return false;
+
+    this.channels = Math.min(this.track.channels, OpusStreamDecoder.MAX_CHANNELS);
+    const { supported } = await AudioDecoder.isConfigSupported(this.getConfig());
+    return supported;
+  }
+
+  getConfig() {
+    return {
+      codec: 'opus',
+      sampleRate: OpusStreamDecoder.SAMPLE_RATE,
+      numberOfChannels: this.track.channels,
+      description: this.track.codecPrivate || undefined // OpusHead
+    };
+  }
+
+  // Calls onChunk (awaited) with planar Float32Arrays, one per channel, for each cluster's audio
+  async decode(onChunk, onProgress = () => {}) {
+    const { IDS } = WebmFixer;
+    let decoded = [];
+    let failure = null;
+
+    const decoder = new AudioDecoder({
+      output: (audioData) => decoded.push(audioData),
+      error: (error) => { failure = error; }
+    });
+    decoder.configure(this.getConfig());
+
+    // Hand on whatever has been decoded so far
+    const drain = async () => {
+      if (failure) throw failure;
+      const batch = decoded;
+      decoded = [];
+      if (batch.length > 0) {
+        await onChunk(this.toPlanar(batch));
+      }
+    };
+
+    try {
+      const ebml = await this.reader.readElementHeader(0);
+      const segment = ebml && await this.reader.readElementHeader(ebml.dataEnd);
+      if (!segment || segment.id !== IDS.SEGMENT) {
+        throw new Error('Not a WebM file');
+      }
+
+      const segmentEnd = segment.unknownSize ? this.file.size : Math.min(segment.dataEnd, this.file.size);
+      let timecodeScale = 1000000;
+      let position = segment.dataStart;
+
+      while (position < segmentEnd) {
+        const element = await this.reader.readElementHeader(position);
+        if (!element) break;
+
+        if (element.id === IDS.CLUSTER) {
+          const cluster = await this.reader.scanCluster(element);
+          if (cluster.dataEnd === cluster.dataStart) break;
+
+          await this.decodeCluster(decoder, cluster, timecodeScale);
+          await this.waitForDecodeQueue(decoder, () => failure);
+          await drain();
+          onProgress(cluster.dataEnd / this.file.size);
+          position = cluster.dataEnd;
+          continue;
+        }
+
+        if (element.id === IDS.INFO) {
+          const bytes = await this.reader.readBytes(element.start, element.dataEnd - element.start);
+          timecodeScale = this.reader.findUint(bytes, IDS.TIMECODE_SCALE) || timecodeScale;
+        }
+        if (element.unknownSize) break;
+        position = element.dataEnd;
+      }
+
+      await decoder.flush();
+      await drain();
+      onProgress(1);
+    } finally {
+      decoded.forEach(audioData => audioData.close());
+      if (decoder.state !== 'closed') {
+        decoder.close();
+      }
+    }
+  }
+
+  async decodeCluster(decoder, cluster, timecodeScale) {
+    const { IDS } = WebmFixer;
+    const bytes = new Uint8Array(await this.file.slice(cluster.dataStart, cluster.dataEnd).arrayBuffer());
+    let offset = 0;
+
+    while (offset < bytes.length) {
+      const id = this.reader.readVint(bytes, offset, true);
+      const size = id && this.reader.readVint(bytes, offset + id.length);
+      if (!size) break;
+
+      const dataStart = offset + id.length + size.length;
+      const dataEnd = dataStart + size.value;
+
+      if (id.value === IDS.SIMPLE_BLOCK) {
+        this.decodeBlock(decoder, bytes.subarray(dataStart, dataEnd), cluster.timecode, timecodeScale);
+      } else if (id.value === IDS.BLOCK_GROUP) {
+        const block = this.reader.readChildren(bytes.subarray(offset, dataEnd), IDS.BLOCK)[0];
+        if (block) {
+          const header = this.reader.readVint(block, 0, true);
+          const blockSize = this.reader.readVint(block, header.length);
+          this.decodeBlock(decoder, block.subarray(header.length + blockSize.length), cluster.timecode, timecodeScale);
+        }
+      }
+
+      offset = dataEnd;
+    }
+  }
+
+  // Block header: track number (vint), relative timecode (int16), flags
+  decodeBlock(decoder, block, clusterTimecode, timecodeScale) {
+    const trackNumber = this.reader.readVint(block, 0);
+    if (!trackNumber || trackNumber.value !== this.track.number) return;
+
+    if (block[trackNumber.length + 2] & 0x06) {
+      throw new Error('Laced WebM blocks are not supported');
+    }
+
+    const view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    const webmTime = clusterTimecode + view.getInt16(trackNumber.length);
+
+    // Every Opus packet decodes on its own - they're all key chunks
+    decoder.decode(new EncodedAudioChunk({
+      type: 'key',
+      timestamp: Math.max(0, Math.round(webmTime * timecodeScale / 1000)), // microseconds
+      data: block.subarray(trackNumber.length + 3)
+    }));
+  }
+
+  // Keeps the encoded packets waiting in the decoder to one cluster's worth
+  async waitForDecodeQueue(decoder, getFailure) {
+    while (decoder.decodeQueueSize > 0 && !getFailure()) {
+      await new Promise(resolve => decoder.addEventListener('dequeue', resolve, { once: true }));
+    }
+  }
+
+  toPlanar(batch) {
+    const length = batch.reduce((total, audioData) => total + audioData.numberOfFrames, 0);
+    const channels = Array.from({ length: this.channels }, () => new Float32Array(length));
+    let offset = 0;
+
+    for (const audioData of batch) {
+      for (let channel = 0; channel < this.channels; channel++) {
+        const planeIndex = Math.min(channel, audioData.numberOfChannels - 1);
+        audioData.copyTo(channels[channel].subarray(offset, offset + audioData.numberOfFrames), {
+          planeIndex,
+          format: 'f32-planar'
+        });
+      }
+      offset += audioData.numberOfFrames;
+      audioData.close();
+    }
+
+    return channels;
+  }
+}
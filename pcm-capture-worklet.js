@@ -0,0 +1,96 @@
+// PCM Capture Worklet for Google Meet Recorder
+// Runs on the audio rendering thread: converts the recording mix to 16-bit PCM at the
+// requested sample rate and posts it back to the offscreen document in batches.
+
+const BATCH_FRAMES = 8192;
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const { targetSampleRate, channels } = options.processorOptions;
+    this.channels = channels;
+    this.step = sampleRate / targetSampleRate; // Input frames per output frame
+
+    // Linear resampler state carried across render quanta (PcmCapture low-passes the input when
+    // downsampling). Position 0 is the last sample of the previous block, positions 1..N are the
+    // samples of the current one.
+    this.position = 0;
+    this.previous = new Float32Array(channels);
+
+    this.batch = new Int16Array(BATCH_FRAMES * channels);
+    this.batchFrames = 0;
+    this.paused = false;
+    this.stopped = false;
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'pause':
+        this.postBatch();
+        this.paused = true;
+        break;
+
+      case 'resume':
+        this.paused = false;
+        break;
+
+      case 'flush':
+        this.postBatch();
+        this.stopped = true;
+        this.port.postMessage({ type: 'flushed' });
+        break;
+    }
+  }
+
+  process(inputs) {
+    if (this.stopped) return false;
+    if (this.paused) return true;
+
+    // An input with no active connections has no channels - record it as silence
+    const input = inputs[0];
+    const frames = input.length > 0 ? input[0].length : 128;
+
+    while (this.position < frames) {
+      const index = Math.floor(this.position);
+      const fraction = this.position - index;
+
+      for (let channel = 0; channel < this.channels; channel++) {
+        const samples = input[channel];
+        const before = index === 0 ? this.previous[channel] : (samples ? samples[index - 1] : 0);
+        const after = samples ? samples[index] : 0;
+        this.writeSample(channel, before + (after - before) * fraction);
+      }
+
+      this.batchFrames++;
+      if (this.batchFrames === BATCH_FRAMES) {
+        this.postBatch();
+      }
+      this.position += this.step;
+    }
+
+    this.position -= frames;
+    for (let channel = 0; channel < this.channels; channel++) {
+      this.previous[channel] = input[channel] ? input[channel][frames - 1] : 0;
+    }
+
+    return true;
+  }
+
+  writeSample(channel, value) {
+    const clamped = Math.max(-1, Math.min(1, value));
+    this.batch[this.batchFrames * this.channels + channel] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+  }
+
+  postBatch() {
+    if (this.batchFrames === 0) return;
+
+    const buffer = this.batch.slice(0, this.batchFrames * this.channels).buffer;
+    this.port.postMessage({ type: 'pcm', buffer }, [buffer]);
+    this.batchFrames = 0;
+  }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
@@ -0,0 +1,156 @@
+// PCM Capture for Google Meet Recorder
+// Taps the offscreen recording mix with an AudioWorklet to capture raw 16-bit PCM next to the
+// compressed recorders, and wraps the captured samples in a WAV header for export.
+
+class PcmCapture {
+  static WORKLET_URL = 'pcm-capture-worklet.js';
+  static PROCESSOR_NAME = 'pcm-capture';
+  static WAV_MIME_TYPE = 'audio/wav';
+  static BITS_PER_SAMPLE = 16;
+  static WAV_HEADER_SIZE = 44;
+  static SAMPLE_RATES = [16000, 44100, 48000];
+  static CHANNELS = [1, 2];
+
+  // The worklet resamples by interpolation, so anything above the new Nyquist frequency has to be
+  // filtered out first or it folds back as aliasing. Four biquads with these Qs make an 8th-order
+  // Butterworth low-pass (flat passband), cut off a little below half the target rate.
+  static ANTI_ALIAS_CUTOFF = 0.45;
+  static ANTI_ALIAS_Q = [0.5098, 0.6013, 0.9000, 2.5629];
+
+  static DEFAULT_OPTIONS = {
+    sampleRate: 48000,
+    channels: 2
+  };
+
+  constructor(options = {}) {
+    this.options = { ...PcmCapture.DEFAULT_OPTIONS, ...options };
+    if (!PcmCapture.SAMPLE_RATES.includes(Number(this.options.sampleRate))) {
+      this.options.sampleRate = PcmCapture.DEFAULT_OPTIONS.sampleRate;
+    }
+    if (!PcmCapture.CHANNELS.includes(Number(this.options.channels))) {
+      this.options.channels = PcmCapture.DEFAULT_OPTIONS.channels;
+    }
+
+    this.node = null;
+    this.filters = [];
+    this.onData = null;
+    this.flushed = null;
+  }
+
+  // Connect the worklet to the given nodes (their outputs are summed) - onData receives ArrayBuffers
+  async start(audioContext, sources, onData) {
+    await audioContext.audioWorklet.addModule(chrome.runtime.getURL(PcmCapture.WORKLET_URL));
+
+    // Explicit channel count makes Web Audio up/down-mix the input to mono or stereo for us
+    this.node = new AudioWorkletNode(audioContext, PcmCapture.PROCESSOR_NAME, {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      channelCount: Number(this.options.channels),
+      channelCountMode: 'explicit',
+      channelInterpretation: 'speakers',
+      processorOptions: {
+        targetSampleRate: Number(this.options.sampleRate),
+        channels: Number(this.options.channels)
+      }
+    });
+
+    this.onData = onData;
+    this.node.port.onmessage = (event) => this.handleMessage(event.data);
+
+    const targetSampleRate = Number(this.options.sampleRate);
+    if (targetSampleRate < audioContext.sampleRate) {
+      this.filters = PcmCapture.ANTI_ALIAS_Q.map(q => new BiquadFilterNode(audioContext, {
+        type: 'lowpass',
+        frequency: targetSampleRate * PcmCapture.ANTI_ALIAS_CUTOFF,
+        Q: 20 * Math.log10(q) // A low-pass filter's Q is given in dB
+      }));
+      this.filters.reduce((previous, filter) => previous.connect(filter)).connect(this.node);
+    }
+
+    const input = this.filters[0] || this.node;
+    for (const source of sources) {
+      source.connect(input);
+    }
+
+    console.log(`PCM capture started: ${this.options.sampleRate} Hz, ${this.options.channels} channel(s), mixing from ${audioContext.sampleRate} Hz`);
+  }
+
+  pause() {
+    this.node?.port.postMessage({ type: 'pause' });
+  }
+
+  resume() {
+    this.node?.port.postMessage({ type: 'resume' });
+  }
+
+  // Resolves once the worklet has posted its last samples (or the audio thread is gone)
+  stop(timeoutMs = 2000) {
+    if (!this.node) return Promise.resolve();
+    if (this.flushed) return this.flushed.promise;
+
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    this.flushed = { promise, resolve };
+
+    this.node.port.postMessage({ type: 'flush' });
+    setTimeout(() => this.finish(), timeoutMs);
+    return promise;
+  }
+
+  handleMessage(message) {
+    if (message.type === 'pcm') {
+      this.onData?.(message.buffer);
+    } else if (message.type === 'flushed') {
+      this.finish();
+    }
+  }
+
+  finish() {
+    if (!this.node) return;
+
+    this.node.port.onmessage = null;
+    this.node.disconnect();
+    this.node = null;
+    this.filters.forEach(filter => filter.disconnect());
+    this.filters = [];
+    this.flushed?.resolve();
+    console.log('PCM capture stopped');
+  }
+
+  // 44-byte canonical WAV header for 16-bit little-endian PCM
+  static createWavHeader(dataSize, sampleRate, channels) {
+    const bytesPerSample = PcmCapture.BITS_PER_SAMPLE / 8;
+    // RIFF sizes are 32-bit: about 6 hours of 48 kHz stereo
+    const size = Math.min(dataSize, 0xffffffff - 36);
+
+    const header = new ArrayBuffer(PcmCapture.WAV_HEADER_SIZE);
+    const view = new DataView(header);
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+      }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + size, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channels * bytesPerSample, true); // byte rate
+    view.setUint16(32, channels * bytesPerSample, true); // block align
+    view.setUint16(34, PcmCapture.BITS_PER_SAMPLE, true);
+    writeString(36, 'data');
+    view.setUint32(40, size, true);
+
+    return header;
+  }
+
+  // Disk-backed WAV file: the header is prepended without reading the samples into memory
+  static toWavFile(pcmFile, sampleRate, channels, filename = 'recording.wav') {
+    const header = PcmCapture.createWavHeader(pcmFile.size, sampleRate, channels);
+    return new File([header, pcmFile], filename, { type: PcmCapture.WAV_MIME_TYPE });
+  }
+}
@@ -1,5 +1,14 @@
 // Google Meet Recorder Popup Controller with Authentication
 
+// Level meters show -60 dBFS to 0 dBFS
+const METER_FLOOR_DB = -60;
+
+// How long a source may stay silent before the popup warns about it
+const SILENCE_WARNINGS = {
+  tab: { afterMs: 60 * 1000, message: 'No meeting audio for {duration}. Check that the tab is not muted.' },
+  mic: { afterMs: 5 * 60 * 1000, message: 'Your microphone has been silent for {duration}. Check your input device.' }
+};
+
 class MeetRecorderPopup {
   constructor() {
     this.currentMode = 'setup'; // setup, recording, complete
@@ -337,23 +346,126 @@ class MeetRecorderPopup {
     // Setup mode elements
     this.deviceAudioToggle = document.getElementById('deviceAudioToggle');
     this.microphoneToggle = document.getElementById('microphoneToggle');
+    this.separateStemsToggle = document.getElementById('separateStemsToggle');
+    this.audioOutputOptions = document.getElementById('audioOutputOptions');
+    this.outputDeviceSelect = document.getElementById('outputDeviceSelect');
+    this.silentRecordingToggle = document.getElementById('silentRecordingToggle');
+    this.microphoneOptions = document.getElementById('microphoneOptions');
+    this.micDeviceSelect = document.getElementById('micDeviceSelect');
+    this.micProcessingToggles = {
+      echoCancellation: document.getElementById('micEchoCancellationToggle'),
+      noiseSuppression: document.getElementById('micNoiseSuppressionToggle'),
+      autoGainControl: document.getElementById('micAutoGainToggle')
+    };
+    this.wavExportToggle = document.getElementById('wavExportToggle');
+    this.wavExportOptions = document.getElementById('wavExportOptions');
+    this.wavSampleRateSelect = document.getElementById('wavSampleRateSelect');
+    this.wavChannelsSelect = document.getElementById('wavChannelsSelect');
+    this.recordingTypeRadios = document.querySelectorAll('input[name="recordingType"]');
+    this.saveCaptionsToggle = document.getElementById('saveCaptionsToggle');
+    this.recordingOverlayToggle = document.getElementById('recordingOverlayToggle');
+    this.recordingOverlayOptions = document.getElementById('recordingOverlayOptions');
+    this.recordingOverlayHideInTabToggle = document.getElementById('recordingOverlayHideInTabToggle');
+    this.filenameTemplateInput = document.getElementById('filenameTemplateInput');
+    this.filenameExample = document.getElementById('filenameExample');
+    this.filenameWarning = document.getElementById('filenameWarning');
+    this.autoRecordToggle = document.getElementById('autoRecordToggle');
+    this.autoRecordOptions = document.getElementById('autoRecordOptions');
+    this.autoRecordCodesInput = document.getElementById('autoRecordCodesInput');
+    this.addCurrentMeetingBtn = document.getElementById('addCurrentMeetingBtn');
+    this.consentNoticeToggle = document.getElementById('consentNoticeToggle');
+    this.consentNoticeSubtitle = document.getElementById('consentNoticeSubtitle');
+    this.consentNoticeOptions = document.getElementById('consentNoticeOptions');
+    this.consentMessageInput = document.getElementById('consentMessageInput');
+    this.consentPostToChatToggle = document.getElementById('consentPostToChatToggle');
+    this.webcamOverlaySection = document.getElementById('webcamOverlaySection');
+    this.webcamOverlayToggle = document.getElementById('webcamOverlayToggle');
+    this.webcamOverlayOptions = document.getElementById('webcamOverlayOptions');
+    this.webcamPositionSelect = document.getElementById('webcamPositionSelect');
+    this.webcamSizeSelect = document.getElementById('webcamSizeSelect');
+    this.webcamShapeSelect = document.getElementById('webcamShapeSelect');
+    this.qualitySection = document.getElementById('qualitySection');
+    this.videoQualitySelect = document.getElementById('videoQualitySelect');
+    this.frameRateSelect = document.getElementById('frameRateSelect');
+    this.recordingFormatSelect = document.getElementById('recordingFormatSelect');
+    this.videoCodecSelect = document.getElementById('videoCodecSelect');
+    this.videoBitrateInput = document.getElementById('videoBitrateInput');
+    this.formatWarning = document.getElementById('formatWarning');
     this.startRecordingBtn = document.getElementById('startRecordingBtn');
+    this.shortcutsBtn = document.getElementById('shortcutsBtn');
     
     // Recording mode elements
     this.recordingTimer = document.getElementById('recordingTimer');
     this.recordingTypeDisplay = document.getElementById('recordingTypeDisplay');
     this.recordingQualityDisplay = document.getElementById('recordingQualityDisplay');
     this.recordingSizeDisplay = document.getElementById('recordingSizeDisplay');
+    this.recordingStatusText = document.getElementById('recordingStatusText');
+    this.pauseRecordingBtn = document.getElementById('pauseRecordingBtn');
     this.stopRecordingBtn = document.getElementById('stopRecordingBtn');
     
+    this.bookmarkButtons = document.querySelectorAll('.bookmark-btn');
+    this.bookmarkStatus = document.getElementById('bookmarkStatus');
+    
+    // Multi-tab session elements
+    this.sessionList = document.getElementById('sessionList');
+    this.addSessionBtn = document.getElementById('addSessionBtn');
+    this.backToRecordingsBtn = document.getElementById('backToRecordingsBtn');
+    this.selectedTabId = null; // Session shown in the recording panel
+    this.activeTabId = null; // Tab the popup was opened on
+    this.addingSession = false; // In setup mode while other tabs keep recording
+    
+    // Live mixer elements
+    this.mixerControls = {
+      tabRecording: {
+        row: document.getElementById('tabLevelRow'),
+        slider: document.getElementById('tabLevelSlider'),
+        value: document.getElementById('tabLevelValue')
+      },
+      microphone: {
+        row: document.getElementById('micLevelRow'),
+        slider: document.getElementById('micLevelSlider'),
+        value: document.getElementById('micLevelValue')
+      },
+      passthrough: {
+        row: document.getElementById('passthroughLevelRow'),
+        slider: document.getElementById('passthroughLevelSlider'),
+        value: document.getElementById('passthroughLevelValue')
+      }
+    };
+    this.muteMicBtn = document.getElementById('muteMicBtn');
+    this.pendingMixerLevels = null;
+    this.mixerUpdateInFlight = false;
+    
+    // Audio level meter elements
+    this.levelMeters = {};
+    for (const source of ['tab', 'mic', 'mix']) {
+      this.levelMeters[source] = {
+        row: document.getElementById(`${source}MeterRow`),
+        fill: document.getElementById(`${source}MeterFill`),
+        peak: document.getElementById(`${source}MeterPeak`)
+      };
+    }
+    this.silenceWarning = document.getElementById('silenceWarning');
+    this.levelPort = null;
+    
     // Complete mode elements
     this.newRecordingBtn = document.getElementById('newRecordingBtn');
     
+    // Crash recovery elements
+    this.recoverySection = document.getElementById('recoverySection');
+    this.recoveryList = document.getElementById('recoveryList');
+    
     // Overlays
     this.loadingOverlay = document.getElementById('loadingOverlay');
     this.errorOverlay = document.getElementById('errorOverlay');
     this.errorMessage = document.getElementById('errorMessage');
     this.dismissErrorBtn = document.getElementById('dismissErrorBtn');
+    this.consentOverlay = document.getElementById('consentOverlay');
+    this.consentReason = document.getElementById('consentReason');
+    this.consentPromptText = document.getElementById('consentPromptText');
+    this.copyConsentBtn = document.getElementById('copyConsentBtn');
+    this.confirmConsentBtn = document.getElementById('confirmConsentBtn');
+    this.cancelConsentBtn = document.getElementById('cancelConsentBtn');
     
     // User profile button
     this.userProfileBtn = document.getElementById('userProfileBtn');
@@ -364,11 +476,61 @@ class MeetRecorderPopup {
       this.startRecordingBtn.addEventListener('click', () => this.startRecording());
     }
     
+    if (this.shortcutsBtn) {
+      // Chrome only lets the user change shortcut keys on its own settings page
+      this.shortcutsBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+      });
+    }
+    
     // Recording mode events
     if (this.stopRecordingBtn) {
       this.stopRecordingBtn.addEventListener('click', () => this.stopRecording());
     }
     
+    if (this.pauseRecordingBtn) {
+      this.pauseRecordingBtn.addEventListener('click', () => this.togglePauseRecording());
+      this.pauseRecordingBtn.setAttribute('data-listener-attached', 'true');
+    }
+    
+    this.bookmarkButtons.forEach(button => {
+      button.addEventListener('click', () => this.addBookmark(button.dataset.label));
+    });
+    
+    // Live mixer events
+    for (const [key, control] of Object.entries(this.mixerControls)) {
+      if (control.slider) {
+        control.slider.addEventListener('input', () => {
+          const level = control.slider.value / 100;
+          control.value.textContent = `${control.slider.value}%`;
+          this.sendMixerLevels({ [key]: level });
+        });
+      }
+    }
+    
+    // Multi-tab session events
+    if (this.addSessionBtn) {
+      this.addSessionBtn.addEventListener('click', () => {
+        this.addingSession = true;
+        this.updateUIForState();
+      });
+    }
+    
+    if (this.backToRecordingsBtn) {
+      this.backToRecordingsBtn.addEventListener('click', () => {
+        this.addingSession = false;
+        this.updateUIForState();
+      });
+    }
+    
+    if (this.muteMicBtn) {
+      this.muteMicBtn.addEventListener('click', () => {
+        const micMuted = !this.muteMicBtn.classList.contains('muted');
+        this.updateMuteMicButton(micMuted);
+        this.sendMixerLevels({ micMuted: micMuted });
+      });
+    }
+    
     // Complete mode events
     if (this.newRecordingBtn) {
       this.newRecordingBtn.addEventListener('click', () => this.startNewRecording());
@@ -379,6 +541,15 @@ class MeetRecorderPopup {
       this.dismissErrorBtn.addEventListener('click', () => this.hideError());
     }
     
+    if (this.consentOverlay) {
+      this.copyConsentBtn.addEventListener('click', () => this.copyConsentNotice());
+      this.cancelConsentBtn.addEventListener('click', () => this.hideConsentPrompt());
+      this.confirmConsentBtn.addEventListener('click', () => {
+        this.hideConsentPrompt();
+        this.startRecording({ consentAcknowledged: true });
+      });
+    }
+    
     // User profile button
     if (this.userProfileBtn) {
       this.userProfileBtn.addEventListener('click', () => this.handleUserProfileClick());
@@ -390,11 +561,12 @@ class MeetRecorderPopup {
       
       if (message.action === 'recordingStateChanged') {
         console.log('Recording state changed:', message.state);
+        const wasRecording = this.currentMode === 'recording';
         this.recordingState = message.state;
         this.updateUIForState();
         
-        // If recording completed (not by user action), switch to setup mode
-        if (!this.recordingState.isRecording && this.currentMode === 'recording') {
+        // If the last recording completed (not by user action), switch to setup mode
+        if (wasRecording && this.getActiveSessions().length === 0) {
           console.log('Recording completed, switching to setup mode');
           this.startNewRecording();
         }
@@ -422,6 +594,11 @@ class MeetRecorderPopup {
         console.log('Microphone permission result:', message);
         this.handleMicrophonePermissionResult(message.success, message.error);
       }
+      
+      if (message.action === 'cameraPermissionResult') {
+        console.log('Camera permission result:', message);
+        this.handleCameraPermissionResult(message.success, message.error);
+      }
 
       // Handle authentication events
       if (message.action === 'authEvent') {
@@ -430,13 +607,116 @@ class MeetRecorderPopup {
     });
     
     // Save settings on change
+    this.recordingTypeRadios.forEach(radio => {
+      radio.addEventListener('change', () => this.onRecordingTypeChange());
+    });
+    
     if (this.deviceAudioToggle) {
-      this.deviceAudioToggle.addEventListener('change', () => this.saveSettings());
+      this.deviceAudioToggle.addEventListener('change', () => {
+        this.updateAudioOutputDisplay();
+        this.saveSettings();
+      });
     }
     
+    [this.outputDeviceSelect, this.silentRecordingToggle].forEach(field => {
+      if (field) {
+        field.addEventListener('change', () => {
+          this.updateAudioOutputDisplay();
+          this.saveSettings();
+        });
+      }
+    });
+    
     if (this.microphoneToggle) {
       this.microphoneToggle.addEventListener('change', (e) => this.handleMicrophoneToggle(e));
     }
+    
+    if (this.separateStemsToggle) {
+      this.separateStemsToggle.addEventListener('change', () => this.saveSettings());
+    }
+    
+    [this.micDeviceSelect, ...Object.values(this.micProcessingToggles)].forEach(field => {
+      if (field) {
+        field.addEventListener('change', () => this.saveSettings());
+      }
+    });
+    
+    // USB mics and headsets come and go - keep the device lists current while the popup is open
+    navigator.mediaDevices.addEventListener('devicechange', () => this.refreshAudioDevices());
+    
+    if (this.webcamOverlayToggle) {
+      this.webcamOverlayToggle.addEventListener('change', (e) => this.handleWebcamOverlayToggle(e));
+    }
+    
+    [this.wavExportToggle, this.wavSampleRateSelect, this.wavChannelsSelect].forEach(field => {
+      if (field) {
+        field.addEventListener('change', () => {
+          this.updateWavExportDisplay();
+          this.saveSettings();
+        });
+      }
+    });
+    
+    [this.saveCaptionsToggle, this.recordingOverlayToggle, this.recordingOverlayHideInTabToggle].forEach(toggle => {
+      if (toggle) {
+        toggle.addEventListener('change', () => {
+          this.updateRecordingOverlayDisplay();
+          this.saveSettings();
+        });
+      }
+    });
+    
+    if (this.filenameTemplateInput) {
+      this.filenameTemplateInput.addEventListener('input', () => this.updateFilenameExample());
+      this.filenameTemplateInput.addEventListener('change', () => {
+        if (!this.updateFilenameExample()) {
+          this.saveSettings();
+        }
+      });
+    }
+    
+    [this.autoRecordToggle, this.autoRecordCodesInput].forEach(field => {
+      if (field) {
+        field.addEventListener('change', () => {
+          this.updateAutoRecordDisplay();
+          this.saveSettings();
+        });
+      }
+    });
+    
+    [this.consentNoticeToggle, this.consentMessageInput, this.consentPostToChatToggle].forEach(field => {
+      if (field) {
+        field.addEventListener('change', () => {
+          this.updateConsentNoticeDisplay();
+          this.saveSettings();
+        });
+      }
+    });
+    
+    if (this.addCurrentMeetingBtn) {
+      this.addCurrentMeetingBtn.addEventListener('click', () => {
+        const { meetingCodes } = this.getAutoRecordOptions();
+        this.autoRecordCodesInput.value = [...meetingCodes, this.getActiveMeetingCode()].join('\n');
+        this.updateAutoRecordDisplay();
+        this.saveSettings();
+      });
+    }
+    
+    [this.webcamPositionSelect, this.webcamSizeSelect, this.webcamShapeSelect].forEach(select => {
+      if (select) {
+        select.addEventListener('change', () => this.saveSettings());
+      }
+    });
+    
+    [this.videoQualitySelect, this.frameRateSelect, this.recordingFormatSelect,
+      this.videoCodecSelect, this.videoBitrateInput].forEach(field => {
+      if (field) {
+        field.addEventListener('change', () => {
+          this.updateFormatOptions();
+          this.saveSettings();
+        });
+      }
+    });
   }
 
   handleAuthEvent(eventType, data) {
@@ -461,19 +741,98 @@ class MeetRecorderPopup {
       // Get current recording state from background
       const response = await chrome.runtime.sendMessage({ action: 'getRecordingState' });
       this.recordingState = response;
-      console.log('found state: ', response.isRecording);
+      
+      // Default the recording panel to the tab the popup was opened on
+      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      this.activeTabId = activeTab ? activeTab.id : null;
+      this.activeTabUrl = activeTab ? activeTab.url : null;
+      this.activeTabTitle = activeTab ? activeTab.title : null;
+      this.selectedTabId = this.activeTabId;
+      console.log('found active sessions: ', this.getActiveSessions().length);
       // Load saved settings
       await this.loadSettings();
+      await this.loadShortcutHints();
       
       // Update UI based on current state
       this.updateUIForState();
       
+      // Offer any recordings interrupted by a crash
+      await this.loadRecoverableSessions();
+      
     } catch (error) {
       console.error('Error loading initial state:', error);
       this.showError('Failed to load recorder state');
     }
   }
 
+  async loadRecoverableSessions() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getRecoverableSessions' });
+      this.renderRecoverableSessions(response?.sessions || []);
+    } catch (error) {
+      console.error('Error loading recoverable sessions:', error);
+    }
+  }
+
+  renderRecoverableSessions(sessions) {
+    if (!this.recoverySection || !this.recoveryList) return;
+    
+    this.recoveryList.innerHTML = '';
+    this.recoverySection.style.display = sessions.length ? 'block' : 'none';
+    
+    for (const session of sessions) {
+      const item = document.createElement('div');
+      item.className = 'recovery-item';
+      
+      const info = document.createElement('div');
+      info.className = 'recovery-info';
+      
+      const title = document.createElement('div');
+      title.className = 'recovery-title';
+      title.textContent = this.truncateText(session.name || session.tabTitle || 'Untitled tab', 40);
+      title.title = session.name || session.tabTitle || '';
+      
+      const subtitle = document.createElement('div');
+      subtitle.className = 'recovery-subtitle';
+      subtitle.textContent = `${new Date(session.startTime).toLocaleString()} · ${this.formatDuration(session.duration)} · ${this.formatFileSize(session.size)}`;
+      
+      info.append(title, subtitle);
+      
+      const previewBtn = document.createElement('button');
+      previewBtn.className = 'link-btn';
+      previewBtn.textContent = 'Preview';
+      previewBtn.addEventListener('click', () => this.recoverSession(session.sessionId));
+      
+      const discardBtn = document.createElement('button');
+      discardBtn.className = 'link-btn';
+      discardBtn.textContent = 'Discard';
+      discardBtn.addEventListener('click', () => this.discardRecoverableSession(session.sessionId));
+      
+      item.append(info, previewBtn, discardBtn);
+      this.recoveryList.appendChild(item);
+    }
+  }
+
+  async recoverSession(sessionId) {
+    try {
+      await chrome.runtime.sendMessage({ action: 'recoverSession', sessionId: sessionId });
+      window.close();
+    } catch (error) {
+      console.error('Error recovering session:', error);
+      this.showError('Failed to open recovered recording: ' + error.message);
+    }
+  }
+
+  async discardRecoverableSession(sessionId) {
+    try {
+      await chrome.runtime.sendMessage({ action: 'discardRecoverableSession', sessionId: sessionId });
+      await this.loadRecoverableSessions();
+    } catch (error) {
+      console.error('Error discarding session:', error);
+      this.showError('Failed to discard recording: ' + error.message);
+    }
+  }
+
   updateUIForState() {
     console.log('Updating UI for state:', this.recordingState);
     
@@ -483,7 +842,12 @@ class MeetRecorderPopup {
       return;
     }
     
-    if (this.recordingState.isRecording) {
+    const activeSessions = this.getActiveSessions();
+    if (activeSessions.length === 0) {
+      this.addingSession = false;
+    }
+    
+    if (activeSessions.length > 0 && !this.addingSession) {
       console.log('Recording is active, switching to recording mode');
       this.switchToRecordingMode();
     } else {
@@ -492,12 +856,105 @@ class MeetRecorderPopup {
     }
   }
 
+  // Sessions that are currently recording, one per tab
+  getActiveSessions() {
+    const sessions = this.recordingState?.sessions || {};
+    return Object.values(sessions).filter(session => session.isRecording);
+  }
+
+  // The session shown in the recording panel: the selected tab, else the first active one
+  getSelectedSession() {
+    const activeSessions = this.getActiveSessions();
+    const selected = activeSessions.find(session => session.tabId === this.selectedTabId);
+    if (selected) return selected;
+    
+    const fallback = activeSessions[0] || null;
+    this.selectedTabId = fallback ? fallback.tabId : this.selectedTabId;
+    return fallback;
+  }
+
+  selectSession(tabId) {
+    if (this.selectedTabId === tabId) return;
+    
+    this.selectedTabId = tabId;
+    this.pendingMixerLevels = null;
+    this.updateRecordingDisplay();
+  }
+
+  renderSessionList() {
+    if (!this.sessionList) return;
+    
+    const activeSessions = this.getActiveSessions();
+    const selected = this.getSelectedSession();
+    
+    // A single recording needs no list - the panel below already shows it
+    this.sessionList.innerHTML = '';
+    this.sessionList.style.display = activeSessions.length > 1 ? 'flex' : 'none';
+    
+    if (this.addSessionBtn) {
+      const activeTabRecording = activeSessions.some(session => session.tabId === this.activeTabId);
+      this.addSessionBtn.style.display = this.activeTabId && !activeTabRecording ? 'block' : 'none';
+    }
+    
+    if (activeSessions.length <= 1) return;
+    
+    for (const session of activeSessions) {
+      const row = document.createElement('div');
+      row.className = 'session-row';
+      row.classList.toggle('selected', session === selected);
+      row.classList.toggle('paused', !!session.isPaused);
+      row.addEventListener('click', () => this.selectSession(session.tabId));
+      
+      const dot = document.createElement('span');
+      dot.className = 'session-dot';
+      
+      const title = document.createElement('span');
+      title.className = 'session-title';
+      title.textContent = this.truncateText(session.tabTitle || `Tab ${session.tabId}`, 28);
+      title.title = session.tabTitle || '';
+      
+      const time = document.createElement('span');
+      time.className = 'session-time';
+      time.dataset.tabId = session.tabId;
+      time.textContent = this.formatElapsed(this.getElapsedRecordingTime(session));
+      
+      const pauseBtn = document.createElement('button');
+      pauseBtn.className = 'session-btn';
+      pauseBtn.textContent = session.isPaused ? '▶️' : '⏸️';
+      pauseBtn.title = session.isPaused ? 'Resume' : 'Pause';
+      pauseBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.togglePauseRecording(session.tabId);
+      });
+      
+      const stopBtn = document.createElement('button');
+      stopBtn.className = 'session-btn';
+      stopBtn.textContent = '⏹️';
+      stopBtn.title = 'Stop';
+      stopBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.stopRecording(session.tabId);
+      });
+      
+      row.append(dot, title, time, pauseBtn, stopBtn);
+      this.sessionList.appendChild(row);
+    }
+  }
+
   switchToSetupMode() {
     this.currentMode = 'setup';
     this.setupMode.style.display = 'flex';
     this.recordingMode.style.display = 'none';
     this.completeMode.style.display = 'none';
     this.showUserProfileButton();
+    this.stopRecordingTimer();
+    this.disconnectLevelMeters();
+    
+    if (this.backToRecordingsBtn) {
+      const activeCount = this.getActiveSessions().length;
+      this.backToRecordingsBtn.style.display = activeCount > 0 ? 'block' : 'none';
+      this.backToRecordingsBtn.textContent = `← Back to active recordings (${activeCount})`;
+    }
     // Remove compact size
     document.body.classList.remove('recording-mode');
     document.querySelector('.container').classList.remove('recording-mode');
@@ -518,9 +975,11 @@ class MeetRecorderPopup {
     setTimeout(() => {
       // Re-find recording mode elements after switching
       this.stopRecordingBtn = document.getElementById('stopRecordingBtn');
+      this.pauseRecordingBtn = document.getElementById('pauseRecordingBtn');
       
       console.log('Recording mode elements:', {
-        stopRecordingBtn: !!this.stopRecordingBtn
+        stopRecordingBtn: !!this.stopRecordingBtn,
+        pauseRecordingBtn: !!this.pauseRecordingBtn
       });
       
       // Re-attach event listeners for recording mode buttons
@@ -530,9 +989,16 @@ class MeetRecorderPopup {
         console.log('Stop recording button listener attached');
       }
       
+      if (this.pauseRecordingBtn && !this.pauseRecordingBtn.hasAttribute('data-listener-attached')) {
+        this.pauseRecordingBtn.addEventListener('click', () => this.togglePauseRecording());
+        this.pauseRecordingBtn.setAttribute('data-listener-attached', 'true');
+        console.log('Pause recording button listener attached');
+      }
+      
       // Update recording display info
       this.updateRecordingDisplay();
       this.startRecordingTimer();
+      this.connectLevelMeters();
     }, 100);
   }
 
@@ -547,6 +1013,7 @@ class MeetRecorderPopup {
     document.querySelector('.container').classList.remove('recording-mode');
     this.showUserProfileButton();
     this.stopRecordingTimer();
+    this.disconnectLevelMeters();
     
     // Wait a moment for DOM to update, then attach event listener
     setTimeout(() => {
@@ -623,6 +1090,7 @@ class MeetRecorderPopup {
     
     if (success) {
       this.updateMicrophoneToggleState('granted');
+      this.refreshAudioDevices(); // Devices are only listed once permission is granted
       this.saveSettings();
     } else {
       this.microphoneToggle.checked = false;
@@ -659,20 +1127,326 @@ class MeetRecorderPopup {
         // No special state
         break;
     }
+    
+    this.updateMicrophoneOptionsDisplay();
   }
 
-  onRecordingTypeChange() {
-    // Always show tab selection since we only support tab recording
-    if (this.tabSelectionSection) {
-      this.tabSelectionSection.style.display = 'block';
-    }
+  // Camera permission is granted to the extension origin through an iframe in the page,
+  // the same way as the microphone; the result arrives as a cameraPermissionResult message
+  async handleWebcamOverlayToggle(event) {
+    if (event.target.checked) {
+      try {
+        const response = await chrome.runtime.sendMessage({ action: 'testCameraPermission' });
         
+        if (!response || !response.success) {
+          event.target.checked = false;
+          this.showError(response?.error || 'Camera access denied. Please allow camera access and try again.');
+        }
+      } catch (error) {
+        console.error('Error testing camera permission:', error);
+        event.target.checked = false;
+        this.showError('Failed to test camera access: ' + error.message);
+      }
+    }
+    
+    this.updateWebcamOverlayDisplay();
     this.saveSettings();
   }
 
+  handleCameraPermissionResult(success, error) {
+    if (!success && this.webcamOverlayToggle) {
+      this.webcamOverlayToggle.checked = false;
+      this.showError(error || 'Camera access denied. Please allow camera access and try again.');
+      this.updateWebcamOverlayDisplay();
+      this.saveSettings();
+    }
+  }
+
+  updateWebcamOverlayDisplay() {
+    if (!this.webcamOverlaySection) return;
+    
+    // Audio-only recordings have no video to draw the webcam on
+    const hasVideo = this.getSelectedRecordingType() !== 'audio';
+    this.webcamOverlaySection.style.display = hasVideo ? 'block' : 'none';
+    this.webcamOverlayOptions.style.display = this.webcamOverlayToggle.checked ? 'grid' : 'none';
+  }
+
+  getWebcamOverlayOptions() {
+    return {
+      enabled: !!(this.webcamOverlayToggle && this.webcamOverlayToggle.checked),
+      position: this.webcamPositionSelect ? this.webcamPositionSelect.value : 'bottom-right',
+      size: this.webcamSizeSelect ? this.webcamSizeSelect.value : 'medium',
+      shape: this.webcamShapeSelect ? this.webcamShapeSelect.value : 'circle'
+    };
+  }
+
+  onRecordingTypeChange() {
+    console.log('Recording type changed to:', this.getSelectedRecordingType());
+    this.updateWebcamOverlayDisplay();
+    this.updateFormatOptions();
+    this.updateFilenameExample();
+    this.saveSettings();
+  }
+
+  updateMicrophoneOptionsDisplay() {
+    if (!this.microphoneOptions) return;
+    this.microphoneOptions.style.display = this.microphoneToggle.checked ? 'grid' : 'none';
+  }
+
+  updateAudioOutputDisplay() {
+    if (!this.audioOutputOptions) return;
+    this.audioOutputOptions.style.display = this.deviceAudioToggle.checked ? 'grid' : 'none';
+    this.outputDeviceSelect.disabled = this.silentRecordingToggle.checked;
+  }
+
+  // List the current shortcut keys in the button tooltip - unassigned commands have no shortcut
+  async loadShortcutHints() {
+    if (!this.shortcutsBtn) return;
+    
+    try {
+      const commands = await chrome.commands.getAll();
+      const hints = commands
+        .filter(command => command.description)
+        .map(command => `${command.description}: ${command.shortcut || 'not set'}`);
+      this.shortcutsBtn.title = hints.join('\n');
+    } catch (error) {
+      console.warn('Could not read keyboard shortcuts:', error);
+    }
+  }
+
+  async refreshAudioDevices() {
+    try {
+      const [inputs, outputs] = await Promise.all([
+        MicrophoneSettings.listInputDevices(),
+        MicrophoneSettings.listOutputDevices()
+      ]);
+      
+      this.fillDeviceSelect(this.micDeviceSelect, inputs, this.savedMicDeviceId, 'Saved microphone (not connected)');
+      this.fillDeviceSelect(this.outputDeviceSelect, outputs, this.savedOutputDeviceId, 'Saved speakers (not connected)');
+      this.savedMicDeviceId = null;
+      this.savedOutputDeviceId = null;
+      
+      console.log(`Found ${inputs.length} microphone(s) and ${outputs.length} output device(s)`);
+    } catch (error) {
+      console.warn('Could not list audio devices:', error);
+    }
+  }
+
+  // Rebuild a device dropdown, keeping the saved choice even while that device is unplugged
+  fillDeviceSelect(select, devices, savedDeviceId, missingLabel) {
+    if (!select) return;
+    
+    const selectedDeviceId = savedDeviceId || select.value;
+    const options = [{ deviceId: MicrophoneSettings.DEFAULT_DEVICE_ID, label: 'System default' }, ...devices];
+    if (!options.some(device => device.deviceId === selectedDeviceId)) {
+      options.push({ deviceId: selectedDeviceId, label: missingLabel });
+    }
+    
+    select.innerHTML = '';
+    for (const device of options) {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      option.textContent = device.label;
+      select.appendChild(option);
+    }
+    select.value = selectedDeviceId;
+  }
+
+  getAudioOutputOptions() {
+    return {
+      deviceId: this.outputDeviceSelect ? this.outputDeviceSelect.value : MicrophoneSettings.DEFAULT_DEVICE_ID,
+      silent: this.silentRecordingToggle ? this.silentRecordingToggle.checked : false
+    };
+  }
+
+  getMicrophoneOptions() {
+    const options = {
+      deviceId: this.micDeviceSelect ? this.micDeviceSelect.value : MicrophoneSettings.DEFAULT_DEVICE_ID
+    };
+    for (const [option, toggle] of Object.entries(this.micProcessingToggles)) {
+      options[option] = toggle ? toggle.checked : MicrophoneSettings.DEFAULT_SETTINGS[option];
+    }
+    return MicrophoneSettings.normalize(options);
+  }
+
+  updateWavExportDisplay() {
+    if (!this.wavExportOptions) return;
+    this.wavExportOptions.style.display = this.wavExportToggle.checked ? 'grid' : 'none';
+  }
+
+  // The template as typed, or the default while it has an error
+  getFilenameTemplate() {
+    const template = this.filenameTemplateInput ? this.filenameTemplateInput.value.trim() : '';
+    return FilenameTemplate.validate(template) ? FilenameTemplate.DEFAULT_TEMPLATE : template;
+  }
+
+  // Show what the current tab's recording would be called. Returns the template error, if any.
+  updateFilenameExample() {
+    if (!this.filenameTemplateInput) return null;
+    
+    const error = FilenameTemplate.validate(this.filenameTemplateInput.value);
+    this.filenameWarning.textContent = error ? `⚠️ ${error} - tokens: ${Object.keys(FilenameTemplate.TOKENS).map(token => `{${token}}`).join(' ')}` : '';
+    this.filenameWarning.style.display = error ? 'block' : 'none';
+    
+    const context = FilenameTemplate.createContext({ tabTitle: this.activeTabTitle, tabUrl: this.activeTabUrl });
+    const extension = this.getSelectedRecordingType() === 'audio' ? 'webm' : this.getFormatSettings().recordingFormat;
+    const type = this.getSelectedRecordingType() === 'audio' ? 'audio' : 'video';
+    this.filenameExample.textContent = `e.g. ${FilenameTemplate.render(this.getFilenameTemplate(), context, type, extension)}`;
+    this.filenameExample.title = Object.entries(FilenameTemplate.TOKENS)
+      .map(([token, description]) => `{${token}} - ${description}`)
+      .join('\n');
+    
+    return error;
+  }
+
+  // Meeting code (abc-defg-hij) of the Meet call open in the active tab, if any
+  getActiveMeetingCode() {
+    const match = (this.activeTabUrl || '').match(/^https:\/\/meet\.google\.com\/([a-z]{3}-[a-z]{4}-[a-z]{3})(?:$|[/?#])/);
+    return match ? match[1] : null;
+  }
+
+  updateAutoRecordDisplay() {
+    if (!this.autoRecordOptions) return;
+    this.autoRecordOptions.style.display = this.autoRecordToggle.checked ? 'grid' : 'none';
+    
+    const activeMeetingCode = this.getActiveMeetingCode();
+    const listed = this.getAutoRecordOptions().meetingCodes.includes(activeMeetingCode);
+    this.addCurrentMeetingBtn.style.display = activeMeetingCode && !listed ? 'block' : 'none';
+  }
+
+  // Codes can be typed or pasted as full meeting links - keep just the unique codes
+  getAutoRecordOptions() {
+    const text = this.autoRecordCodesInput ? this.autoRecordCodesInput.value.toLowerCase() : '';
+    const meetingCodes = [...new Set(text.match(/[a-z]{3}-[a-z]{4}-[a-z]{3}/g) || [])];
+    
+    return {
+      enabled: this.autoRecordToggle ? this.autoRecordToggle.checked : false,
+      meetingCodes
+    };
+  }
+
+  // The organization policy overrides the toggle and, when it sets one, the message
+  async applyConsentPolicy() {
+    this.consentPolicy = await ConsentNotice.getPolicy();
+    
+    if (this.consentPolicy.required) {
+      this.consentNoticeToggle.checked = true;
+      this.consentNoticeToggle.disabled = true;
+      this.consentNoticeSubtitle.textContent = 'Required by your organization for Meet recordings';
+    }
+    if (this.consentPolicy.messageLocked) {
+      this.consentMessageInput.value = this.consentPolicy.message;
+      this.consentMessageInput.readOnly = true;
+    }
+    this.updateConsentNoticeDisplay();
+  }
+  
+  updateRecordingOverlayDisplay() {
+    if (!this.recordingOverlayOptions) return;
+    this.recordingOverlayOptions.style.display = this.recordingOverlayToggle.checked ? 'grid' : 'none';
+  }
+  
+  updateConsentNoticeDisplay() {
+    if (!this.consentNoticeOptions) return;
+    this.consentNoticeOptions.style.display = this.consentNoticeToggle.checked ? 'grid' : 'none';
+  }
+  
+  // Locked fields keep the user's own saved choice, for when the policy goes away
+  getConsentNoticeOptions() {
+    const saved = this.savedConsentNotice || ConsentNotice.DEFAULT_SETTINGS;
+    const policy = this.consentPolicy || {};
+    
+    return {
+      enabled: policy.required ? !!saved.enabled : this.consentNoticeToggle.checked,
+      message: policy.messageLocked
+        ? saved.message
+        : ConsentNotice.normalizeMessage(this.consentMessageInput.value) || ConsentNotice.DEFAULT_MESSAGE,
+      postToChat: this.consentPostToChatToggle.checked
+    };
+  }
+  
+  // The notice couldn't be posted in the Meet chat - the user tells everyone and confirms
+  showConsentPrompt(response) {
+    this.consentReason.textContent = response.required
+      ? 'Your organization requires this before recording. Paste the notice in the chat or say it out loud.'
+      : 'It could not be posted in the Meet chat. Paste it in the chat or say it out loud.';
+    this.consentPromptText.value = response.consentMessage;
+    this.copyConsentBtn.textContent = '📋 Copy notice';
+    this.consentOverlay.style.display = 'flex';
+  }
+  
+  hideConsentPrompt() {
+    this.consentOverlay.style.display = 'none';
+  }
+  
+  async copyConsentNotice() {
+    try {
+      await navigator.clipboard.writeText(this.consentPromptText.value);
+      this.copyConsentBtn.textContent = '✓ Copied';
+    } catch (error) {
+      console.error('Error copying consent notice:', error);
+      this.consentPromptText.select();
+    }
+  }
+
+  getWavExportOptions() {
+    return {
+      enabled: this.wavExportToggle ? this.wavExportToggle.checked : false,
+      sampleRate: this.wavSampleRateSelect ? Number(this.wavSampleRateSelect.value) : 48000,
+      channels: this.wavChannelsSelect ? Number(this.wavChannelsSelect.value) : 2
+    };
+  }
+
+  getFormatSettings() {
+    const bitrate = this.videoBitrateInput ? this.videoBitrateInput.value.trim() : '';
+    
+    return {
+      videoQuality: this.videoQualitySelect ? this.videoQualitySelect.value : RecordingFormats.DEFAULT_SETTINGS.videoQuality,
+      frameRate: this.frameRateSelect ? Number(this.frameRateSelect.value) : RecordingFormats.DEFAULT_SETTINGS.frameRate,
+      recordingFormat: this.recordingFormatSelect ? this.recordingFormatSelect.value : RecordingFormats.DEFAULT_SETTINGS.recordingFormat,
+      videoCodec: this.videoCodecSelect ? this.videoCodecSelect.value : RecordingFormats.DEFAULT_SETTINGS.videoCodec,
+      videoBitrate: bitrate ? Number(bitrate) : null
+    };
+  }
+
+  // Grey out formats and codecs MediaRecorder can't produce, and explain what's wrong with the rest.
+  // Returns the validation error, or null when the settings can be recorded.
+  updateFormatOptions() {
+    if (!this.qualitySection) return null;
+    
+    // Audio-only recordings don't use any of the video settings
+    const hasVideo = this.getSelectedRecordingType() !== 'audio';
+    this.qualitySection.style.display = hasVideo ? 'block' : 'none';
+    
+    for (const option of this.recordingFormatSelect.options) {
+      option.disabled = !RecordingFormats.findSupportedMimeType(option.value);
+    }
+    
+    const format = this.recordingFormatSelect.value;
+    for (const option of this.videoCodecSelect.options) {
+      option.disabled = !RecordingFormats.findSupportedMimeType(format, option.value);
+    }
+    
+    // A codec picked for the other container may not exist in this one
+    if (this.videoCodecSelect.selectedOptions[0]?.disabled) {
+      this.videoCodecSelect.value = 'auto';
+    }
+    
+    const error = hasVideo ? RecordingFormats.validate(this.getFormatSettings()) : null;
+    this.formatWarning.textContent = error ? '⚠️ ' + error : '';
+    this.formatWarning.style.display = error ? 'block' : 'none';
+    return error;
+  }
+
+  // 'tab' records the tab, 'screen' a picked screen/window with tab audio, 'audio' skips video entirely
+  getSelectedRecordingType() {
+    const selected = document.querySelector('input[name="recordingType"]:checked');
+    return selected ? selected.value : 'tab';
+  }
+
 
 
-async startRecording() { 
+async startRecording(extraOptions = {}) { 
   try {
     // Verify authentication before starting recording
     if (!await this.checkAuthentication()) {
@@ -688,14 +1462,33 @@ async startRecording() {
       return;
     }
 
-    const recordingType = 'tab'; // Always tab recording
-    const videoQuality = '720p'; // Always 720p
+    const recordingType = this.getSelectedRecordingType();
+    
+    if (recordingType === 'audio' && !this.deviceAudioToggle.checked && !this.microphoneToggle.checked) {
+      this.showError('Audio-only recording needs Device Audio or Microphone turned on.');
+      return;
+    }
+    
+    const formatError = this.updateFormatOptions();
+    if (formatError) {
+      this.showError(formatError);
+      return;
+    }
 
     const options = {
       recordingType: recordingType,
-      videoQuality: videoQuality,
+      ...this.getFormatSettings(),
       includeDeviceAudio: this.deviceAudioToggle.checked,
       includeMicrophone: this.microphoneToggle.checked,
+      microphone: this.getMicrophoneOptions(),
+      audioOutput: this.getAudioOutputOptions(),
+      separateAudioStems: this.separateStemsToggle ? this.separateStemsToggle.checked : false,
+      webcamOverlay: recordingType === 'audio' ? { enabled: false } : this.getWebcamOverlayOptions(),
+      wavExport: this.getWavExportOptions(),
+      saveCaptions: this.saveCaptionsToggle ? this.saveCaptionsToggle.checked : false,
+      filenameTemplate: this.getFilenameTemplate(),
+      consentPrompt: true, // The consent notice can be confirmed here if it can't be posted
+      ...extraOptions,
       tabId: currentTab.tab.id // Use validated tab ID
     };
 
@@ -732,7 +1525,9 @@ async startRecording() {
       }
     }
 
-    this.showLoading('Starting recording...');
+    this.showLoading(recordingType === 'screen'
+      ? 'Choose a screen or window to share...'
+      : 'Starting recording...');
 
     const response = await chrome.runtime.sendMessage({
       action: 'startRecording',
@@ -744,10 +1539,14 @@ async startRecording() {
     if (response.success) {
       // Background will send state change, which will update UI
       console.log('Recording started successfully');
+      this.addingSession = false;
+      this.selectedTabId = options.tabId;
       //close window after 2 seconds
       setTimeout(() => {
         window.close();
       }, 2000);
+    } else if (response.consentRequired) {
+      this.showConsentPrompt(response);
     } else {
       this.showError(response.error || 'Failed to start recording');
     }
@@ -811,17 +1610,24 @@ async validateCurrentTab() {
   }
 }
 
-  async stopRecording() {
+  async stopRecording(tabId = this.getSelectedSession()?.tabId) {
     try {
       this.showLoading('Stopping recording...');
         
-      const response = await chrome.runtime.sendMessage({ action: 'stopRecording' });
+      const response = await chrome.runtime.sendMessage({ action: 'stopRecording', tabId: tabId });
       
       this.hideLoading();
       
       if (response.success) {
-        // Switch to complete mode to show "New Recording" button
-        this.switchToCompleteMode();
+        // Other tabs may still be recording - only show "New Recording" once all have stopped
+        if (this.recordingState && this.recordingState.sessions) {
+          delete this.recordingState.sessions[tabId];
+        }
+        if (this.getActiveSessions().length > 0) {
+          this.updateUIForState();
+        } else {
+          this.switchToCompleteMode();
+        }
       } else {
         this.showError(response.error || 'Failed to stop recording');
       }
@@ -833,35 +1639,325 @@ async validateCurrentTab() {
     }
   }
 
+  async togglePauseRecording(tabId = this.getSelectedSession()?.tabId) {
+    const session = this.recordingState?.sessions?.[tabId];
+    if (!session || !session.isRecording) return;
+    
+    const action = session.isPaused ? 'resumeRecording' : 'pauseRecording';
+    
+    try {
+      if (this.pauseRecordingBtn) {
+        this.pauseRecordingBtn.disabled = true;
+      }
+      
+      const response = await chrome.runtime.sendMessage({ action: action, tabId: tabId });
+      
+      if (!response || !response.success) {
+        this.showError(response?.error || 'Failed to update recording');
+      }
+      // Background will send state change, which will update UI
+      
+    } catch (error) {
+      console.error(`Error during ${action}:`, error);
+      this.showError('Failed to update recording: ' + error.message);
+    } finally {
+      if (this.pauseRecordingBtn) {
+        this.pauseRecordingBtn.disabled = false;
+      }
+    }
+  }
+
   updateRecordingDisplay() {
-    if (!this.recordingState) return;
+    const session = this.getSelectedSession();
+    if (!session) return;
     
-    // Update recording type display - always Browser Tab
-    this.recordingTypeDisplay.textContent = 'Browser Tab';
+    const recordingTypeLabels = {
+      tab: 'Browser Tab',
+      screen: 'Screen / Window',
+      audio: 'Audio Only'
+    };
+    const isAudioOnly = session.recordingType === 'audio';
     
-    // Update quality display - always 720p
-    this.recordingQualityDisplay.textContent = '720p';
+    this.recordingTypeDisplay.textContent = recordingTypeLabels[session.recordingType] || 'Browser Tab';
+    
+    // Quality display, e.g. "1080p · 30fps · WebM"
+    const options = session.options || {};
+    this.recordingQualityDisplay.textContent = isAudioOnly ? 'Audio' : [
+      options.videoQuality === '4k' ? '4K' : options.videoQuality || '1080p',
+      `${options.frameRate || 30}fps`,
+      options.recordingFormat === 'mp4' ? 'MP4' : 'WebM'
+    ].join(' · ');
+    
+    this.renderSessionList();
+    this.updatePauseDisplay();
+    this.updateMixerDisplay();
+    this.updateBookmarkDisplay();
+    this.updateRecordingTimer();
   }
 
-  startRecordingTimer() {
-    this.stopRecordingTimer();
+  async addBookmark(label) {
+    const session = this.getSelectedSession();
+    if (!session) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'addBookmark',
+        tabId: session.tabId,
+        label: label,
+        source: 'popup'
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'No response');
+      }
+      
+      // Optimistic until the state change arrives from the background
+      session.bookmarks = [...(session.bookmarks || []), response.bookmark];
+      this.updateBookmarkDisplay();
+    } catch (error) {
+      console.error('Error adding bookmark:', error);
+      this.showError('Failed to add bookmark: ' + error.message);
+    }
+  }
+
+  updateBookmarkDisplay() {
+    const session = this.getSelectedSession();
+    if (!session || !this.bookmarkStatus) return;
+    
+    const bookmarks = session.bookmarks || [];
+    const last = bookmarks[bookmarks.length - 1];
+    this.bookmarkStatus.textContent = last
+      ? `🔖 ${last.label} at ${this.formatElapsed(last.time * 1000)} · ${bookmarks.length} bookmark${bookmarks.length === 1 ? '' : 's'}`
+      : '';
+  }
+
+  updateMixerDisplay() {
+    const session = this.getSelectedSession();
+    if (!session) return;
+    
+    const mixer = session.mixer || {};
+    const sources = session.audioSources || { tab: true, microphone: true };
+    
+    // Only show controls for sources that are actually being captured
+    const visibility = {
+      tabRecording: sources.tab,
+      microphone: sources.microphone,
+      passthrough: sources.passthrough ?? sources.tab // Hidden for silent recordings
+    };
+    
+    for (const [key, control] of Object.entries(this.mixerControls)) {
+      if (!control.row) continue;
+      
+      control.row.style.display = visibility[key] ? 'flex' : 'none';
+      
+      const percent = Math.round((mixer[key] ?? 1) * 100);
+      control.slider.value = percent;
+      control.value.textContent = `${percent}%`;
+    }
     
-    if (!this.recordingState || !this.recordingState.recordingStartTime) return;
+    this.updateMuteMicButton(!!mixer.micMuted);
+  }
+
+  updateMuteMicButton(micMuted) {
+    if (!this.muteMicBtn) return;
     
-    this.recordingTimerInterval = setInterval(() => {
-      if (this.recordingState && this.recordingState.recordingStartTime) {
-        const elapsed = Date.now() - this.recordingState.recordingStartTime;
-        const minutes = Math.floor(elapsed / 60000);
-        const seconds = Math.floor((elapsed % 60000) / 1000);
+    this.muteMicBtn.classList.toggle('muted', micMuted);
+    this.muteMicBtn.textContent = micMuted ? '🔇' : '🎙️';
+    this.muteMicBtn.title = micMuted ? 'Unmute microphone' : 'Mute microphone';
+  }
+
+  // Coalesce rapid slider changes so only the latest levels are in flight
+  async sendMixerLevels(levels) {
+    const session = this.getSelectedSession();
+    if (!session) return;
+    
+    // Levels only coalesce for one tab - selectSession() drops anything pending
+    this.pendingMixerLevels = { ...this.pendingMixerLevels, ...levels, tabId: session.tabId };
+    if (this.mixerUpdateInFlight) return;
+    
+    this.mixerUpdateInFlight = true;
+    try {
+      while (this.pendingMixerLevels) {
+        const { tabId, ...nextLevels } = this.pendingMixerLevels;
+        this.pendingMixerLevels = null;
         
-        this.recordingTimer.textContent = 
-          `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        const response = await chrome.runtime.sendMessage({
+          action: 'setMixerLevels',
+          tabId: tabId,
+          levels: nextLevels
+        });
         
-        // Estimate file size (rough calculation)
-        const estimatedMB = Math.floor(elapsed / 1000 * 0.2); // ~0.8MB per second
-        this.recordingSizeDisplay.textContent = `~${estimatedMB} MB`;
+        if (response && response.success) {
+          // The session may have stopped while the levels were on their way
+          const target = this.recordingState?.sessions?.[tabId];
+          if (target) {
+            target.mixer = response.levels;
+          }
+        } else {
+          console.error('Failed to apply mixer levels:', response?.error);
+        }
+      }
+    } catch (error) {
+      console.error('Error sending mixer levels:', error);
+    } finally {
+      this.mixerUpdateInFlight = false;
+    }
+  }
+
+  // Live levels come straight from the offscreen document over a long-lived port
+  connectLevelMeters() {
+    if (this.levelPort) return;
+    
+    try {
+      this.levelPort = chrome.runtime.connect({ name: 'audioLevels' });
+    } catch (error) {
+      console.error('Failed to connect audio level meters:', error);
+      return;
+    }
+    
+    this.levelPort.onMessage.addListener((message) => {
+      if (message.type === 'audioLevels') {
+        const session = this.getSelectedSession();
+        const levels = session && message.sessions[session.tabId];
+        if (levels) {
+          this.updateLevelMeters(levels.levels, levels.isPaused);
+        }
+      }
+    });
+    
+    this.levelPort.onDisconnect.addListener(() => {
+      console.log('Audio level meter port disconnected');
+      this.levelPort = null;
+      
+      // The offscreen document may still be starting up - try again while recording
+      if (this.currentMode === 'recording') {
+        setTimeout(() => {
+          if (this.currentMode === 'recording') this.connectLevelMeters();
+        }, 1000);
+      }
+    });
+  }
+
+  disconnectLevelMeters() {
+    if (this.levelPort) {
+      this.levelPort.disconnect();
+      this.levelPort = null;
+    }
+    if (this.silenceWarning) {
+      this.silenceWarning.style.display = 'none';
+    }
+  }
+
+  updateLevelMeters(levels, isPaused) {
+    for (const [source, meter] of Object.entries(this.levelMeters)) {
+      if (!meter.row) continue;
+      
+      const level = levels[source];
+      meter.row.style.display = level ? 'flex' : 'none';
+      if (!level) continue;
+      
+      meter.fill.style.width = `${this.levelToPercent(level.rms)}%`;
+      meter.peak.style.left = `${this.levelToPercent(level.peak)}%`;
+    }
+    
+    this.updateSilenceWarning(levels, isPaused);
+  }
+
+  levelToPercent(level) {
+    if (level <= 0) return 0;
+    
+    const db = 20 * Math.log10(level);
+    const percent = ((db - METER_FLOOR_DB) / -METER_FLOOR_DB) * 100;
+    return Math.max(0, Math.min(100, percent));
+  }
+
+  updateSilenceWarning(levels, isPaused) {
+    if (!this.silenceWarning) return;
+    
+    const warnings = [];
+    if (!isPaused) {
+      for (const [source, warning] of Object.entries(SILENCE_WARNINGS)) {
+        const level = levels[source];
+        if (level && level.silentFor >= warning.afterMs) {
+          const duration = this.formatDuration(Math.floor(level.silentFor / 1000));
+          warnings.push(warning.message.replace('{duration}', duration));
+        }
+      }
+    }
+    
+    this.silenceWarning.textContent = '⚠️ ' + warnings.join(' ');
+    this.silenceWarning.style.display = warnings.length > 0 ? 'block' : 'none';
+  }
+
+  updatePauseDisplay() {
+    const session = this.getSelectedSession();
+    const isPaused = !!(session && session.isPaused);
+    
+    const header = this.recordingMode?.querySelector('.recording-header');
+    if (header) {
+      header.classList.toggle('paused', isPaused);
+    }
+    
+    if (this.recordingStatusText) {
+      this.recordingStatusText.textContent = isPaused ? 'PAUSED' : 'RECORDING';
+    }
+    
+    if (this.pauseRecordingBtn) {
+      this.pauseRecordingBtn.querySelector('.btn-icon').textContent = isPaused ? '▶️' : '⏸️';
+      this.pauseRecordingBtn.querySelector('.btn-text').textContent = isPaused ? 'Resume' : 'Pause';
+    }
+  }
+
+  // Elapsed recording time in ms, excluding time spent paused
+  getElapsedRecordingTime(state) {
+    if (!state || !state.recordingStartTime) return 0;
+    
+    const now = Date.now();
+    let pausedTime = state.totalPausedTime || 0;
+    
+    if (state.isPaused && state.pauseStartTime) {
+      pausedTime += now - state.pauseStartTime;
+    }
+    
+    return Math.max(0, now - state.recordingStartTime - pausedTime);
+  }
+
+  startRecordingTimer() {
+    this.stopRecordingTimer();
+    
+    if (this.getActiveSessions().length === 0) return;
+    
+    this.updateRecordingTimer();
+    this.recordingTimerInterval = setInterval(() => this.updateRecordingTimer(), 1000);
+  }
+
+  updateRecordingTimer() {
+    const session = this.getSelectedSession();
+    if (!session || !session.recordingStartTime) return;
+    
+    const elapsed = this.getElapsedRecordingTime(session);
+    this.recordingTimer.textContent = this.formatElapsed(elapsed);
+    
+    // Estimate file size (rough calculation)
+    const estimatedMB = Math.floor(elapsed / 1000 * 0.2); // ~0.8MB per second
+    this.recordingSizeDisplay.textContent = `~${estimatedMB} MB`;
+    
+    // Keep the per-tab times in the session list ticking too
+    if (this.sessionList) {
+      for (const time of this.sessionList.querySelectorAll('.session-time')) {
+        const listed = this.recordingState.sessions[time.dataset.tabId];
+        if (listed) {
+          time.textContent = this.formatElapsed(this.getElapsedRecordingTime(listed));
+        }
       }
-    }, 1000);
+    }
+  }
+
+  // Format milliseconds as mm:ss
+  formatElapsed(elapsed) {
+    const minutes = Math.floor(elapsed / 60000);
+    const seconds = Math.floor((elapsed % 60000) / 1000);
+    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
   }
 
   stopRecordingTimer() {
@@ -874,11 +1970,10 @@ async validateCurrentTab() {
   startNewRecording() {
     console.log('Starting new recording is setting false...');
     this.recordingState = {
-      isRecording: false,
-      recordingType: null,
-      currentTabId: null,
-      recordingStartTime: null
+      ...this.recordingState,
+      sessions: {}
     };
+    this.addingSession = false;
     
     // Always reset microphone to false when starting new recording
     if (this.microphoneToggle) {
@@ -892,9 +1987,20 @@ async validateCurrentTab() {
   async saveSettings() {
     try {
       const settings = {
-        recordingType: 'tab', // Always tab recording
-        videoQuality: '720p', // Always 720p
+        recordingType: this.getSelectedRecordingType(),
+        ...this.getFormatSettings(),
         includeDeviceAudio: this.deviceAudioToggle ? this.deviceAudioToggle.checked : true,
+        separateAudioStems: this.separateStemsToggle ? this.separateStemsToggle.checked : false,
+        webcamOverlay: this.getWebcamOverlayOptions(),
+        wavExport: this.getWavExportOptions(),
+        microphone: this.getMicrophoneOptions(), // Device and processing only - see below
+        audioOutput: this.getAudioOutputOptions(),
+        autoRecord: this.getAutoRecordOptions(),
+        saveCaptions: this.saveCaptionsToggle ? this.saveCaptionsToggle.checked : false,
+        filenameTemplate: this.getFilenameTemplate(),
+        recordingOverlay: this.recordingOverlayToggle ? this.recordingOverlayToggle.checked : true,
+        recordingOverlayHideInTab: this.recordingOverlayHideInTabToggle ? this.recordingOverlayHideInTabToggle.checked : false,
+        consentNotice: this.getConsentNoticeOptions(),
         // Note: We don't save microphone setting to ensure it's always false on popup open
       };
       
@@ -910,18 +2016,102 @@ async validateCurrentTab() {
     try {
       const settings = await chrome.storage.local.get({
         recordingType: 'tab',
-        videoQuality: '720p',
+        ...RecordingFormats.DEFAULT_SETTINGS,
         includeDeviceAudio: true,
+        separateAudioStems: false,
+        webcamOverlay: { enabled: false, position: 'bottom-right', size: 'medium', shape: 'circle' },
+        wavExport: { enabled: false, sampleRate: 48000, channels: 2 },
+        microphone: MicrophoneSettings.DEFAULT_SETTINGS,
+        audioOutput: { deviceId: MicrophoneSettings.DEFAULT_DEVICE_ID, silent: false },
+        autoRecord: { enabled: false, meetingCodes: [] },
+        saveCaptions: false,
+        filenameTemplate: FilenameTemplate.DEFAULT_TEMPLATE,
+        recordingOverlay: true,
+        recordingOverlayHideInTab: false,
+        consentNotice: ConsentNotice.DEFAULT_SETTINGS,
         // Don't load microphone setting - always start with false
       });
       
-      // Apply settings to UI - tab recording is always selected (no UI change needed)
-      // Video quality is always 720p (no UI change needed)
+      // Apply settings to UI
+      this.recordingTypeRadios.forEach(radio => {
+        radio.checked = radio.value === settings.recordingType;
+      });
+      
+      if (this.qualitySection) {
+        this.videoQualitySelect.value = settings.videoQuality;
+        this.frameRateSelect.value = String(settings.frameRate);
+        this.recordingFormatSelect.value = settings.recordingFormat;
+        this.videoCodecSelect.value = settings.videoCodec;
+        this.videoBitrateInput.value = settings.videoBitrate ?? '';
+        this.updateFormatOptions();
+      }
       
       if (this.deviceAudioToggle) {
         this.deviceAudioToggle.checked = settings.includeDeviceAudio;
       }
       
+      if (this.separateStemsToggle) {
+        this.separateStemsToggle.checked = settings.separateAudioStems;
+      }
+      
+      if (this.webcamOverlayToggle) {
+        this.webcamOverlayToggle.checked = settings.webcamOverlay.enabled;
+        this.webcamPositionSelect.value = settings.webcamOverlay.position;
+        this.webcamSizeSelect.value = settings.webcamOverlay.size;
+        this.webcamShapeSelect.value = settings.webcamOverlay.shape;
+        this.updateWebcamOverlayDisplay();
+      }
+      
+      if (this.wavExportToggle) {
+        this.wavExportToggle.checked = settings.wavExport.enabled;
+        this.wavSampleRateSelect.value = String(settings.wavExport.sampleRate);
+        this.wavChannelsSelect.value = String(settings.wavExport.channels);
+        this.updateWavExportDisplay();
+      }
+      
+      if (this.saveCaptionsToggle) {
+        this.saveCaptionsToggle.checked = settings.saveCaptions;
+      }
+      
+      if (this.recordingOverlayToggle) {
+        this.recordingOverlayToggle.checked = settings.recordingOverlay;
+        this.recordingOverlayHideInTabToggle.checked = settings.recordingOverlayHideInTab;
+        this.updateRecordingOverlayDisplay();
+      }
+      
+      if (this.filenameTemplateInput) {
+        this.filenameTemplateInput.value = settings.filenameTemplate;
+        this.filenameTemplateInput.placeholder = FilenameTemplate.DEFAULT_TEMPLATE;
+        this.updateFilenameExample();
+      }
+      
+      if (this.autoRecordToggle) {
+        this.autoRecordToggle.checked = settings.autoRecord.enabled;
+        this.autoRecordCodesInput.value = settings.autoRecord.meetingCodes.join('\n');
+        this.updateAutoRecordDisplay();
+      }
+      
+      if (this.consentNoticeToggle) {
+        this.savedConsentNotice = settings.consentNotice;
+        this.consentNoticeToggle.checked = settings.consentNotice.enabled;
+        this.consentMessageInput.value = settings.consentNotice.message;
+        this.consentMessageInput.placeholder = ConsentNotice.DEFAULT_MESSAGE;
+        this.consentPostToChatToggle.checked = settings.consentNotice.postToChat !== false;
+        await this.applyConsentPolicy();
+      }
+      
+      const microphone = MicrophoneSettings.normalize(settings.microphone);
+      for (const [option, toggle] of Object.entries(this.micProcessingToggles)) {
+        if (toggle) toggle.checked = microphone[option];
+      }
+      this.savedMicDeviceId = microphone.deviceId;
+      this.savedOutputDeviceId = settings.audioOutput.deviceId;
+      if (this.silentRecordingToggle) {
+        this.silentRecordingToggle.checked = !!settings.audioOutput.silent;
+      }
+      await this.refreshAudioDevices();
+      this.updateAudioOutputDisplay();
+      
       // Always set microphone to false on popup open
       if (this.microphoneToggle) {
         this.microphoneToggle.checked = false;
@@ -1,12 +1,27 @@
 // Recording Preview Page Controller with Audio Download Support and Cloud Upload
 
+// Remuxed MP4 is written next to the recording in OPFS, so it is deleted with it
+const MP4_EXPORT_FILE = 'export.mp4';
+
+// MP3 export settings - 44.1 kHz plays everywhere, 128 kbps is plenty for speech
+const MP3_SAMPLE_RATE = 44100;
+const MP3_BITRATE_KBPS = 128;
+// The audio goes to the encoder this many seconds at a time
+const MP3_CHUNK_SECONDS = 10;
+// Audio that can only be decoded whole (not WebM/Opus, no WAV copy) is held in memory as 32-bit
+// float - about 635 MB per hour and channel - so longer recordings are refused
+const MP3_MAX_DECODE_SECONDS = 60 * 60;
+
 class RecordingPreview {
   constructor() {
     this.recordingData = null;
+    this.previewDataKey = null; // chrome.storage.session key of this page's recording
     this.hasBeenSaved = false;
     this.hasAudioBeenSaved = false;
     this.hasBeenUploaded = false; // New: Track cloud upload
     this.authContext = null; // New: Store authentication context
+    this.mp4Remuxer = null;
+    this.mp4Export = null; // { url, filename } once converted
     this.initializeElements();
     this.setupEventListeners();
     this.setupTabCloseWarning();
@@ -22,12 +37,32 @@ class RecordingPreview {
     
     this.durationValue = document.getElementById('durationValue');
     this.sizeValue = document.getElementById('sizeValue');
+    this.videoSizeCard = document.getElementById('videoSizeCard');
     this.audioSizeValue = document.getElementById('audioSizeValue');
     this.qualityValue = document.getElementById('qualityValue');
+    this.consentCard = document.getElementById('consentCard');
+    this.consentValue = document.getElementById('consentValue');
+    this.bookmarksSection = document.getElementById('bookmarksSection');
+    this.bookmarkTimeline = document.getElementById('bookmarkTimeline');
+    this.bookmarkList = document.getElementById('bookmarkList');
+    this.participantsSection = document.getElementById('participantsSection');
+    this.participantsTitle = document.getElementById('participantsTitle');
+    this.participantList = document.getElementById('participantList');
+    this.downloadAttendanceBtn = document.getElementById('downloadAttendanceBtn');
+    this.transcriptSection = document.getElementById('transcriptSection');
+    this.transcriptList = document.getElementById('transcriptList');
+    this.transcriptExportButtons = document.querySelectorAll('[data-transcript-format]');
     this.formatValue = document.getElementById('formatValue');
     
     this.downloadBtn = document.getElementById('downloadBtn');
+    this.convertMp4Btn = document.getElementById('convertMp4Btn');
     this.downloadAudioBtn = document.getElementById('downloadAudioBtn');
+    this.downloadMp3Btn = document.getElementById('downloadMp3Btn');
+    this.stemButtons = {
+      tab: document.getElementById('downloadTabStemBtn'),
+      mic: document.getElementById('downloadMicStemBtn')
+    };
+    this.downloadWavBtn = document.getElementById('downloadWavBtn');
     this.uploadCloudBtn = document.getElementById('uploadCloudBtn'); // New: Upload button
     this.closeBtn = document.getElementById('closeBtn');
     
@@ -38,7 +73,17 @@ class RecordingPreview {
 
   setupEventListeners() {
     this.downloadBtn.addEventListener('click', () => this.downloadRecording());
+    this.convertMp4Btn.addEventListener('click', () => this.convertToMp4());
     this.downloadAudioBtn.addEventListener('click', () => this.downloadAudioRecording());
+    this.downloadMp3Btn.addEventListener('click', () => this.downloadMp3Recording());
+    for (const [stem, button] of Object.entries(this.stemButtons)) {
+      button.addEventListener('click', () => this.downloadStem(stem));
+    }
+    this.downloadWavBtn.addEventListener('click', () => this.downloadWav());
+    this.downloadAttendanceBtn.addEventListener('click', () => this.downloadAttendanceCsv());
+    this.transcriptExportButtons.forEach(button => {
+      button.addEventListener('click', () => this.downloadTranscript(button.dataset.transcriptFormat));
+    });
     this.uploadCloudBtn.addEventListener('click', () => this.uploadToCloud()); // New: Upload handler
     this.closeBtn.addEventListener('click', () => this.closePreview());
     
@@ -46,8 +91,11 @@ class RecordingPreview {
     this.recordingVideo.addEventListener('loadedmetadata', () => {
       console.log('Video metadata loaded');
       this.updateVideoDetails();
+      this.renderBookmarks(); // Marker positions need the duration
     });
     
+    this.recordingVideo.addEventListener('timeupdate', () => this.highlightCurrentBookmark());
+    
     this.recordingVideo.addEventListener('error', (e) => {
       console.error('Video load error:', e);
       this.showError();
@@ -187,8 +235,17 @@ class RecordingPreview {
         type: audioBlob.type
       });
 
+      // Separate mic / tab stems are uploaded alongside the mixed track
+      const stemBlobs = {};
+      for (const [stem, stemData] of Object.entries(this.recordingData.stems || {})) {
+        const stemBlob = await this.fetchBlobFromUrl(stemData.url);
+        if (stemBlob) {
+          stemBlobs[stem] = stemBlob;
+        }
+      }
+
       // Generate recording metadata
-      const recordingMetadata = this.generateRecordingMetadata();
+      const recordingMetadata = this.generateRecordingMetadata(stemBlobs);
       
       console.log('Generated metadata:', recordingMetadata);
 
@@ -196,7 +253,7 @@ class RecordingPreview {
       this.showUploadStatus('Uploading to cloud...', 'uploading');
 
       // Call n8n workflow
-      const uploadResult = await this.callN8nWorkflow(audioBlob, recordingMetadata);
+      const uploadResult = await this.callN8nWorkflow(audioBlob, recordingMetadata, stemBlobs);
 
       if (uploadResult.success) {
         console.log('Upload successful:', uploadResult);
@@ -231,25 +288,23 @@ class RecordingPreview {
   }
 
   // New: Generate recording metadata
-  generateRecordingMetadata() {
+  generateRecordingMetadata(stemBlobs = {}) {
     const now = new Date();
     const timestamp = now.toISOString();
     const recordingId = this.generateRecordingId();
     
-    // Create timestamp for filename: 2024-07-07-14-30-15
-    const fileTimestamp = now.toISOString()
-      .replace(/[:.]/g, '-')
-      .replace('T', '-')
-      .substring(0, 19);
-    
-    // Extract original filename without timestamp if it exists
-    let originalName = this.recordingData.audioFilename || 'meeting-call.webm';
+    // Uploads keep the names the files are downloaded with (the user's filename template);
+    // recording_id tells uploads with the same name apart
+    const finalFilename = this.recordingData.audioFilename || this.getExportFilename('audio', 'webm');
     
-    // Remove any existing timestamp prefix from filename
-    originalName = originalName.replace(/^\d{4}-\d{2}-\d{2}-\d{2}-\d{2}-\d{2}_/, '');
-    
-    // Create the final filename with timestamp prefix
-    const finalFilename = `${fileTimestamp}_${recordingId}_${originalName}`;
+    // Stems share the mixed track's time base, so they can be aligned at offset 0
+    const stems = Object.entries(stemBlobs).map(([stem, blob]) => ({
+      stem: stem,
+      form_field: `${stem}AudioFile`,
+      original_filename: this.recordingData.stems[stem].filename,
+      file_size: blob.size,
+      mime_type: this.recordingData.stems[stem].mimeType
+    }));
     
     return {
       user_id: this.authContext.userId,
@@ -259,7 +314,31 @@ class RecordingPreview {
       file_size: this.recordingData.audioSize,
       duration: Math.round(this.recordingData.duration || 0),
       recorded_at: timestamp,
-      mime_type: this.recordingData.audioMimeType || 'audio/webm'
+      mime_type: this.recordingData.audioMimeType || 'audio/webm',
+      stems: stems,
+      // Seconds from the start of the recording
+      bookmarks: (this.recordingData.bookmarks || []).map(({ time, label, source }) => ({ time, label, source })),
+      // One entry per stay in the call, in seconds from the start of the recording
+      participants: this.getParticipantEntries().map(({ name, joinTime, leaveTime }) => ({
+        name, join_time: joinTime, leave_time: leaveTime
+      })),
+      attendance_best_effort: !!this.recordingData.attendanceBestEffort,
+      // Whether and how participants were told about the recording
+      consent_notice: this.getConsentNoticeMetadata()
+    };
+  }
+
+  getConsentNoticeMetadata() {
+    const record = this.recordingData.consentNotice;
+    if (!record) return null;
+    
+    return {
+      given: record.given,
+      method: record.method,
+      given_at: record.givenAt ? new Date(record.givenAt).toISOString() : null,
+      reminded_at: record.remindedAt ? new Date(record.remindedAt).toISOString() : null,
+      message: record.message,
+      required: record.required
     };
   }
 
@@ -269,13 +348,16 @@ class RecordingPreview {
   }
 
   // New: Call n8n workflow for upload
-  async callN8nWorkflow(audioBlob, metadata) {
+  async callN8nWorkflow(audioBlob, metadata, stemBlobs = {}) {
     try {
       // Create FormData for file upload
       const formData = new FormData();
       
       // Add audio file
       formData.append('audioFile', audioBlob, metadata.original_filename);
+      for (const stemMetadata of metadata.stems || []) {
+        formData.append(stemMetadata.form_field, stemBlobs[stemMetadata.stem], stemMetadata.original_filename);
+      }
       // Add metadata as JSON
       formData.append('metadata', JSON.stringify(metadata));
       
@@ -358,6 +440,13 @@ class RecordingPreview {
       const urlParams = new URLSearchParams(window.location.search);
       const dataParam = urlParams.get('data');
       
+      // Recovering an interrupted session from its on-disk journal
+      const recoverSessionParam = urlParams.get('recoverSession');
+      if (recoverSessionParam) {
+        await this.loadRecoveredSession(recoverSessionParam);
+        return;
+      }
+      
       if (dataParam) {
         try {
           const recordingData = JSON.parse(decodeURIComponent(dataParam));
@@ -380,6 +469,17 @@ class RecordingPreview {
         }
       }
       
+      // Each recording has its own key, so previews of concurrent recordings stay separate
+      const recordingParam = urlParams.get('recording');
+      if (recordingParam) {
+        this.previewDataKey = `recordingData_${recordingParam}`;
+        const result = await chrome.storage.session.get([this.previewDataKey]);
+        if (result[this.previewDataKey]) {
+          this.setRecordingData(result[this.previewDataKey]);
+          return;
+        }
+      }
+      
       // Try to get from extension storage
       const result = await chrome.storage.session.get(['recordingData']);
       if (result.recordingData) {
@@ -400,20 +500,174 @@ class RecordingPreview {
     }
   }
 
-  setRecordingData(data) {
+  async setRecordingData(data) {
     console.log('Setting recording data:', data);
+    
+    if (data && data.storageSessionId) {
+      data = await this.openStoredRecording(data);
+    }
+    
     this.recordingData = data;
     
-    if (data && data.url) {
+    if (data && data.recovered) {
+      document.querySelector('.header-title h1').textContent = 'Recovered Recording';
+    }
+    
+    if (data && data.audioOnly && data.audioUrl) {
+      this.showAudioOnlyLayout();
+      this.loadVideo(data.audioUrl);
+      this.updateDetails(data);
+      this.updateAudioAvailability(data);
+      this.updateUploadAvailability();
+      this.updateMp4Availability(data);
+      this.renderBookmarks();
+      this.renderParticipants();
+      this.renderTranscript();
+    } else if (data && data.url) {
       this.loadVideo(data.url);
       this.updateDetails(data);
       this.updateAudioAvailability(data);
       this.updateUploadAvailability(); // New: Update upload availability
+      this.updateMp4Availability(data);
+      this.renderBookmarks();
+      this.renderParticipants();
+      this.renderTranscript();
     } else {
       this.showError();
     }
   }
 
+  // Rebuild recording data for a session that was interrupted by a crash
+  async loadRecoveredSession(sessionId) {
+    try {
+      const manifest = await RecordingStorage.readManifest(sessionId);
+      if (!manifest) {
+        throw new Error('Recording journal not found');
+      }
+      
+      const sizes = await RecordingStorage.getTrackSizes(sessionId, Object.keys(manifest.tracks));
+      
+      // Mark as recovered so it is not offered again while this page is open
+      await RecordingStorage.updateManifest(sessionId, { status: 'recovered' });
+      
+      // Names were made when the recording started - render them again now that its length is known
+      const duration = RecordingStorage.getJournaledDuration(manifest);
+      const naming = manifest.naming
+        ? { ...manifest.naming, context: { ...manifest.naming.context, duration } }
+        : null;
+      const rename = (filename, type) => naming && filename
+        ? FilenameTemplate.render(naming.template, naming.context, type, FilenameTemplate.getExtension(filename))
+        : filename;
+      
+      const recordingData = {
+        size: sizes.video || 0,
+        duration: duration,
+        filename: rename(manifest.filename, 'video'),
+        mimeType: manifest.tracks.video ? manifest.tracks.video.mimeType : null,
+        audioOnly: !manifest.tracks.video,
+        videoQuality: manifest.options ? manifest.options.videoQuality : null,
+        frameRate: manifest.options ? manifest.options.frameRate : null,
+        audioSize: sizes.audio,
+        audioFilename: rename(manifest.audioFilename, 'audio'),
+        audioMimeType: manifest.tracks.audio.mimeType,
+        stems: {},
+        storageSessionId: sessionId,
+        recovered: true,
+        tabTitle: manifest.tabTitle,
+        startTime: manifest.startTime,
+        naming: naming,
+        bookmarks: manifest.bookmarks || [],
+        participants: manifest.participants || [],
+        attendanceBestEffort: !!manifest.attendanceBestEffort,
+        transcript: manifest.transcript || [],
+        consentNotice: manifest.consentNotice || null
+      };
+      
+      for (const stem of ['tab', 'mic']) {
+        if (manifest.tracks[stem] && sizes[stem] > 0) {
+          recordingData.stems[stem] = {
+            size: sizes[stem],
+            filename: rename(manifest.tracks[stem].filename, `${stem}-audio`),
+            mimeType: manifest.tracks[stem].mimeType
+          };
+        }
+      }
+      
+      const pcmTrack = manifest.tracks.pcm;
+      if (pcmTrack && sizes.pcm > 0) {
+        recordingData.wav = {
+          size: sizes.pcm + PcmCapture.WAV_HEADER_SIZE,
+          filename: rename(pcmTrack.filename, 'audio'),
+          mimeType: PcmCapture.WAV_MIME_TYPE,
+          sampleRate: pcmTrack.sampleRate,
+          channels: pcmTrack.channels
+        };
+      }
+      
+      console.log('Recovered recording session:', recordingData);
+      await this.setRecordingData(recordingData);
+      
+    } catch (error) {
+      console.error('Error recovering recording session:', error);
+      this.showError();
+    }
+  }
+
+  // Reopen the recorded files from OPFS so the preview does not depend on
+  // blob URLs owned by the offscreen document
+  async openStoredRecording(data) {
+    try {
+      const recordingData = { ...data };
+      
+      if (!data.audioOnly) {
+        const video = await this.openTrack(data.storageSessionId, 'video', data.mimeType);
+        recordingData.url = URL.createObjectURL(video.file);
+        recordingData.size = video.file.size;
+        if (video.duration) recordingData.duration = video.duration;
+      }
+      
+      if (data.audioSize > 0) {
+        const audio = await this.openTrack(data.storageSessionId, 'audio', data.audioMimeType);
+        recordingData.audioUrl = URL.createObjectURL(audio.file);
+        recordingData.audioSize = audio.file.size;
+        if (data.audioOnly && audio.duration) recordingData.duration = audio.duration;
+      }
+      
+      if (data.stems) {
+        recordingData.stems = {};
+        for (const [stem, stemData] of Object.entries(data.stems)) {
+          const { file } = await this.openTrack(data.storageSessionId, stem, stemData.mimeType);
+          recordingData.stems[stem] = { ...stemData, size: file.size, url: URL.createObjectURL(file) };
+        }
+      }
+      
+      if (data.wav) {
+        const pcmFile = await RecordingStorage.getTrackFile(data.storageSessionId, 'pcm');
+        const wavFile = PcmCapture.toWavFile(pcmFile, data.wav.sampleRate, data.wav.channels, data.wav.filename);
+        recordingData.wav = { ...data.wav, size: wavFile.size, url: URL.createObjectURL(wavFile) };
+      }
+      
+      console.log('Recording reopened from disk storage:', data.storageSessionId);
+      return recordingData;
+      
+    } catch (error) {
+      console.warn('Could not reopen recording from disk storage, using original URLs:', error);
+      return data;
+    }
+  }
+
+  // Read a track back from OPFS. WebM tracks get a real Duration and Cues so they can be
+  // seeked here and in any player after download; duration is null when it couldn't be fixed.
+  async openTrack(sessionId, track, mimeType) {
+    const file = await RecordingStorage.getTrackFile(sessionId, track, mimeType);
+    if (!mimeType || !mimeType.includes('webm')) {
+      return { file, duration: null };
+    }
+    
+    const fixed = await WebmFixer.fix(file);
+    return fixed || { file, duration: null };
+  }
+
   updateAudioAvailability(data) {
     // Check if audio data is available
     const hasAudio = data.audioUrl && data.audioSize > 0;
@@ -422,14 +676,74 @@ class RecordingPreview {
       this.downloadAudioBtn.disabled = false;
       this.downloadAudioBtn.style.opacity = '1';
       this.downloadAudioBtn.style.cursor = 'pointer';
+      this.downloadMp3Btn.disabled = false;
+      this.downloadMp3Btn.style.opacity = '1';
+      this.downloadMp3Btn.style.cursor = 'pointer';
       console.log('Audio recording available for download');
     } else {
       this.downloadAudioBtn.disabled = true;
       this.downloadAudioBtn.style.opacity = '0.5';
       this.downloadAudioBtn.style.cursor = 'not-allowed';
       this.downloadAudioBtn.title = 'No audio was recorded';
+      this.downloadMp3Btn.disabled = true;
+      this.downloadMp3Btn.style.opacity = '0.5';
+      this.downloadMp3Btn.style.cursor = 'not-allowed';
+      this.downloadMp3Btn.title = 'No audio was recorded';
       console.log('No audio recording available');
     }
+    
+    // Separate mic / tab audio tracks, when they were recorded
+    for (const [stem, button] of Object.entries(this.stemButtons)) {
+      const stemData = data.stems && data.stems[stem];
+      button.style.display = stemData && stemData.url ? 'flex' : 'none';
+    }
+    
+    // Lossless copy of the mix, when WAV export was enabled
+    const hasWav = data.wav && data.wav.url;
+    this.downloadWavBtn.style.display = hasWav ? 'flex' : 'none';
+    if (hasWav) {
+      const channels = data.wav.channels === 1 ? 'mono' : 'stereo';
+      this.downloadWavBtn.title = `${data.wav.sampleRate / 1000} kHz ${channels}, ${this.formatFileSize(data.wav.size)}`;
+    }
+  }
+
+  // WebM recordings can be remuxed to MP4 - the button's tooltip says up front when (and why) not
+  async updateMp4Availability(data) {
+    const mimeType = data.audioOnly ? data.audioMimeType : data.mimeType;
+    if (!mimeType || !mimeType.includes('webm') || !data.storageSessionId) {
+      this.convertMp4Btn.style.display = 'none';
+      return;
+    }
+    
+    this.convertMp4Btn.querySelector('.btn-label').textContent = data.audioOnly ? 'Convert to M4A' : 'Convert to MP4';
+    this.convertMp4Btn.style.display = 'flex';
+    
+    try {
+      const source = await this.fetchBlobFromUrl(data.audioOnly ? data.audioUrl : data.url);
+      if (!source) {
+        throw new Error('Could not read the recording');
+      }
+      
+      this.mp4Remuxer = new Mp4Remuxer(source);
+      const probe = await this.mp4Remuxer.probe();
+      this.convertMp4Btn.title = probe.supported
+        ? ['Copies the recording into an MP4 file without re-encoding.', ...probe.notes].join(' ')
+        : probe.reason;
+      this.convertMp4Btn.style.opacity = probe.supported ? '1' : '0.5';
+      console.log('MP4 conversion', probe.supported ? 'available' : `unavailable: ${probe.reason}`);
+    } catch (error) {
+      console.warn('Could not check MP4 conversion:', error);
+      this.convertMp4Btn.style.display = 'none';
+    }
+  }
+
+  // Audio-only recordings have no video track or video file to download
+  showAudioOnlyLayout() {
+    this.videoContainer.classList.add('audio-only');
+    this.recordingVideo.classList.add('audio-only');
+    this.videoSizeCard.style.display = 'none';
+    this.downloadBtn.style.display = 'none';
+    document.querySelector('.header-title .icon').textContent = '🎵';
   }
 
   loadVideo(url) {
@@ -458,6 +772,13 @@ class RecordingPreview {
   }
 
   updateDetails(data) {
+    // How Meet participants were told about the recording
+    if (data.consentNotice) {
+      this.consentValue.textContent = ConsentNotice.describe(data.consentNotice);
+      this.consentValue.title = data.consentNotice.message || '';
+      this.consentCard.style.display = 'block';
+    }
+    
     // Duration
     if (data.duration) {
       this.durationValue.textContent = this.formatDuration(data.duration);
@@ -475,10 +796,22 @@ class RecordingPreview {
       this.audioSizeValue.textContent = 'N/A';
     }
     
-    // Quality
-    chrome.storage.local.get(['videoQuality'], (result) => {
-      this.qualityValue.textContent = result.videoQuality || '1080p';
-    });
+    if (data.audioOnly) {
+      this.qualityValue.textContent = 'Audio';
+      const audioMimeType = data.audioMimeType || '';
+      this.formatValue.textContent = audioMimeType.includes('mp4') ? 'M4A' :
+                                     audioMimeType.includes('ogg') ? 'OGG' : 'WebM';
+      return;
+    }
+    
+    // Quality - older recordings didn't carry their settings, so fall back to the saved ones
+    if (data.videoQuality) {
+      this.qualityValue.textContent = this.formatQuality(data.videoQuality, data.frameRate);
+    } else {
+      chrome.storage.local.get(['videoQuality'], (result) => {
+        this.qualityValue.textContent = this.formatQuality(result.videoQuality || '1080p');
+      });
+    }
     
     // Format
     if (data.mimeType) {
@@ -492,6 +825,246 @@ class RecordingPreview {
     }
   }
 
+  // Bookmarks as markers on a timeline and a chapter list - both seek the player
+  renderBookmarks() {
+    const bookmarks = (this.recordingData && this.recordingData.bookmarks) || [];
+    this.bookmarksSection.style.display = bookmarks.length > 0 ? 'block' : 'none';
+    if (bookmarks.length === 0) return;
+    
+    const duration = this.recordingData.duration ||
+      (Number.isFinite(this.recordingVideo.duration) ? this.recordingVideo.duration : 0);
+    
+    this.bookmarkTimeline.innerHTML = '';
+    this.bookmarkList.innerHTML = '';
+    this.bookmarkTimeline.style.display = duration > 0 ? 'block' : 'none';
+    
+    for (const bookmark of bookmarks) {
+      const title = `${this.formatDuration(bookmark.time)} ${bookmark.label}`;
+      
+      if (duration > 0) {
+        const marker = document.createElement('button');
+        marker.className = 'bookmark-marker';
+        marker.style.left = `${Math.min(100, bookmark.time / duration * 100)}%`;
+        marker.title = title;
+        marker.addEventListener('click', () => this.seekTo(bookmark.time));
+        this.bookmarkTimeline.appendChild(marker);
+      }
+      
+      const item = document.createElement('li');
+      item.className = 'bookmark-item';
+      item.title = title;
+      item.dataset.time = bookmark.time;
+      
+      const time = document.createElement('span');
+      time.className = 'bookmark-time';
+      time.textContent = this.formatDuration(bookmark.time);
+      const label = document.createElement('span');
+      label.textContent = bookmark.label;
+      
+      item.append(time, label);
+      item.addEventListener('click', () => this.seekTo(bookmark.time));
+      this.bookmarkList.appendChild(item);
+    }
+  }
+
+  // Join/leave entries, with stays still open closed at the end of the recording (a recovered
+  // recording may have been cut off before anyone left)
+  getParticipantEntries() {
+    const entries = (this.recordingData && this.recordingData.participants) || [];
+    const endTime = this.recordingData && this.recordingData.duration
+      ? Math.round(this.recordingData.duration * 10) / 10
+      : null;
+    
+    return entries.map(entry => ({
+      ...entry,
+      leaveTime: entry.leaveTime !== null && entry.leaveTime !== undefined ? entry.leaveTime : endTime
+    }));
+  }
+
+  // Everyone who was in the call, with their total time in it
+  renderParticipants() {
+    const entries = this.getParticipantEntries();
+    this.participantsSection.style.display = entries.length > 0 ? 'block' : 'none';
+    if (entries.length === 0) return;
+    
+    const people = new Map();
+    for (const entry of entries) {
+      const person = people.get(entry.id) || { name: entry.name, seconds: 0, stays: 0 };
+      person.name = entry.name;
+      person.seconds += Math.max(0, (entry.leaveTime ?? entry.joinTime) - entry.joinTime);
+      person.stays++;
+      people.set(entry.id, person);
+    }
+    
+    this.participantsTitle.textContent = `Participants (${people.size})`;
+    if (this.recordingData.attendanceBestEffort) {
+      this.participantsTitle.textContent += ' - best effort';
+      this.participantsTitle.title = 'The People panel was closed for part of the call, so join and leave ' +
+        'times come from the video tiles. Nobody is marked as leaving until the recording ends or the panel is opened.';
+    }
+    this.participantList.innerHTML = '';
+    
+    for (const person of people.values()) {
+      const item = document.createElement('li');
+      item.className = 'participant-item';
+      item.title = person.stays > 1 ? `Joined ${person.stays} times` : '';
+      
+      const name = document.createElement('span');
+      name.textContent = person.name;
+      const time = document.createElement('span');
+      time.className = 'participant-time';
+      time.textContent = this.formatDuration(person.seconds);
+      
+      item.append(name, time);
+      this.participantList.appendChild(item);
+    }
+  }
+
+  // One row per stay in the call, with recording-relative and wall-clock times
+  downloadAttendanceCsv() {
+    const entries = this.getParticipantEntries();
+    if (entries.length === 0) {
+      alert('No participants were recorded');
+      return;
+    }
+    
+    const rows = [];
+    if (this.recordingData.attendanceBestEffort) {
+      rows.push(['Best effort: the People panel was closed for part of the call, so leave times may be late']);
+    }
+    rows.push(['Name', 'Joined', 'Left', 'Minutes present', 'Joined at', 'Left at']);
+    for (const entry of entries) {
+      const hasLeft = entry.leaveTime !== null;
+      rows.push([
+        entry.name,
+        this.formatDuration(entry.joinTime),
+        hasLeft ? this.formatDuration(entry.leaveTime) : '',
+        hasLeft ? ((entry.leaveTime - entry.joinTime) / 60).toFixed(1) : '',
+        entry.joinedAt ? new Date(entry.joinedAt).toISOString() : '',
+        entry.leftAt ? new Date(entry.leftAt).toISOString() : ''
+      ]);
+    }
+    
+    const csv = rows.map(row => row.map(value => this.toCsvField(value)).join(',')).join('\r\n');
+    this.downloadTextFile(csv, 'text/csv', this.getExportFilename('attendance', 'csv'));
+  }
+
+  // Quote fields that need it, and defuse names a spreadsheet would run as a formula
+  toCsvField(value) {
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Caption lines with speaker and time - clicking one plays from there
+  renderTranscript() {
+    const transcript = (this.recordingData && this.recordingData.transcript) || [];
+    this.transcriptSection.style.display = transcript.length > 0 ? 'block' : 'none';
+    if (transcript.length === 0) return;
+    
+    this.transcriptList.innerHTML = '';
+    for (const line of transcript) {
+      const item = document.createElement('li');
+      item.className = 'transcript-line';
+      
+      const time = document.createElement('span');
+      time.className = 'transcript-time';
+      time.textContent = this.formatDuration(line.start);
+      const speaker = document.createElement('span');
+      speaker.className = 'transcript-speaker';
+      speaker.textContent = line.speaker;
+      const text = document.createElement('span');
+      text.textContent = line.text;
+      
+      item.append(time, speaker, text);
+      item.addEventListener('click', () => this.seekTo(line.start));
+      this.transcriptList.appendChild(item);
+    }
+  }
+
+  downloadTranscript(format) {
+    const transcript = (this.recordingData && this.recordingData.transcript) || [];
+    if (transcript.length === 0) {
+      alert('No captions were saved with this recording');
+      return;
+    }
+    
+    let content;
+    let mimeType = 'text/plain';
+    if (format === 'srt') {
+      content = transcript.map((line, index) => [
+        index + 1,
+        `${this.formatCueTime(line.start, ',')} --> ${this.formatCueTime(line.end, ',')}`,
+        `${line.speaker}: ${line.text}`
+      ].join('\n')).join('\n\n') + '\n';
+    } else if (format === 'vtt') {
+      // Voice spans keep the speaker separate from the words; cue text can't hold raw < or &
+      const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+      content = 'WEBVTT\n\n' + transcript.map(line => [
+        `${this.formatCueTime(line.start, '.')} --> ${this.formatCueTime(line.end, '.')}`,
+        `<v ${escape(line.speaker)}>${escape(line.text)}`
+      ].join('\n')).join('\n\n') + '\n';
+      mimeType = 'text/vtt';
+    } else {
+      content = transcript.map(line => `[${this.formatDuration(line.start)}] ${line.speaker}: ${line.text}`).join('\n') + '\n';
+      format = 'txt';
+    }
+    
+    this.downloadTextFile(content, mimeType, this.getExportFilename('transcript', format));
+  }
+
+  // HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+  formatCueTime(seconds, fractionSeparator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = String(Math.floor(totalMs / 3600000)).padStart(2, '0');
+    const minutes = String(Math.floor(totalMs / 60000) % 60).padStart(2, '0');
+    const secs = String(Math.floor(totalMs / 1000) % 60).padStart(2, '0');
+    const ms = String(totalMs % 1000).padStart(3, '0');
+    return `${hours}:${minutes}:${secs}${fractionSeparator}${ms}`;
+  }
+
+  // Files exported alongside the recording are named from the same filename template
+  getExportFilename(type, extension) {
+    const naming = this.recordingData.naming;
+    if (naming) {
+      return FilenameTemplate.render(naming.template, naming.context, type, extension);
+    }
+    
+    const baseName = (this.recordingData.audioFilename || this.recordingData.filename || 'recording').replace(/\.[^.]+$/, '');
+    return `${baseName}_${type}.${extension}`;
+  }
+
+  downloadTextFile(content, mimeType, filename) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    this.triggerDownload(url, filename);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  seekTo(seconds) {
+    this.recordingVideo.currentTime = seconds;
+    this.recordingVideo.play().catch(() => {});
+  }
+
+  // The chapter being played is the last bookmark at or before the playhead
+  highlightCurrentBookmark() {
+    const currentTime = this.recordingVideo.currentTime;
+    let active = null;
+    
+    for (const item of this.bookmarkList.children) {
+      if (Number(item.dataset.time) <= currentTime) active = item;
+      item.classList.remove('active');
+    }
+    if (active) active.classList.add('active');
+  }
+
+  formatQuality(videoQuality, frameRate = null) {
+    const label = videoQuality === '4k' ? '4K' : videoQuality;
+    return frameRate ? `${label} ${frameRate}fps` : label;
+  }
+
   updateVideoDetails() {
     // Update duration from actual video if not provided
     if (this.recordingVideo.duration && !this.recordingData?.duration) {
@@ -513,6 +1086,10 @@ class RecordingPreview {
     this.downloadAudioBtn.style.opacity = '0.5';
     this.downloadAudioBtn.style.cursor = 'not-allowed';
     
+    this.downloadMp3Btn.disabled = true;
+    this.downloadMp3Btn.style.opacity = '0.5';
+    this.downloadMp3Btn.style.cursor = 'not-allowed';
+    
     this.disableUploadButton('No recording data');
   }
 
@@ -571,6 +1148,320 @@ class RecordingPreview {
     }
   }
 
+  // Decode the recorded audio and re-encode it to a tagged MP3, entirely offline
+  async downloadMp3Recording() {
+    if (!this.recordingData || !this.recordingData.audioUrl) {
+      alert('No audio recording data available for download');
+      return;
+    }
+    
+    const label = this.downloadMp3Btn.querySelector('.btn-label');
+    this.downloadMp3Btn.disabled = true;
+    label.textContent = 'Decoding audio...';
+    
+    try {
+      const source = await this.getMp3Source();
+      
+      const mp3Blob = await this.encodeMp3(source, {
+        title: this.recordingData.tabTitle || 'Google Meet recording',
+        artist: this.authContext?.userInfo?.fullname || null,
+        date: this.recordingData.startTime || Date.now(),
+        durationMs: (this.recordingData.duration || 0) * 1000
+      }, (progress) => {
+        label.textContent = `Encoding MP3... ${Math.round(progress * 100)}%`;
+      });
+      
+      const url = URL.createObjectURL(mp3Blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = (this.recordingData.audioFilename || 'meet-audio.webm').replace(/\.[^.]+$/, '.mp3');
+      
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+      
+      this.hasAudioBeenSaved = true;
+      console.log(`MP3 download initiated: ${a.download} (${this.formatFileSize(mp3Blob.size)})`);
+      
+    } catch (error) {
+      console.error('MP3 export error:', error);
+      alert('Failed to create MP3: ' + error.message);
+    } finally {
+      label.textContent = 'Download MP3';
+      this.downloadMp3Btn.disabled = false;
+    }
+  }
+  
+  // Where the MP3's PCM comes from: { sampleRate, channels, read(onChunk, onProgress) }. The WAV
+  // copy and WebM/Opus audio are read from disk a piece at a time; anything else is decoded whole.
+  async getMp3Source() {
+    const wav = this.recordingData.wav;
+    const wavBlob = wav && wav.url ? await this.fetchBlobFromUrl(wav.url) : null;
+    if (wavBlob) {
+      return this.createPcmSource(wavBlob, wav.sampleRate, wav.channels);
+    }
+    
+    const audioBlob = await this.fetchBlobFromUrl(this.recordingData.audioUrl);
+    if (!audioBlob) {
+      throw new Error('Could not read the recorded audio');
+    }
+    
+    const opusDecoder = new OpusStreamDecoder(audioBlob);
+    if (await opusDecoder.probe()) {
+      return {
+        sampleRate: OpusStreamDecoder.SAMPLE_RATE,
+        channels: opusDecoder.channels,
+        read: (onChunk, onProgress) => opusDecoder.decode(onChunk, onProgress)
+      };
+    }
+    
+    return this.createDecodedSource(audioBlob);
+  }
+  
+  // 16-bit interleaved PCM after the WAV header
+  createPcmSource(wavBlob, sampleRate, channelCount) {
+    const bytesPerFrame = channelCount * PcmCapture.BITS_PER_SAMPLE / 8;
+    const chunkBytes = sampleRate * MP3_CHUNK_SECONDS * bytesPerFrame;
+    const dataSize = wavBlob.size - PcmCapture.WAV_HEADER_SIZE;
+    
+    return {
+      sampleRate,
+      channels: channelCount,
+      read: async (onChunk, onProgress) => {
+        for (let offset = 0; offset < dataSize; offset += chunkBytes) {
+          const start = PcmCapture.WAV_HEADER_SIZE + offset;
+          const bytes = await wavBlob.slice(start, start + Math.min(chunkBytes, dataSize - offset)).arrayBuffer();
+          const frames = Math.floor(bytes.byteLength / bytesPerFrame);
+          const samples = new Int16Array(bytes, 0, frames * channelCount);
+          
+          const channels = Array.from({ length: channelCount }, () => new Float32Array(frames));
+          for (let frame = 0; frame < frames; frame++) {
+            for (let channel = 0; channel < channelCount; channel++) {
+              channels[channel][frame] = samples[frame * channelCount + channel] / 0x8000;
+            }
+          }
+          
+          await onChunk(channels);
+          onProgress(Math.min(1, (offset + chunkBytes) / dataSize));
+        }
+      }
+    };
+  }
+  
+  // Fallback: decode the whole file, then hand it on in chunks so the worker never holds it all
+  async createDecodedSource(audioBlob) {
+    if ((this.recordingData.duration || 0) > MP3_MAX_DECODE_SECONDS) {
+      throw new Error(`This recording's audio format can only be converted up to ${MP3_MAX_DECODE_SECONDS / 60} minutes. ` +
+        'Download the audio as it is, or turn on Lossless WAV for long recordings.');
+    }
+    
+    // Decoding through a 44.1 kHz context resamples the audio for the encoder
+    const audioContext = new AudioContext({ sampleRate: MP3_SAMPLE_RATE });
+    let audioBuffer;
+    try {
+      audioBuffer = await audioContext.decodeAudioData(await audioBlob.arrayBuffer());
+    } finally {
+      audioContext.close();
+    }
+    
+    const channelData = [];
+    for (let channel = 0; channel < Math.min(audioBuffer.numberOfChannels, 2); channel++) {
+      channelData.push(audioBuffer.getChannelData(channel));
+    }
+    const chunkLength = audioBuffer.sampleRate * MP3_CHUNK_SECONDS;
+    
+    return {
+      sampleRate: audioBuffer.sampleRate,
+      channels: channelData.length,
+      read: async (onChunk, onProgress) => {
+        for (let offset = 0; offset < audioBuffer.length; offset += chunkLength) {
+          await onChunk(channelData.map(samples => samples.slice(offset, offset + chunkLength)));
+          onProgress(Math.min(1, (offset + chunkLength) / audioBuffer.length));
+        }
+      }
+    };
+  }
+  
+  // Streams the source through the encoder worker, waiting for each chunk to be encoded before
+  // reading the next
+  async encodeMp3(source, tags, onProgress) {
+    const worker = new Worker(chrome.runtime.getURL('mp3-encoder-worker.js'));
+    let waiting = null;
+    
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (!waiting) return;
+      const { resolve, reject } = waiting;
+      waiting = null;
+      if (message.type === 'error') {
+        reject(new Error(message.error));
+      } else {
+        resolve(message);
+      }
+    };
+    worker.onerror = (event) => {
+      if (!waiting) return;
+      waiting.reject(new Error(event.message || 'MP3 encoder failed to load'));
+      waiting = null;
+    };
+    
+    const send = (message, transfer = []) => new Promise((resolve, reject) => {
+      waiting = { resolve, reject };
+      worker.postMessage(message, transfer);
+    });
+    
+    try {
+      await send({
+        type: 'start',
+        channels: source.channels,
+        sampleRate: source.sampleRate,
+        bitrate: MP3_BITRATE_KBPS,
+        tags: tags
+      });
+      
+      await source.read(
+        (channels) => send({ type: 'chunk', channels }, channels.map(samples => samples.buffer)),
+        onProgress
+      );
+      
+      const { blob } = await send({ type: 'finish' });
+      return blob;
+    } finally {
+      worker.terminate();
+    }
+  }
+
+  // Remux the WebM into fragmented MP4 without re-encoding. The output goes to OPFS fragment by
+  // fragment, so long recordings don't have to fit in memory.
+  async convertToMp4() {
+    if (this.mp4Export) {
+      this.triggerDownload(this.mp4Export.url, this.mp4Export.filename);
+      return;
+    }
+    
+    if (!this.mp4Remuxer) {
+      alert('This recording cannot be converted to MP4.');
+      return;
+    }
+    
+    const probe = await this.mp4Remuxer.probe();
+    if (!probe.supported) {
+      alert(`Can't convert to MP4 without re-encoding.\n\n${probe.reason}`);
+      return;
+    }
+    
+    const label = this.convertMp4Btn.querySelector('.btn-label');
+    const originalLabel = label.textContent;
+    this.convertMp4Btn.disabled = true;
+    label.textContent = 'Converting... 0%';
+    
+    let writable = null;
+    try {
+      const fileHandle = await RecordingStorage.getExportFileHandle(this.recordingData.storageSessionId, MP4_EXPORT_FILE);
+      writable = await fileHandle.createWritable();
+      
+      await this.mp4Remuxer.remux(writable, {
+        tags: {
+          title: this.recordingData.tabTitle || 'Google Meet recording',
+          artist: this.authContext?.userInfo?.fullname || null,
+          date: this.recordingData.startTime || Date.now()
+        },
+        onProgress: (progress) => {
+          label.textContent = `Converting... ${Math.round(progress * 100)}%`;
+        }
+      });
+      await writable.close();
+      writable = null;
+      
+      const audioOnly = this.recordingData.audioOnly;
+      const sourceFilename = audioOnly ? this.recordingData.audioFilename : this.recordingData.filename;
+      const file = await fileHandle.getFile();
+      const mp4File = new File([file], MP4_EXPORT_FILE, { type: audioOnly ? 'audio/mp4' : 'video/mp4' });
+      
+      this.mp4Export = {
+        url: URL.createObjectURL(mp4File),
+        filename: (sourceFilename || 'meet-recording.webm').replace(/\.[^.]+$/, audioOnly ? '.m4a' : '.mp4')
+      };
+      this.triggerDownload(this.mp4Export.url, this.mp4Export.filename);
+      
+      if (audioOnly) {
+        this.hasAudioBeenSaved = true;
+      } else {
+        this.hasBeenSaved = true;
+      }
+      console.log(`MP4 download initiated: ${this.mp4Export.filename} (${this.formatFileSize(mp4File.size)})`);
+      
+    } catch (error) {
+      console.error('MP4 conversion error:', error);
+      alert('Failed to convert to MP4: ' + error.message);
+      if (writable) {
+        writable.abort().catch(() => {});
+      }
+    } finally {
+      label.textContent = this.mp4Export ? originalLabel.replace('Convert to', 'Download') : originalLabel;
+      this.convertMp4Btn.disabled = false;
+    }
+  }
+
+  triggerDownload(url, filename) {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  }
+
+  downloadStem(stem) {
+    const stemData = this.recordingData && this.recordingData.stems && this.recordingData.stems[stem];
+    if (!stemData || !stemData.url) {
+      alert('No separate audio track available for download');
+      return;
+    }
+    
+    try {
+      const a = document.createElement('a');
+      a.href = stemData.url;
+      a.download = stemData.filename || `audio-${stem}-${new Date().toISOString().slice(0,19).replace(/[:.]/g, '-')}.webm`;
+      
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      
+      console.log(`${stem} stem download initiated:`, a.download);
+      
+    } catch (error) {
+      console.error(`${stem} stem download error:`, error);
+      alert('Failed to download audio track. Please try again.');
+    }
+  }
+
+  downloadWav() {
+    const wav = this.recordingData && this.recordingData.wav;
+    if (!wav || !wav.url) {
+      alert('No WAV recording available for download');
+      return;
+    }
+    
+    try {
+      const a = document.createElement('a');
+      a.href = wav.url;
+      a.download = wav.filename || `meet-audio-${new Date().toISOString().slice(0,19).replace(/[:.]/g, '-')}.wav`;
+      
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      
+      console.log('WAV download initiated:', a.download);
+      
+    } catch (error) {
+      console.error('WAV download error:', error);
+      alert('Failed to download WAV recording. Please try again.');
+    }
+  }
+
   showAudioDownloadSuccess() {
     // Create a temporary success notification
     const notification = document.createElement('div');
@@ -623,6 +1514,7 @@ class RecordingPreview {
     // Clean up on page hide (tab close/navigation)
     window.addEventListener('pagehide', () => {
       this.cleanupRecording();
+      this.discardStoredRecording();
     });
   }
 
@@ -638,11 +1530,32 @@ class RecordingPreview {
         URL.revokeObjectURL(this.recordingData.audioUrl);
         console.log('Audio recording blob URL cleaned up');
       }
+      
+      for (const stemData of Object.values(this.recordingData.stems || {})) {
+        if (stemData.url) {
+          URL.revokeObjectURL(stemData.url);
+        }
+      }
+      
+      if (this.recordingData.wav && this.recordingData.wav.url) {
+        URL.revokeObjectURL(this.recordingData.wav.url);
+      }
+      
+      if (this.mp4Export) {
+        URL.revokeObjectURL(this.mp4Export.url);
+      }
     }
     
     // Clear storage
     sessionStorage.removeItem('recordingData');
-    chrome.storage.session.remove(['recordingData']);
+    chrome.storage.session.remove(this.previewDataKey ? ['recordingData', this.previewDataKey] : ['recordingData']);
+  }
+
+  // Free the disk space used by the recorded files once the page is really going away
+  discardStoredRecording() {
+    if (this.recordingData && this.recordingData.storageSessionId) {
+      RecordingStorage.deleteSession(this.recordingData.storageSessionId);
+    }
   }
 
   startNewRecording() {
@@ -660,6 +1573,7 @@ class RecordingPreview {
   closePreview() {
     // Clean up recording data
     this.cleanupRecording();
+    this.discardStoredRecording();
     
     // Close the tab
     window.close();
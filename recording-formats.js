@@ -0,0 +1,146 @@
+// Recording Formats for Google Meet Recorder
+// Maps the user's quality / frame rate / container / codec choices to capture constraints,
+// bitrates and MediaRecorder mime types. Shared by the popup and background (validation) and
+// offscreen (recording).
+
+class RecordingFormats {
+  static RESOLUTIONS = {
+    '720p': { width: 1280, height: 720 },
+    '1080p': { width: 1920, height: 1080 },
+    '4k': { width: 3840, height: 2160 }
+  };
+
+  static FRAME_RATES = [15, 30, 60];
+
+  // Bitrates at 30 fps; other frame rates are scaled by FRAME_RATE_BITRATE_FACTORS
+  static BITRATES = {
+    '720p': 2500000,    // 2.5 Mbps
+    '1080p': 5000000,   // 5 Mbps
+    '4k': 15000000      // 15 Mbps
+  };
+
+  static FRAME_RATE_BITRATE_FACTORS = {
+    15: 0.6,
+    30: 1,
+    60: 1.5
+  };
+
+  // Custom bitrate limits in Mbps
+  static MIN_BITRATE_MBPS = 0.5;
+  static MAX_BITRATE_MBPS = 50;
+
+  static CONTAINERS = ['webm', 'mp4'];
+
+  // Candidate mime types per container and codec, in order of preference
+  static VIDEO_MIME_TYPES = {
+    webm: {
+      vp9: ['video/webm;codecs=vp9,opus'],
+      vp8: ['video/webm;codecs=vp8,opus'],
+      h264: ['video/webm;codecs=h264,opus'],
+      av1: ['video/webm;codecs=av01,opus']
+    },
+    mp4: {
+      h264: [
+        'video/mp4;codecs=h264,aac',
+        'video/mp4;codecs=avc1.424028,mp4a.40.2'
+      ],
+      vp9: ['video/mp4;codecs=vp09.00.41.08,mp4a.40.2'],
+      av1: ['video/mp4;codecs=av01.0.08M.08,mp4a.40.2']
+    }
+  };
+
+  // Codecs tried for "auto", best first
+  static AUTO_CODECS = {
+    webm: ['vp9', 'vp8', 'h264'],
+    mp4: ['h264']
+  };
+
+  static DEFAULT_SETTINGS = {
+    videoQuality: '1080p',
+    frameRate: 30,
+    recordingFormat: 'webm',
+    videoCodec: 'auto',
+    videoBitrate: null // Mbps, null = based on quality and frame rate
+  };
+
+  static getVideoConstraints(quality) {
+    return RecordingFormats.RESOLUTIONS[quality] || RecordingFormats.RESOLUTIONS['1080p'];
+  }
+
+  static getFrameRate(frameRate) {
+    const value = Number(frameRate);
+    return RecordingFormats.FRAME_RATES.includes(value) ? value : RecordingFormats.DEFAULT_SETTINGS.frameRate;
+  }
+
+  // Bits per second for the video recorder
+  static getVideoBitrate(quality, frameRate, customBitrateMbps = null) {
+    if (customBitrateMbps) {
+      return Math.round(customBitrateMbps * 1000000);
+    }
+
+    const base = RecordingFormats.BITRATES[quality] || RecordingFormats.BITRATES['1080p'];
+    const factor = RecordingFormats.FRAME_RATE_BITRATE_FACTORS[RecordingFormats.getFrameRate(frameRate)];
+    return Math.round(base * factor);
+  }
+
+  static getCandidateMimeTypes(container, codec = 'auto') {
+    const codecs = RecordingFormats.VIDEO_MIME_TYPES[container] || {};
+    const names = codec === 'auto' ? RecordingFormats.AUTO_CODECS[container] || [] : [codec];
+    const candidates = names.flatMap(name => codecs[name] || []);
+
+    // Let the browser pick the codec if none of the explicit "auto" choices work
+    if (codec === 'auto') {
+      candidates.push(`video/${container}`);
+    }
+    return candidates;
+  }
+
+  // First supported mime type for exactly this container and codec, or null
+  static findSupportedMimeType(container, codec = 'auto') {
+    return RecordingFormats.getCandidateMimeTypes(container, codec)
+      .find(type => MediaRecorder.isTypeSupported(type)) || null;
+  }
+
+  // Like findSupportedMimeType, but falls back to any container the browser can record
+  static getSupportedMimeType(container = 'webm', codec = 'auto') {
+    const mimeType = RecordingFormats.findSupportedMimeType(container, codec);
+    if (mimeType) return mimeType;
+
+    console.warn(`Video format ${container}/${codec} is not supported, falling back`);
+    for (const fallbackContainer of RecordingFormats.CONTAINERS) {
+      const fallback = RecordingFormats.findSupportedMimeType(fallbackContainer);
+      if (fallback) return fallback;
+    }
+
+    return 'video/webm';
+  }
+
+  // Returns an error message for settings this browser can't record, or null if they're fine
+  static validate(settings) {
+    if (!RecordingFormats.RESOLUTIONS[settings.videoQuality]) {
+      return `Unknown video quality: ${settings.videoQuality}`;
+    }
+
+    if (!RecordingFormats.FRAME_RATES.includes(Number(settings.frameRate))) {
+      return `Unsupported frame rate: ${settings.frameRate} fps`;
+    }
+
+    // The service worker has no MediaRecorder to ask - the offscreen recorder falls back itself
+    if (typeof MediaRecorder !== 'undefined' &&
+        !RecordingFormats.findSupportedMimeType(settings.recordingFormat, settings.videoCodec)) {
+      const codec = settings.videoCodec === 'auto' ? '' : ` with ${settings.videoCodec.toUpperCase()}`;
+      return `This browser can't record ${settings.recordingFormat.toUpperCase()}${codec}. Choose another format or codec.`;
+    }
+
+    if (settings.videoBitrate !== null && settings.videoBitrate !== undefined) {
+      const bitrate = Number(settings.videoBitrate);
+      if (!Number.isFinite(bitrate) ||
+          bitrate < RecordingFormats.MIN_BITRATE_MBPS ||
+          bitrate > RecordingFormats.MAX_BITRATE_MBPS) {
+        return `Bitrate must be between ${RecordingFormats.MIN_BITRATE_MBPS} and ${RecordingFormats.MAX_BITRATE_MBPS} Mbps`;
+      }
+    }
+
+    return null;
+  }
+}
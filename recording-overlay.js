@@ -0,0 +1,248 @@
+// Recording Overlay - injected by the background into a tab while it is recorded
+// A small draggable indicator with the elapsed time and stop / pause / bookmark buttons. It sends
+// the same messages as the popup; the background pushes state updates and removes it on stop.
+// Tab recordings capture the page, overlay included, unless the user hides it for them.
+
+(() => {
+  // Injected again after a reload or a second start - keep the one that's there
+  if (window.meetRecorderOverlay) return;
+
+  class RecordingOverlay {
+    static HOST_ID = 'meet-recorder-overlay';
+    static MARGIN = 16;
+
+    constructor(tabId) {
+      this.tabId = tabId;
+      this.state = null;
+      this.collapsed = false;
+      this.tickInterval = null;
+      this.flashTimeout = null;
+      this.host = null;
+      this.elements = {};
+      this.messageListener = (message, sender, sendResponse) => this.handleMessage(message, sendResponse);
+    }
+
+    start() {
+      this.render();
+      chrome.runtime.onMessage.addListener(this.messageListener);
+      this.tickInterval = setInterval(() => this.updateTime(), 1000);
+    }
+
+    handleMessage(message, sendResponse) {
+      if (message.action === 'recordingOverlayUpdate') {
+        this.tabId = message.tabId;
+        this.state = message.state;
+        this.update();
+        sendResponse({ success: true });
+      } else if (message.action === 'recordingOverlayRemove') {
+        this.remove();
+        sendResponse({ success: true });
+      }
+    }
+
+    // Shadow DOM keeps the page's styles out (and ours out of the page)
+    render() {
+      this.host = document.createElement('div');
+      this.host.id = RecordingOverlay.HOST_ID;
+      this.host.style.cssText = `position: fixed; z-index: 2147483647; right: ${RecordingOverlay.MARGIN}px; bottom: ${RecordingOverlay.MARGIN}px;`;
+
+      const shadow = this.host.attachShadow({ mode: 'closed' });
+      shadow.innerHTML = `
+        <style>
+          .overlay {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 6px 8px 6px 10px;
+            background: rgba(17, 24, 39, 0.88);
+            color: #fff;
+            border-radius: 18px;
+            font: 600 12px/1 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            box-shadow: 0 4px 14px rgba(0, 0, 0, 0.3);
+            cursor: grab;
+            user-select: none;
+          }
+          .overlay.dragging { cursor: grabbing; }
+          .dot {
+            width: 10px;
+            height: 10px;
+            border-radius: 50%;
+            background: #ef4444;
+            animation: pulse 1.5s infinite;
+          }
+          .overlay.paused .dot { background: #f59e0b; animation: none; }
+          @keyframes pulse { 50% { opacity: 0.35; } }
+          .time { font-variant-numeric: tabular-nums; min-width: 38px; }
+          .status { font-weight: 500; color: #d1d5db; }
+          button {
+            border: none;
+            border-radius: 12px;
+            padding: 5px 8px;
+            background: rgba(255, 255, 255, 0.14);
+            color: #fff;
+            font: inherit;
+            cursor: pointer;
+          }
+          button:hover { background: rgba(255, 255, 255, 0.26); }
+          button:disabled { opacity: 0.5; cursor: default; }
+          .stop { background: #dc2626; }
+          .stop:hover { background: #b91c1c; }
+          .overlay.collapsed { padding: 6px; }
+          .overlay.collapsed > :not(.dot):not(.collapse) { display: none; }
+        </style>
+        <div class="overlay" part="overlay">
+          <span class="dot"></span>
+          <span class="time">0:00</span>
+          <span class="status">REC</span>
+          <button class="pause" title="Pause recording">❚❚</button>
+          <button class="bookmark" title="Bookmark this moment">🔖</button>
+          <button class="stop" title="Stop recording">■ Stop</button>
+          <button class="collapse" title="Collapse">–</button>
+        </div>
+      `;
+
+      const overlay = shadow.querySelector('.overlay');
+      this.elements = {
+        overlay,
+        time: shadow.querySelector('.time'),
+        status: shadow.querySelector('.status'),
+        pause: shadow.querySelector('.pause'),
+        bookmark: shadow.querySelector('.bookmark'),
+        stop: shadow.querySelector('.stop'),
+        collapse: shadow.querySelector('.collapse')
+      };
+
+      this.elements.pause.addEventListener('click', () => this.togglePause());
+      this.elements.bookmark.addEventListener('click', () => this.addBookmark());
+      this.elements.stop.addEventListener('click', () => this.stopRecording());
+      this.elements.collapse.addEventListener('click', () => this.toggleCollapsed());
+      this.enableDragging(overlay);
+
+      document.documentElement.appendChild(this.host);
+    }
+
+    enableDragging(handle) {
+      let start = null;
+
+      handle.addEventListener('pointerdown', (event) => {
+        if (event.target.closest('button')) return;
+        const rect = this.host.getBoundingClientRect();
+        start = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        handle.setPointerCapture(event.pointerId);
+        handle.classList.add('dragging');
+      });
+
+      handle.addEventListener('pointermove', (event) => {
+        if (!start) return;
+        const maxLeft = window.innerWidth - this.host.offsetWidth;
+        const maxTop = window.innerHeight - this.host.offsetHeight;
+        this.host.style.left = `${Math.min(Math.max(0, event.clientX - start.x), maxLeft)}px`;
+        this.host.style.top = `${Math.min(Math.max(0, event.clientY - start.y), maxTop)}px`;
+        this.host.style.right = 'auto';
+        this.host.style.bottom = 'auto';
+      });
+
+      const endDrag = () => {
+        start = null;
+        handle.classList.remove('dragging');
+      };
+      handle.addEventListener('pointerup', endDrag);
+      handle.addEventListener('pointercancel', endDrag);
+    }
+
+    update() {
+      if (!this.state) return;
+
+      this.elements.overlay.classList.toggle('paused', this.state.isPaused);
+      this.elements.status.textContent = this.state.isPaused ? 'Paused' : 'REC';
+      this.elements.pause.textContent = this.state.isPaused ? '▶' : '❚❚';
+      this.elements.pause.title = this.state.isPaused ? 'Resume recording' : 'Pause recording';
+      this.elements.bookmark.disabled = this.state.isPaused;
+      this.updateTime();
+    }
+
+    // Same as the popup timer: wall time since the start, minus paused time
+    updateTime() {
+      if (!this.state || !this.state.recordingStartTime) return;
+
+      const { recordingStartTime, totalPausedTime, isPaused, pauseStartTime } = this.state;
+      const endTime = isPaused && pauseStartTime ? pauseStartTime : Date.now();
+      const seconds = Math.max(0, Math.floor((endTime - recordingStartTime - (totalPausedTime || 0)) / 1000));
+      const hours = Math.floor(seconds / 3600);
+      const minutes = Math.floor((seconds % 3600) / 60);
+      const secs = String(seconds % 60).padStart(2, '0');
+
+      this.elements.time.textContent = hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+        : `${minutes}:${secs}`;
+    }
+
+    toggleCollapsed() {
+      this.collapsed = !this.collapsed;
+      this.elements.overlay.classList.toggle('collapsed', this.collapsed);
+      this.elements.collapse.textContent = this.collapsed ? '+' : '–';
+      this.elements.collapse.title = this.collapsed ? 'Expand' : 'Collapse';
+    }
+
+    async sendCommand(message) {
+      try {
+        const response = await chrome.runtime.sendMessage({ ...message, tabId: this.tabId });
+        if (!response || !response.success) {
+          this.flashStatus((response && response.error) || 'Failed');
+        }
+        return response;
+      } catch (error) {
+        // The extension was reloaded - nothing is listening any more
+        console.warn('Meet Recorder overlay:', error.message);
+        this.remove();
+        return null;
+      }
+    }
+
+    togglePause() {
+      this.sendCommand({ action: this.state && this.state.isPaused ? 'resumeRecording' : 'pauseRecording' });
+    }
+
+    async addBookmark() {
+      const response = await this.sendCommand({ action: 'addBookmark', label: 'Bookmark', source: 'overlay' });
+      if (response && response.success) {
+        this.flashStatus('🔖 Added');
+      }
+    }
+
+    async stopRecording() {
+      this.elements.stop.disabled = true;
+      const response = await this.sendCommand({ action: 'stopRecording' });
+      if (response && response.success) {
+        this.remove();
+      } else {
+        this.elements.stop.disabled = false;
+      }
+    }
+
+    flashStatus(text) {
+      clearTimeout(this.flashTimeout);
+      this.elements.status.textContent = text;
+      this.flashTimeout = setTimeout(() => this.update(), 2000);
+    }
+
+    remove() {
+      clearInterval(this.tickInterval);
+      clearTimeout(this.flashTimeout);
+      try {
+        chrome.runtime.onMessage.removeListener(this.messageListener);
+      } catch (error) {
+        // Extension context already gone
+      }
+      if (this.host) {
+        this.host.remove();
+        this.host = null;
+      }
+      window.meetRecorderOverlay = null;
+    }
+  }
+
+  // Set by the background just before injecting this script
+  window.meetRecorderOverlay = new RecordingOverlay(window.meetRecorderOverlayTabId);
+  window.meetRecorderOverlay.start();
+})();
@@ -0,0 +1,212 @@
+// Recording Storage for Google Meet Recorder
+// Streams recorded chunks to the Origin Private File System and reads them back as files
+
+class RecordingStorage {
+  static ROOT_DIRECTORY = 'recordings';
+  static MANIFEST_FILE = 'session.json';
+
+  constructor(sessionId) {
+    this.sessionId = sessionId;
+    this.worker = null;
+    this.pendingRequests = new Map();
+    this.nextRequestId = 1;
+    this.bytesWritten = 0;
+    this.lastError = null;
+  }
+
+  // Open a writer for the given track names (e.g. ['video', 'audio'])
+  async open(tracks) {
+    this.worker = new Worker(chrome.runtime.getURL('opfs-writer-worker.js'));
+    this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+    this.worker.onerror = (event) => {
+      console.error('OPFS writer worker error:', event.message);
+      this.lastError = event.message;
+    };
+
+    const result = await this.request('open', { sessionId: this.sessionId, tracks });
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to open recording storage');
+    }
+
+    console.log(`Recording storage opened for session ${this.sessionId}`);
+  }
+
+  // Queue a chunk for writing - order is preserved by the worker
+  append(track, blob) {
+    if (!this.worker) {
+      throw new Error('Recording storage is not open');
+    }
+
+    this.worker.postMessage({ type: 'append', track, blob });
+    this.bytesWritten += blob.size;
+  }
+
+  // Flush and close all track files, returning their file handles
+  async finalize() {
+    if (!this.worker) {
+      throw new Error('Recording storage is not open');
+    }
+
+    const result = await this.request('close');
+    this.worker.terminate();
+    this.worker = null;
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to finalize recording storage');
+    }
+
+    const handles = {};
+    const directory = await RecordingStorage.getSessionDirectory(this.sessionId);
+    for (const track of Object.keys(result.sizes)) {
+      handles[track] = await directory.getFileHandle(track);
+    }
+
+    console.log('Recording storage finalized:', result.sizes);
+    return handles;
+  }
+
+  // Abort writing without reading anything back
+  close() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  request(type, payload = {}) {
+    const requestId = this.nextRequestId++;
+
+    return new Promise((resolve) => {
+      this.pendingRequests.set(requestId, resolve);
+      this.worker.postMessage({ type, requestId, ...payload });
+    });
+  }
+
+  handleWorkerMessage(message) {
+    if (message.type === 'response') {
+      const resolve = this.pendingRequests.get(message.requestId);
+      if (resolve) {
+        this.pendingRequests.delete(message.requestId);
+        resolve(message);
+      }
+    } else if (message.type === 'error') {
+      console.error(`OPFS write failed for track ${message.track}:`, message.error);
+      this.lastError = message.error;
+    }
+  }
+
+  static async getRecordingsDirectory() {
+    const root = await navigator.storage.getDirectory();
+    return root.getDirectoryHandle(RecordingStorage.ROOT_DIRECTORY, { create: true });
+  }
+
+  static async getSessionDirectory(sessionId, create = false) {
+    const recordingsDirectory = await RecordingStorage.getRecordingsDirectory();
+    return recordingsDirectory.getDirectoryHandle(sessionId, { create });
+  }
+
+  // Read a track back as a disk-backed File (optionally re-typed with its mime type)
+  static async getTrackFile(sessionId, track, mimeType = null) {
+    const directory = await RecordingStorage.getSessionDirectory(sessionId);
+    const fileHandle = await directory.getFileHandle(track);
+    const file = await fileHandle.getFile();
+
+    if (!mimeType) return file;
+    return new File([file], file.name, { type: mimeType, lastModified: file.lastModified });
+  }
+
+  // Handle for a file derived from the recording (e.g. an MP4 export), deleted along with the session
+  static async getExportFileHandle(sessionId, name) {
+    const directory = await RecordingStorage.getSessionDirectory(sessionId);
+    return directory.getFileHandle(name, { create: true });
+  }
+
+  static async listSessions() {
+    const recordingsDirectory = await RecordingStorage.getRecordingsDirectory();
+    const sessionIds = [];
+
+    for await (const [name, handle] of recordingsDirectory.entries()) {
+      if (handle.kind === 'directory') {
+        sessionIds.push(name);
+      }
+    }
+
+    return sessionIds;
+  }
+
+  // Session journal: start time, tab, options and status, kept next to the track files
+  static async writeManifest(sessionId, manifest) {
+    const directory = await RecordingStorage.getSessionDirectory(sessionId, true);
+    const fileHandle = await directory.getFileHandle(RecordingStorage.MANIFEST_FILE, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(JSON.stringify(manifest));
+    await writable.close();
+  }
+
+  static async readManifest(sessionId) {
+    try {
+      const directory = await RecordingStorage.getSessionDirectory(sessionId);
+      const fileHandle = await directory.getFileHandle(RecordingStorage.MANIFEST_FILE);
+      const file = await fileHandle.getFile();
+      return JSON.parse(await file.text());
+    } catch (error) {
+      console.warn(`Could not read manifest for session ${sessionId}:`, error);
+      return null;
+    }
+  }
+
+  static async updateManifest(sessionId, updates) {
+    const manifest = await RecordingStorage.readManifest(sessionId);
+    if (!manifest) return null;
+
+    const updatedManifest = { ...manifest, ...updates };
+    await RecordingStorage.writeManifest(sessionId, updatedManifest);
+    return updatedManifest;
+  }
+
+  // Size in bytes of each track file in a session
+  static async getTrackSizes(sessionId, tracks) {
+    const sizes = {};
+
+    for (const track of tracks) {
+      try {
+        const file = await RecordingStorage.getTrackFile(sessionId, track);
+        sizes[track] = file.size;
+      } catch (error) {
+        sizes[track] = 0;
+      }
+    }
+
+    return sizes;
+  }
+
+  // Recording time captured in a journal, excluding paused time (seconds)
+  static getJournaledDuration(manifest) {
+    const endTime = manifest.isPaused && manifest.pauseStartTime
+      ? manifest.pauseStartTime
+      : manifest.lastUpdated;
+    return Math.max(0, (endTime - manifest.startTime - (manifest.totalPausedTime || 0)) / 1000);
+  }
+
+  static async deleteSession(sessionId) {
+    try {
+      const recordingsDirectory = await RecordingStorage.getRecordingsDirectory();
+      await recordingsDirectory.removeEntry(sessionId, { recursive: true });
+      console.log(`Recording storage session ${sessionId} deleted`);
+    } catch (error) {
+      if (error.name !== 'NotFoundError') {
+        console.warn(`Failed to delete recording storage session ${sessionId}:`, error);
+      }
+    }
+  }
+
+  // Returns { usage, quota } in bytes for the extension origin
+  static async getStorageEstimate() {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return { usage, quota };
+  }
+
+  static generateSessionId() {
+    return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+}
@@ -0,0 +1,161 @@
+// Webcam Compositor for Google Meet Recorder
+// Draws the webcam as a picture-in-picture overlay on the captured video using an OffscreenCanvas.
+// Frames are pulled with MediaStreamTrackProcessor and pushed out through a MediaStreamTrackGenerator,
+// so compositing keeps running in the (never visible) offscreen document where rAF does not fire.
+
+class WebcamCompositor {
+  // Overlay width as a fraction of the video width
+  static SIZES = {
+    small: 0.16,
+    medium: 0.22,
+    large: 0.3
+  };
+
+  static POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+  static SHAPES = ['circle', 'rounded', 'rectangle'];
+
+  static DEFAULT_OPTIONS = {
+    position: 'bottom-right',
+    size: 'medium',
+    shape: 'circle'
+  };
+
+  constructor(options = {}) {
+    this.options = { ...WebcamCompositor.DEFAULT_OPTIONS, ...options };
+    this.canvas = null;
+    this.context = null;
+    this.generator = null;
+    this.webcamFrame = null; // Latest webcam frame, drawn onto every video frame
+    this.running = false;
+  }
+
+  // Returns a video track with the webcam composited onto sourceTrack
+  start(sourceTrack, webcamTrack) {
+    const settings = sourceTrack.getSettings();
+    this.canvas = new OffscreenCanvas(settings.width || 1280, settings.height || 720);
+    this.context = this.canvas.getContext('2d');
+
+    const sourceProcessor = new MediaStreamTrackProcessor({ track: sourceTrack });
+    const webcamProcessor = new MediaStreamTrackProcessor({ track: webcamTrack });
+    this.generator = new MediaStreamTrackGenerator({ kind: 'video' });
+
+    this.running = true;
+    this.readWebcamFrames(webcamProcessor.readable.getReader());
+    this.compositeFrames(sourceProcessor.readable.getReader(), this.generator.writable.getWriter());
+
+    console.log('Webcam compositor started:', this.options);
+    return this.generator;
+  }
+
+  stop() {
+    this.running = false;
+
+    if (this.webcamFrame) {
+      this.webcamFrame.close();
+      this.webcamFrame = null;
+    }
+    if (this.generator) {
+      this.generator.stop();
+      this.generator = null;
+    }
+  }
+
+  async readWebcamFrames(reader) {
+    try {
+      while (this.running) {
+        const { value: frame, done } = await reader.read();
+        if (done) break;
+
+        if (this.webcamFrame) {
+          this.webcamFrame.close();
+        }
+        this.webcamFrame = frame;
+      }
+    } catch (error) {
+      console.warn('Webcam frame reader stopped:', error);
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  // Output frames follow the source track's timing, so frame rate matches the capture
+  async compositeFrames(reader, writer) {
+    try {
+      while (this.running) {
+        const { value: frame, done } = await reader.read();
+        if (done) break;
+
+        if (this.canvas.width !== frame.displayWidth || this.canvas.height !== frame.displayHeight) {
+          this.canvas.width = frame.displayWidth;
+          this.canvas.height = frame.displayHeight;
+        }
+
+        this.context.drawImage(frame, 0, 0, this.canvas.width, this.canvas.height);
+        const timestamp = frame.timestamp;
+        frame.close();
+
+        if (this.webcamFrame) {
+          this.drawOverlay();
+        }
+
+        // The generator takes ownership of the written frame and closes it
+        await writer.write(new VideoFrame(this.canvas, { timestamp }));
+      }
+    } catch (error) {
+      if (this.running) {
+        console.error('Webcam compositing failed:', error);
+      }
+    } finally {
+      reader.releaseLock();
+      writer.releaseLock();
+    }
+  }
+
+  drawOverlay() {
+    const { width, height } = this.canvas;
+    const frame = this.webcamFrame;
+    const margin = Math.round(width * 0.02);
+
+    const overlayWidth = Math.round(width * (WebcamCompositor.SIZES[this.options.size] || WebcamCompositor.SIZES.medium));
+    const circle = this.options.shape === 'circle';
+
+    // Circles crop the webcam to a centered square; other shapes keep its aspect ratio
+    let sourceX = 0;
+    let sourceY = 0;
+    let sourceWidth = frame.displayWidth;
+    let sourceHeight = frame.displayHeight;
+    let overlayHeight = Math.round(overlayWidth * sourceHeight / sourceWidth);
+
+    if (circle) {
+      const side = Math.min(sourceWidth, sourceHeight);
+      sourceX = (sourceWidth - side) / 2;
+      sourceY = (sourceHeight - side) / 2;
+      sourceWidth = side;
+      sourceHeight = side;
+      overlayHeight = overlayWidth;
+    }
+
+    const [vertical, horizontal] = this.options.position.split('-');
+    const x = horizontal === 'left' ? margin : width - overlayWidth - margin;
+    const y = vertical === 'top' ? margin : height - overlayHeight - margin;
+
+    const ctx = this.context;
+    ctx.save();
+    ctx.beginPath();
+    if (circle) {
+      ctx.arc(x + overlayWidth / 2, y + overlayHeight / 2, overlayWidth / 2, 0, Math.PI * 2);
+    } else if (this.options.shape === 'rounded') {
+      ctx.roundRect(x, y, overlayWidth, overlayHeight, Math.round(overlayWidth * 0.08));
+    } else {
+      ctx.rect(x, y, overlayWidth, overlayHeight);
+    }
+    ctx.clip();
+    ctx.drawImage(frame, sourceX, sourceY, sourceWidth, sourceHeight, x, y, overlayWidth, overlayHeight);
+
+    // Thin border so the overlay stands out from similar-looking content
+    ctx.lineWidth = Math.max(2, Math.round(width * 0.002));
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.stroke();
+    ctx.restore();
+  }
+}
@@ -0,0 +1,444 @@
+// WebM Fixer for Google Meet Recorder
+// MediaRecorder writes WebM as a live stream: the Segment and Clusters have unknown sizes and there is
+// no Duration or Cues, so players can't show the length or seek. This rewrites the file's metadata -
+// Segment size, SeekHead, Info/Duration, Cluster sizes and Cues - while the cluster payloads stay
+// disk-backed Blob slices of the original file. A truncated last cluster (crash recovery) is cut at
+// the last complete block.
+
+class WebmFixer {
+  static IDS = {
+    EBML: 0x1a45dfa3,
+    SEGMENT: 0x18538067,
+    SEEK_HEAD: 0x114d9b74,
+    SEEK: 0x4dbb,
+    SEEK_ID: 0x53ab,
+    SEEK_POSITION: 0x53ac,
+    INFO: 0x1549a966,
+    TIMECODE_SCALE: 0x2ad7b1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654ae6b,
+    TRACK_ENTRY: 0xae,
+    TRACK_NUMBER: 0xd7,
+    TRACK_TYPE: 0x83,
+    CLUSTER: 0x1f43b675,
+    TIMECODE: 0xe7,
+    SIMPLE_BLOCK: 0xa3,
+    BLOCK_GROUP: 0xa0,
+    BLOCK: 0xa1,
+    CUES: 0x1c53bb6b,
+    CUE_POINT: 0xbb,
+    CUE_TIME: 0xb3,
+    CUE_TRACK_POSITIONS: 0xb7,
+    CUE_TRACK: 0xf7,
+    CUE_CLUSTER_POSITION: 0xf1,
+    VOID: 0xec
+  };
+
+  // Segment children - one of these ends an unknown-size Cluster
+  static LEVEL_1_IDS = new Set([
+    0x114d9b74, 0x1549a966, 0x1654ae6b, 0x1f43b675, 0x1c53bb6b, 0x1941a469, 0x1043a770, 0x1254c367
+  ]);
+
+  static READ_WINDOW = 1024 * 1024;
+  static SIZE_LENGTH = 8; // Sizes and positions we write use fixed-width fields
+  static TRACK_TYPE_VIDEO = 1;
+
+  // Returns { file, duration } with duration in seconds, or null if the file can't be fixed
+  static async fix(file) {
+    try {
+      const fixer = new WebmFixer(file);
+      return await fixer.rewrite();
+    } catch (error) {
+      console.warn('Could not fix WebM metadata:', error);
+      return null;
+    }
+  }
+
+  constructor(file) {
+    this.file = file;
+    this.window = null;
+    this.windowStart = 0;
+  }
+
+  async rewrite() {
+    const { IDS } = WebmFixer;
+
+    const ebml = await this.readElementHeader(0);
+    if (!ebml || ebml.id !== IDS.EBML || ebml.unknownSize) {
+      throw new Error('Not a WebM file');
+    }
+
+    const segment = await this.readElementHeader(ebml.dataEnd);
+    if (!segment || segment.id !== IDS.SEGMENT) {
+      throw new Error('WebM Segment not found');
+    }
+    const segmentEnd = segment.unknownSize ? this.file.size : Math.min(segment.dataEnd, this.file.size);
+
+    let info = null;
+    let tracks = null;
+    const otherElements = [];
+    const clusters = [];
+
+    let position = segment.dataStart;
+    while (position < segmentEnd) {
+      const element = await this.readElementHeader(position);
+      if (!element) break;
+
+      if (element.id === IDS.CLUSTER) {
+        const cluster = await this.scanCluster(element);
+        if (cluster.blockCount > 0) {
+          clusters.push(cluster);
+        }
+        position = cluster.dataEnd;
+        continue;
+      }
+
+      if (element.unknownSize || element.dataEnd > this.file.size) break;
+
+      if (element.id === IDS.INFO) {
+        info = await this.readBytes(element.start, element.dataEnd - element.start);
+      } else if (element.id === IDS.TRACKS) {
+        tracks = await this.readBytes(element.start, element.dataEnd - element.start);
+      } else if (element.id !== IDS.SEEK_HEAD && element.id !== IDS.CUES && element.id !== IDS.VOID) {
+        // e.g. Tags - kept as they are, ahead of the clusters
+        otherElements.push(this.file.slice(element.start, element.dataEnd));
+      }
+      position = element.dataEnd;
+    }
+
+    if (!info || !tracks || clusters.length === 0) {
+      throw new Error('WebM file has no playable clusters');
+    }
+
+    return this.build(ebml, info, tracks, otherElements, clusters);
+  }
+
+  // Walk a cluster's children to find its end, its timecode and its blocks' timing
+  async scanCluster(element) {
+    const { IDS } = WebmFixer;
+    const limit = element.unknownSize ? this.file.size : Math.min(element.dataEnd, this.file.size);
+
+    const cluster = {
+      dataStart: element.dataStart,
+      dataEnd: element.dataStart,
+      timecode: 0,
+      blockCount: 0,
+      keyframes: [], // { track, time } of keyframe blocks, absolute timecodes
+      lastBlocks: {} // track -> last two absolute block timecodes, for the final frame duration
+    };
+
+    let position = element.dataStart;
+    while (position < limit) {
+      const child = await this.readElementHeader(position);
+      if (!child || WebmFixer.LEVEL_1_IDS.has(child.id)) break;
+      // A block cut off by a crash is dropped along with everything after it
+      if (child.unknownSize || child.dataEnd > limit) break;
+
+      if (child.id === IDS.TIMECODE) {
+        cluster.timecode = this.readUint(await this.readBytes(child.dataStart, child.dataEnd - child.dataStart));
+      } else if (child.id === IDS.SIMPLE_BLOCK) {
+        await this.scanBlock(cluster, child.dataStart, true);
+      } else if (child.id === IDS.BLOCK_GROUP) {
+        const block = await this.readElementHeader(child.dataStart);
+        if (block && block.id === IDS.BLOCK) {
+          await this.scanBlock(cluster, block.dataStart, false);
+        }
+      }
+
+      position = child.dataEnd;
+      cluster.dataEnd = position;
+    }
+
+    return cluster;
+  }
+
+  // Block header: track number (vint), relative timecode (int16), flags
+  async scanBlock(cluster, start, simpleBlock) {
+    const header = await this.readBytes(start, 12);
+    const track = this.readVint(header, 0);
+    if (!track) return;
+
+    const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+    const time = cluster.timecode + view.getInt16(track.length);
+    const flags = header[track.length + 2];
+
+    const last = cluster.lastBlocks[track.value] || [];
+    cluster.lastBlocks[track.value] = [last[last.length - 1], time].filter(value => value !== undefined);
+    cluster.blockCount++;
+
+    if (simpleBlock && (flags & 0x80)) {
+      cluster.keyframes.push({ track: track.value, time });
+    }
+  }
+
+  build(ebml, info, tracks, otherElements, clusters) {
+    const { IDS } = WebmFixer;
+
+    const timecodeScale = this.findUint(info, IDS.TIMECODE_SCALE) || 1000000;
+    const cueTrack = this.findCueTrack(tracks);
+    const duration = this.getDuration(clusters);
+
+    const infoElement = this.rewriteInfo(info, duration);
+
+    // Cluster headers are rewritten with their real size
+    const clusterParts = [];
+    const clusterOffsets = [];
+    let clustersSize = 0;
+    for (const cluster of clusters) {
+      const header = this.encodeElementHeader(IDS.CLUSTER, cluster.dataEnd - cluster.dataStart);
+      clusterOffsets.push(clustersSize);
+      clusterParts.push(header, this.file.slice(cluster.dataStart, cluster.dataEnd));
+      clustersSize += header.length + (cluster.dataEnd - cluster.dataStart);
+    }
+
+    const otherSize = otherElements.reduce((total, blob) => total + blob.size, 0);
+
+    // The SeekHead size doesn't depend on the positions it stores (fixed-width), so lay it out first
+    const seekHeadSize = this.createSeekHead({ info: 0, tracks: 0, cues: 0 }).length;
+    const infoPosition = seekHeadSize;
+    const tracksPosition = infoPosition + infoElement.length;
+    const clustersPosition = tracksPosition + tracks.length + otherSize;
+    const cuesPosition = clustersPosition + clustersSize;
+
+    const cues = this.createCues(clusters, clusterOffsets.map(offset => clustersPosition + offset), cueTrack);
+    const seekHead = this.createSeekHead({ info: infoPosition, tracks: tracksPosition, cues: cuesPosition });
+
+    const segmentSize = cuesPosition + cues.length;
+    const parts = [
+      this.file.slice(0, ebml.dataEnd),
+      this.encodeElementHeader(IDS.SEGMENT, segmentSize),
+      seekHead,
+      infoElement,
+      tracks,
+      ...otherElements,
+      ...clusterParts,
+      cues
+    ];
+
+    const fixedFile = new File(parts, this.file.name, { type: this.file.type, lastModified: this.file.lastModified });
+    const seconds = duration * timecodeScale / 1e9;
+
+    console.log(`WebM fixed: ${clusters.length} clusters, ${seconds.toFixed(1)}s, ${(fixedFile.size / 1024 / 1024).toFixed(2)} MB`);
+    return { file: fixedFile, duration: seconds };
+  }
+
+  // Last block time plus one frame (the gap between the last two blocks of that track)
+  getDuration(clusters) {
+    let duration = 0;
+
+    for (const cluster of clusters) {
+      for (const times of Object.values(cluster.lastBlocks)) {
+        const last = times[times.length - 1];
+        const frame = times.length > 1 ? Math.max(0, last - times[0]) : 0;
+        duration = Math.max(duration, last + frame);
+      }
+    }
+
+    return duration;
+  }
+
+  // Seek on the video track when there is one, otherwise on the first track
+  findCueTrack(tracks) {
+    const { IDS } = WebmFixer;
+    const entries = this.readChildren(tracks, IDS.TRACK_ENTRY);
+    let firstTrack = 1;
+
+    for (const [index, entry] of entries.entries()) {
+      const number = this.findUint(entry, IDS.TRACK_NUMBER);
+      const type = this.findUint(entry, IDS.TRACK_TYPE);
+      if (index === 0 && number) firstTrack = number;
+      if (type === WebmFixer.TRACK_TYPE_VIDEO && number) return number;
+    }
+
+    return firstTrack;
+  }
+
+  rewriteInfo(info, duration) {
+    const { IDS } = WebmFixer;
+
+    const children = this.readChildren(info).filter(child => this.readVint(child, 0, true).value !== IDS.DURATION);
+    const durationValue = new Uint8Array(8);
+    new DataView(durationValue.buffer).setFloat64(0, duration);
+    children.push(this.encodeElement(IDS.DURATION, durationValue));
+
+    return this.encodeElement(IDS.INFO, this.concat(children));
+  }
+
+  createSeekHead(positions) {
+    const { IDS } = WebmFixer;
+    const seeks = [
+      [IDS.INFO, positions.info],
+      [IDS.TRACKS, positions.tracks],
+      [IDS.CUES, positions.cues]
+    ].map(([id, position]) => this.encodeElement(IDS.SEEK, this.concat([
+      this.encodeElement(IDS.SEEK_ID, this.encodeId(id)),
+      this.encodeElement(IDS.SEEK_POSITION, this.encodeUint(position, WebmFixer.SIZE_LENGTH))
+    ])));
+
+    return this.encodeElement(IDS.SEEK_HEAD, this.concat(seeks));
+  }
+
+  // One cue per cluster, at its first keyframe on the cue track (or its start for audio-only files)
+  createCues(clusters, positions, cueTrack) {
+    const { IDS } = WebmFixer;
+    const points = [];
+    const hasKeyframes = clusters.some(cluster => cluster.keyframes.some(frame => frame.track === cueTrack));
+
+    clusters.forEach((cluster, index) => {
+      const keyframe = cluster.keyframes.find(frame => frame.track === cueTrack);
+      if (hasKeyframes && !keyframe) return;
+
+      const time = keyframe ? keyframe.time : cluster.timecode;
+      points.push(this.encodeElement(IDS.CUE_POINT, this.concat([
+        this.encodeElement(IDS.CUE_TIME, this.encodeUint(time)),
+        this.encodeElement(IDS.CUE_TRACK_POSITIONS, this.concat([
+          this.encodeElement(IDS.CUE_TRACK, this.encodeUint(cueTrack)),
+          this.encodeElement(IDS.CUE_CLUSTER_POSITION, this.encodeUint(positions[index], WebmFixer.SIZE_LENGTH))
+        ]))
+      ])));
+    });
+
+    return this.encodeElement(IDS.CUES, this.concat(points));
+  }
+
+  // --- Reading ---
+
+  async readBytes(offset, length) {
+    const end = Math.min(offset + length, this.file.size);
+    const windowEnd = this.window ? this.windowStart + this.window.length : 0;
+
+    if (!this.window || offset < this.windowStart || end > windowEnd) {
+      this.windowStart = offset;
+      const windowSize = Math.max(length, WebmFixer.READ_WINDOW);
+      this.window = new Uint8Array(await this.file.slice(offset, offset + windowSize).arrayBuffer());
+    }
+
+    return this.window.subarray(offset - this.windowStart, end - this.windowStart);
+  }
+
+  // { id, start, dataStart, dataEnd, unknownSize }, or null at the end of the file
+  async readElementHeader(offset) {
+    if (offset >= this.file.size) return null;
+
+    const bytes = await this.readBytes(offset, 12);
+    const id = this.readVint(bytes, 0, true);
+    if (!id) return null;
+    const size = this.readVint(bytes, id.length);
+    if (!size) return null;
+
+    const dataStart = offset + id.length + size.length;
+    return {
+      id: id.value,
+      start: offset,
+      dataStart,
+      dataEnd: size.unknown ? Infinity : dataStart + size.value,
+      unknownSize: size.unknown
+    };
+  }
+
+  // EBML variable-length integer. IDs keep their length marker bit, sizes don't.
+  readVint(bytes, offset, keepMarker = false) {
+    if (offset >= bytes.length) return null;
+
+    const first = bytes[offset];
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+      length++;
+    }
+    if (length > 8 || offset + length > bytes.length) return null;
+
+    let value = keepMarker ? first : first & (0xff >> length);
+    let allOnes = value === (0xff >> length);
+    for (let i = 1; i < length; i++) {
+      value = value * 256 + bytes[offset + i];
+      allOnes = allOnes && bytes[offset + i] === 0xff;
+    }
+
+    return { value, length, unknown: !keepMarker && allOnes };
+  }
+
+  readUint(bytes) {
+    let value = 0;
+    for (const byte of bytes) {
+      value = value * 256 + byte;
+    }
+    return value;
+  }
+
+  // Complete child elements of an in-memory element (optionally only those with the given ID)
+  readChildren(element, childId = null) {
+    const header = this.readVint(element, 0, true);
+    const size = this.readVint(element, header.length);
+    const children = [];
+
+    let offset = header.length + size.length;
+    while (offset < element.length) {
+      const id = this.readVint(element, offset, true);
+      const childSize = id && this.readVint(element, offset + id.length);
+      if (!childSize) break;
+
+      const end = offset + id.length + childSize.length + childSize.value;
+      if (childId === null || id.value === childId) {
+        children.push(element.subarray(offset, end));
+      }
+      offset = end;
+    }
+
+    return children;
+  }
+
+  findUint(element, id) {
+    const child = this.readChildren(element, id)[0];
+    if (!child) return null;
+
+    const header = this.readVint(child, 0, true);
+    const size = this.readVint(child, header.length);
+    return this.readUint(child.subarray(header.length + size.length));
+  }
+
+  // --- Writing ---
+
+  encodeId(id) {
+    const bytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+      bytes.unshift(value % 256);
+    }
+    return new Uint8Array(bytes);
+  }
+
+  encodeUint(value, length = null) {
+    const bytes = [];
+    for (let remaining = value; remaining > 0; remaining = Math.floor(remaining / 256)) {
+      bytes.unshift(remaining % 256);
+    }
+    while (bytes.length < (length || 1)) {
+      bytes.unshift(0);
+    }
+    return new Uint8Array(bytes);
+  }
+
+  // Sizes are always written 8 bytes wide so headers can be laid out before the sizes are known
+  encodeSize(size) {
+    const bytes = this.encodeUint(size, WebmFixer.SIZE_LENGTH);
+    bytes[0] |= 0x01; // 8-byte length marker
+    return bytes;
+  }
+
+  encodeElementHeader(id, size) {
+    return this.concat([this.encodeId(id), this.encodeSize(size)]);
+  }
+
+  encodeElement(id, payload) {
+    return this.concat([this.encodeElementHeader(id, payload.length), payload]);
+  }
+
+  concat(arrays) {
+    const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+      result.set(array, offset);
+      offset += array.length;
+    }
+    return result;
+  }
+}